@@ -1,36 +1,82 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
-import { Camera, Download, Settings, Eye, EyeOff, RotateCcw, Upload, FileText, X } from 'lucide-react';
+import { Camera, Download, Settings, Eye, EyeOff, RotateCcw, Upload, FileText, X, ShieldCheck } from 'lucide-react';
 import Navigation from './components/Navigation';
 import History from './components/History';
 import CSVImport from './components/CSVImport';
 import BatchResults from './components/BatchResults';
 import TextExtraction from './components/TextExtraction';
+import Baselines from './components/Baselines';
+import Schedules from './components/Schedules';
+import Trends from './components/Trends';
+import DimensionWarning from './components/DimensionWarning';
+import AlignmentSummary from './components/AlignmentSummary';
+import RegionNavigator from './components/RegionNavigator';
+import { DIMENSION_STRATEGIES } from './utils/dimensions';
+import { ALIGNMENT_MODES } from './utils/alignment';
+import ReviewPanel from './components/ReviewPanel';
+import { parseIgnoreRegions, loadSavedIgnoreRegions, saveIgnoreRegions } from './utils/ignoreRegions';
+import { runComparisonJob, cancelComparisonJob, cancelComparisonJobOnUnload } from './utils/comparisonJobs';
+import { importLocalHistory } from './utils/comparisonHistory';
+import { imageSrc } from './utils/artifacts';
+import { startBatch, cancelBatch, watchBatch, isBatchFinished, getActiveBatchId, clearActiveBatchId } from './utils/batchJobs';
+import { approveBaseline, getApproverName } from './utils/baselines';
+import { REVIEW_CSV_HEADERS, reviewCsvColumns } from './utils/reviews';
 import './App.css';
 
 function App() {
   const [currentPage, setCurrentPage] = useState('compare');
+  // URL pair and viewport the Trends page opens with, when opened from History
+  const [trendSeries, setTrendSeries] = useState(null);
   const [formData, setFormData] = useState({
     urlA: '',
     urlB: '',
+    useBaseline: false,
     fullPage: true,
     diffThreshold: 0.1,
     includeAA: true,
+    multiScaleSsim: false,
+    dimensionStrategy: 'crop',
+    alignment: 'none',
     waitFor: 'networkidle',
-    maskSelectors: '.cookie, #cookie, .banner, .ads'
+    maskSelectors: '.cookie, #cookie, .banner, .ads',
+    browserA: 'chromium',
+    browserB: 'chromium',
+    device: '',
+    deviceLandscape: false,
+    authA: '',
+    authB: '',
+    actions: '',
+    targetSelector: '',
+    targetSelectorB: '',
+    ignoreRegions: '',
+    blockTrackers: false,
+    blockPatterns: '',
+    harMode: '',
+    harComparisonId: '',
+    deterministic: false,
+    colorScheme: '',
+    locale: '',
+    timezoneId: '',
+    geolocation: '',
+    forcedColors: false,
+    printMedia: false,
+    reducedData: false,
+    batchConcurrency: 2,
+    batchRetries: 1
   });
 
   const [isLoading, setIsLoading] = useState(false);
   const [results, setResults] = useState(null);
+  const [approvedBaseline, setApprovedBaseline] = useState(null);
   const [error, setError] = useState(null);
   const [errorDetails, setErrorDetails] = useState(null);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [progressMessage, setProgressMessage] = useState('');
+  const [activeJobId, setActiveJobId] = useState(null);
   const [showCSVImport, setShowCSVImport] = useState(false);
-  const [batchComparisons, setBatchComparisons] = useState([]);
-  const [currentBatchIndex, setCurrentBatchIndex] = useState(0);
-  const [isBatchProcessing, setIsBatchProcessing] = useState(false);
-  const [batchResults, setBatchResults] = useState([]);
+  const [batchId, setBatchId] = useState(getActiveBatchId);
+  const [batch, setBatch] = useState(null);
   const [showBatchResults, setShowBatchResults] = useState(false);
   
   // Modal state
@@ -40,59 +86,71 @@ function App() {
 
   const [importedURLs, setImportedURLs] = useState([]);
   const [showImportedURLs, setShowImportedURLs] = useState(false);
+  const [ignoreRegionsSaved, setIgnoreRegionsSaved] = useState(false);
 
-  // Load comparison history when component mounts
+  // History saved by older versions in this browser moves to the server once
   useEffect(() => {
-    loadComparisonHistory();
+    importLocalHistory()
+      .then((imported) => {
+        if (imported > 0) {
+          console.log(`Imported ${imported} comparisons from local history`);
+        }
+      })
+      .catch(err => console.error('Failed to import local history:', err));
   }, []);
 
-  const loadComparisonHistory = () => {
-    const saved = localStorage.getItem('comparisonHistory');
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved);
-        if (!Array.isArray(parsed)) {
-          localStorage.removeItem('comparisonHistory');
-        }
-      } catch (e) {
-        localStorage.removeItem('comparisonHistory');
-      }
-    }
-  };
+  // Leaving the page cancels the running comparison instead of letting it finish unseen
+  useEffect(() => {
+    if (!activeJobId) return;
 
-  const saveComparisonToHistory = (comparisonResult) => {
-    try {
-      const existing = localStorage.getItem('comparisonHistory');
-      let history = existing ? JSON.parse(existing) : [];
-      
-      if (!Array.isArray(history)) {
-        history = [];
+    const handlePageHide = () => cancelComparisonJobOnUnload(activeJobId);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [activeJobId]);
+
+  // Follow the active batch, including one started before the page was reloaded
+  useEffect(() => {
+    if (!batchId) return;
+
+    let sawRunning = false;
+    return watchBatch(batchId, (next) => {
+      setBatch(next);
+      if (!isBatchFinished(next)) {
+        sawRunning = true;
+      } else if (sawRunning) {
+        // Finished while this page was watching it
+        setShowBatchResults(true);
       }
-      
-      // Add new comparison to the beginning
-      history.unshift(comparisonResult);
-      
-      // Keep only last 50 comparisons to prevent localStorage from getting too large
-      if (history.length > 50) {
-        history = history.slice(0, 50);
+    }, {
+      onError: () => {
+        // The batch is gone, e.g. its output directory was removed
+        clearActiveBatchId();
+        setBatchId(null);
+        setBatch(null);
       }
-      
-      localStorage.setItem('comparisonHistory', JSON.stringify(history));
-    } catch (e) {
-      console.error('Failed to save comparison to history:', e);
+    });
+  }, [batchId]);
+
+  const isBatchProcessing = Boolean(batchId) && !isBatchFinished(batch);
+
+  // Restore ignore regions saved for this URL pair
+  useEffect(() => {
+    if (!formData.urlA || !formData.urlB) return;
+
+    const saved = loadSavedIgnoreRegions(formData.urlA, formData.urlB);
+    if (saved !== null) {
+      setFormData(prev => ({ ...prev, ignoreRegions: saved }));
     }
-  };
+  }, [formData.urlA, formData.urlB]);
 
   const handlePageChange = (page) => {
     setCurrentPage(page);
+    setTrendSeries(null);
     // Clear any existing results when switching pages
     if (page === 'compare') {
       setResults(null);
       setError(null);
       setErrorDetails(null);
-      setBatchComparisons([]);
-      setCurrentBatchIndex(0);
-      setBatchResults([]);
       setShowBatchResults(false);
     }
   };
@@ -101,9 +159,6 @@ function App() {
     setImportedURLs(comparisons);
     setShowImportedURLs(true);
     setShowCSVImport(false);
-    setBatchComparisons([]);
-    setBatchResults([]);
-    setCurrentBatchIndex(0);
     
     // Don't auto-start batch processing - let user review and configure first
   };
@@ -111,11 +166,6 @@ function App() {
   const startBatchProcessingFromImported = () => {
     if (importedURLs.length === 0) return;
     
-    setBatchComparisons(importedURLs);
-    setCurrentBatchIndex(0);
-    setShowImportedURLs(false);
-    setImportedURLs([]);
-    
     // Start batch processing with current form settings
     startBatchProcessing(importedURLs);
   };
@@ -123,139 +173,164 @@ function App() {
   const clearImportedURLs = () => {
     setImportedURLs([]);
     setShowImportedURLs(false);
-    setBatchComparisons([]);
-    setBatchResults([]);
-    setCurrentBatchIndex(0);
   };
 
   const startBatchProcessing = async (comparisons) => {
     if (comparisons.length === 0) return;
     
-    setIsBatchProcessing(true);
-    setCurrentBatchIndex(0);
     setResults(null);
     setError(null);
     setErrorDetails(null);
-    setBatchResults([]);
-    
-    const results = [];
-    
-    // Process comparisons one by one
-    for (let i = 0; i < comparisons.length; i++) {
-      setCurrentBatchIndex(i);
-      
-      try {
-        const comparison = comparisons[i];
-        setFormData(prev => ({
-          ...prev,
+
+    try {
+      const rows = comparisons.map((comparison) => {
+        // Rows use the regions saved for their own URL pair when there are any
+        const savedRegions = loadSavedIgnoreRegions(comparison.urlA, comparison.urlB);
+        return {
           urlA: comparison.urlA,
-          urlB: comparison.urlB
-        }));
-        
-        // Wait a bit between comparisons to avoid overwhelming the server
-        if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
-        // Process this comparison
-        const result = await processComparison(comparison.urlA, comparison.urlB, true);
-        
-        // Add to batch results
-        if (result) {
-          results.push({
-            ...result,
-            urlA: comparison.urlA,
-            urlB: comparison.urlB,
-            batchIndex: i,
-            originalData: comparison.originalData
-          });
-        } else {
-          // Handle failed comparison
-          results.push({
-            urlA: comparison.urlA,
-            urlB: comparison.urlB,
-            batchIndex: i,
-            originalData: comparison.originalData,
-            error: 'Comparison failed',
-            errorDetails: {
-              suggestion: 'Try processing this comparison individually'
-            }
-          });
-        }
-        
-      } catch (error) {
-        console.error(`Batch comparison ${i + 1} failed:`, error);
-        
-        // Add error result
-        results.push({
-          urlA: comparisons[i].urlA,
-          urlB: comparisons[i].urlB,
-          batchIndex: i,
-          originalData: comparisons[i].originalData,
-          error: error.message || 'Comparison failed',
-          errorDetails: {
-            suggestion: 'Try processing this comparison individually'
-          }
-        });
-      }
+          urlB: comparison.urlB,
+          originalData: comparison.originalData,
+          options: savedRegions === null ? undefined : buildIgnoreRegionOptions(savedRegions)
+        };
+      });
+
+      const created = await startBatch({
+        rows,
+        options: buildRequestOptions(),
+        concurrency: parseInt(formData.batchConcurrency, 10),
+        retries: parseInt(formData.batchRetries, 10)
+      });
+
+      setBatch(null);
+      setBatchId(created.id);
+      setShowImportedURLs(false);
+      setImportedURLs([]);
+      setShowBatchResults(true);
+    } catch (err) {
+      console.error('Failed to start batch:', err);
+      const errorData = err.response?.data || {};
+      setError(errorData.error || err.message || 'Failed to start batch');
     }
-    
-    setIsBatchProcessing(false);
-    setCurrentBatchIndex(0);
-    setBatchResults(results);
-    
-    // Show batch results
-    setShowBatchResults(true);
   };
 
-  const processComparison = async (urlA, urlB, isBatch = false) => {
-    if (!isBatch) {
-      setIsLoading(true);
+  const handleCancelBatch = () => {
+    cancelBatch(batchId).catch(err => {
+      console.error('Cancel failed:', err);
+    });
+  };
+
+  const dismissBatch = () => {
+    clearActiveBatchId();
+    setBatchId(null);
+    setBatch(null);
+    setShowBatchResults(false);
+  };
+
+  // Shared regions plus the per-site ones, which replace the shared list for that site
+  const buildIgnoreRegionOptions = (regionText) => {
+    const ignoreRegions = parseIgnoreRegions(regionText);
+    return {
+      ignoreRegions: ignoreRegions.shared,
+      sides: {
+        A: { ignoreRegions: [...ignoreRegions.shared, ...ignoreRegions.A] },
+        B: { ignoreRegions: [...ignoreRegions.shared, ...ignoreRegions.B] }
+      }
+    };
+  };
+
+  // Comparison options from the form, shared by single comparisons and batches
+  const buildRequestOptions = () => {
+    const regionOptions = buildIgnoreRegionOptions(formData.ignoreRegions);
+    const sides = {
+      A: {
+        browser: formData.browserA,
+        auth: parseJsonOption(formData.authA, 'Original site authentication'),
+        ...regionOptions.sides.A
+      },
+      B: {
+        browser: formData.browserB,
+        auth: parseJsonOption(formData.authB, 'Migrated site authentication'),
+        targetSelector: formData.targetSelectorB.trim() || undefined,
+        ...regionOptions.sides.B
+      }
+    };
+    const actions = parseJsonOption(formData.actions, 'Interaction steps');
+
+    const emulation = {
+      ...(formData.colorScheme && { colorScheme: formData.colorScheme }),
+      ...(formData.locale.trim() && { locale: formData.locale.trim() }),
+      ...(formData.timezoneId.trim() && { timezoneId: formData.timezoneId.trim() }),
+      ...(formData.forcedColors && { forcedColors: 'active' }),
+      ...(formData.printMedia && { media: 'print' }),
+      ...(formData.reducedData && { reducedData: 'reduce' })
+    };
+    if (formData.geolocation.trim()) {
+      const [latitude, longitude] = formData.geolocation.split(',').map(value => Number(value.trim()));
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new Error('Geolocation must be "latitude, longitude"');
+      }
+      emulation.geolocation = { latitude, longitude };
     }
+
+    return {
+      fullPage: formData.fullPage,
+      diffThreshold: parseFloat(formData.diffThreshold),
+      includeAA: formData.includeAA,
+      multiScaleSsim: formData.multiScaleSsim,
+      dimensionStrategy: formData.dimensionStrategy,
+      alignment: formData.alignment,
+      waitFor: formData.waitFor,
+      maskSelectors: formData.maskSelectors.split(',').map(s => s.trim()).filter(Boolean),
+      actions,
+      targetSelector: formData.targetSelector.trim() || undefined,
+      ignoreRegions: regionOptions.ignoreRegions,
+      blockRequests: {
+        presets: formData.blockTrackers ? ['trackers'] : [],
+        patterns: formData.blockPatterns.split(',').map(s => s.trim()).filter(Boolean)
+      },
+      har: formData.harMode
+        ? { mode: formData.harMode, comparisonId: formData.harMode === 'replay' ? formData.harComparisonId.trim() : undefined }
+        : undefined,
+      deterministic: formData.deterministic,
+      emulation,
+      device: formData.device.trim()
+        ? { descriptor: formData.device.trim(), orientation: formData.deviceLandscape ? 'landscape' : 'portrait' }
+        : undefined,
+      sides
+    };
+  };
+
+  // Without urlA the page at urlB is compared against its approved baseline
+  const processComparison = async (urlA, urlB) => {
+    setIsLoading(true);
     setError(null);
     setErrorDetails(null);
-    if (!isBatch) {
-      setResults(null);
-      setProgress(0);
-    }
+    setResults(null);
+    setApprovedBaseline(null);
+    setProgress(0);
+    setProgressMessage('');
 
     try {
-      // Simulate progress for non-batch comparisons
-      let progressInterval;
-      if (!isBatch) {
-        progressInterval = setInterval(() => {
-          setProgress(prev => Math.min(prev + Math.random() * 20, 90));
-        }, 500);
-      }
-
-      const requestData = {
-        urlA,
-        urlB,
-        options: {
-          fullPage: formData.fullPage,
-          diffThreshold: parseFloat(formData.diffThreshold),
-          includeAA: formData.includeAA,
-          waitFor: formData.waitFor,
-          maskSelectors: formData.maskSelectors.split(',').map(s => s.trim()).filter(Boolean)
+      const requestData = urlA
+        ? { urlA, urlB, options: buildRequestOptions() }
+        : { url: urlB, options: buildRequestOptions() };
+
+      // The progress bar follows the job's phase events
+      const result = await runComparisonJob(requestData, {
+        onStart: job => setActiveJobId(job.id),
+        onProgress: (event) => {
+          setProgress(event.progress);
+          if (event.message) {
+            setProgressMessage(event.message);
+          }
         }
-      };
+      });
 
-      const response = await axios.post('/api/compare-ui', requestData);
-
-      if (progressInterval) {
-        clearInterval(progressInterval);
-        setProgress(100);
-      }
-
-      const result = response.data;
-      
-      if (!isBatch) {
-        setResults(result);
-        // Save to history
-        saveComparisonToHistory(result);
-        // Reset progress after a delay
-        setTimeout(() => setProgress(0), 1000);
-      }
+      setProgress(100);
+      setProgressMessage('');
+      setResults(result);
+      // Reset progress after a delay
+      setTimeout(() => setProgress(0), 1000);
 
       return result;
 
@@ -266,21 +341,71 @@ function App() {
       const errorCode = errorData.code || 'UNKNOWN_ERROR';
       const errorMessage = errorData.error || err.message || 'Comparison failed';
       
-      if (!isBatch) {
-        setError(getErrorMessage(errorCode, errorMessage));
-        setErrorDetails({
-          code: errorCode,
-          suggestion: getErrorSuggestion(errorCode),
-          timestamp: errorData.timestamp || new Date().toISOString(),
-          details: errorData
-        });
-      }
+      setError(getErrorMessage(errorCode, errorMessage));
+      setErrorDetails({
+        code: errorCode,
+        suggestion: getErrorSuggestion(errorCode),
+        timestamp: errorData.timestamp || new Date().toISOString(),
+        details: errorData
+      });
 
       throw err;
     } finally {
-      if (!isBatch) {
-        setIsLoading(false);
-      }
+      setIsLoading(false);
+      setActiveJobId(null);
+    }
+  };
+
+  // The new capture (side B) becomes the current baseline for its URL and capture options
+  const handleApproveBaseline = async () => {
+    const approvedBy = window.prompt('Approve the Migrated Site screenshot as the baseline for this page.\nApproved by:', getApproverName());
+    if (!approvedBy || !approvedBy.trim()) return;
+
+    try {
+      setApprovedBaseline(await approveBaseline({ comparisonId: results.id, approvedBy: approvedBy.trim() }));
+    } catch (err) {
+      console.error('Baseline approval failed:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleCancelComparison = () => {
+    setProgressMessage('Cancelling...');
+    cancelComparisonJob(activeJobId).catch(err => {
+      console.error('Cancel failed:', err);
+    });
+  };
+
+  const useRecordingForReplay = () => {
+    setFormData(prev => ({
+      ...prev,
+      urlA: results.urls.A,
+      urlB: results.urls.B,
+      harMode: 'replay',
+      harComparisonId: results.har.comparisonId
+    }));
+    setShowAdvanced(true);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleSaveIgnoreRegions = () => {
+    try {
+      parseIgnoreRegions(formData.ignoreRegions);
+      saveIgnoreRegions(formData.urlA, formData.urlB, formData.ignoreRegions);
+      setIgnoreRegionsSaved(true);
+      setTimeout(() => setIgnoreRegionsSaved(false), 2000);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const parseJsonOption = (value, label) => {
+    if (!value || !value.trim()) return undefined;
+
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      throw new Error(`${label} must be valid JSON`);
     }
   };
 
@@ -294,6 +419,16 @@ function App() {
   };
 
   const validateUrls = () => {
+    if (formData.useBaseline) {
+      try {
+        new URL(formData.urlB);
+      } catch {
+        setError('Please enter a valid URL (including http:// or https://)');
+        return false;
+      }
+      return true;
+    }
+
     if (!formData.urlA || !formData.urlB) {
       setError('Both URLs are required');
       return false;
@@ -320,6 +455,8 @@ function App() {
       'MISSING_URLS': 'Please enter both URLs to compare.',
       'INVALID_URL_A': 'The first URL is not valid. Please check the format.',
       'INVALID_URL_B': 'The second URL is not valid. Please check the format.',
+      'INVALID_URL': 'The URL is not valid. Please check the format.',
+      'BASELINE_NOT_FOUND': 'No baseline has been approved for this page with these capture options.',
       'SERVICE_NOT_READY': 'The comparison service is not ready. Please try again in a moment.',
       'NETWORK_ERROR': 'Network connection issue. Please check your internet connection.',
       'DNS_ERROR': 'Could not find the website. Please check the URL spelling.',
@@ -333,7 +470,8 @@ function App() {
       'VALIDATION_ERROR': 'Invalid input provided. Please check your settings.',
       'INTERNAL_ERROR': 'An unexpected error occurred. Please try again.',
       'NOT_FOUND': 'The requested endpoint was not found.',
-      'MULTI_COMPARISON_FAILED': 'Multi-viewport comparison failed. Please try again.'
+      'MULTI_COMPARISON_FAILED': 'Multi-viewport comparison failed. Please try again.',
+      'CANCELLED': 'The comparison was cancelled.'
     };
 
     return errorMap[errorCode] || errorMessage || 'An unexpected error occurred.';
@@ -348,8 +486,11 @@ function App() {
       'CONTENT_ERROR': 'Try using "Network Idle" wait strategy instead.',
       'STABILITY_ERROR': 'Try a simpler website or reduce the page complexity.',
       'CAPTURE_ERROR': 'Try disabling full-page capture or use a different URL.',
+      'AUTH_ERROR': 'Check the credentials, cookies and login step selectors for that site.',
+      'BASELINE_NOT_FOUND': 'Compare the page with another site once and approve the result, or use the same capture options as the approved baseline.',
       'IMAGE_PROCESSING_ERROR': 'Try with smaller viewport or simpler pages.',
-      'COMPARISON_ERROR': 'Try adjusting the diff threshold or use different URLs.'
+      'COMPARISON_ERROR': 'Try adjusting the diff threshold or use different URLs.',
+      'CANCELLED': 'Start the comparison again when you are ready.'
     };
 
     return suggestionMap[errorCode] || 'If the problem persists, try different URLs or settings.';
@@ -366,7 +507,7 @@ function App() {
       return;
     }
 
-    await processComparison(formData.urlA, formData.urlB);
+    await processComparison(formData.useBaseline ? null : formData.urlA, formData.urlB);
   };
 
   const downloadImage = (base64Data, filename) => {
@@ -400,7 +541,7 @@ function App() {
 
     // Create CSV data with the specified columns
     const csvData = [
-      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL']
+      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL', ...REVIEW_CSV_HEADERS]
     ];
 
     // Process each comparison result
@@ -415,7 +556,8 @@ function App() {
           result.urls?.B || result.urlB || 'N/A',
           isContentGood ? '✓' : '✗',
           isLayoutGood ? '✓' : '✗',
-          `Comparison ID: ${result.id || `batch-${index + 1}`}`
+          `Comparison ID: ${result.id || `batch-${index + 1}`}`,
+          ...reviewCsvColumns(result.review)
         ]);
       } else if (result && result.error) {
         // Handle failed comparisons
@@ -424,7 +566,8 @@ function App() {
           result.urlB || 'N/A',
           '✗',
           '✗',
-          `Failed comparison ${index + 1}`
+          `Failed comparison ${index + 1}`,
+          ...reviewCsvColumns(result.review)
         ]);
       }
     });
@@ -458,16 +601,41 @@ function App() {
       fullPage: true,
       diffThreshold: 0.1,
       includeAA: true,
+      multiScaleSsim: false,
+      dimensionStrategy: 'crop',
+      alignment: 'none',
       waitFor: 'networkidle',
-      maskSelectors: '.cookie, #cookie, .banner, .ads'
+      maskSelectors: '.cookie, #cookie, .banner, .ads',
+      browserA: 'chromium',
+      browserB: 'chromium',
+      device: '',
+      deviceLandscape: false,
+      authA: '',
+      authB: '',
+      actions: '',
+      targetSelector: '',
+      targetSelectorB: '',
+      ignoreRegions: '',
+      blockTrackers: false,
+      blockPatterns: '',
+      harMode: '',
+      harComparisonId: '',
+      deterministic: false,
+      colorScheme: '',
+      locale: '',
+      timezoneId: '',
+      geolocation: '',
+      forcedColors: false,
+      printMedia: false,
+      reducedData: false,
+      batchConcurrency: 2,
+      batchRetries: 1
     });
     setResults(null);
     setError(null);
     setErrorDetails(null);
     setProgress(0);
-    setBatchComparisons([]);
-    setCurrentBatchIndex(0);
-    setBatchResults([]);
+    setProgressMessage('');
     setShowBatchResults(false);
   };
 
@@ -480,13 +648,18 @@ function App() {
     resetForm();
   };
 
+  const handleShowTrend = (series) => {
+    setTrendSeries(series);
+    setCurrentPage('trends');
+  };
+
   const handleDeleteComparison = (id) => {
     // This will be handled by the History component
     // We can add additional logic here if needed
   };
 
-  const openModal = (imageData, url, title) => {
-    setModalImage(imageData);
+  const openModal = (src, url, title) => {
+    setModalImage(src);
     setModalUrl(url);
     setModalTitle(title);
   };
@@ -509,22 +682,44 @@ function App() {
       <main className="main-content">
         <div className="container">
           {/* Batch Processing Status */}
-          {isBatchProcessing && batchComparisons.length > 0 && (
+          {batchId && batch && (
             <div className="batch-status">
-              <h3>Batch Processing</h3>
+              <h3>{isBatchProcessing ? 'Batch Processing' : `Batch ${batch.status === 'cancelled' ? 'Cancelled' : 'Finished'}`}</h3>
               <div className="batch-progress">
                 <div className="batch-info">
-                  <span>Processing {currentBatchIndex + 1} of {batchComparisons.length}</span>
-                  <span className="current-urls">
-                    {batchComparisons[currentBatchIndex]?.urlA} vs {batchComparisons[currentBatchIndex]?.urlB}
+                  <span>
+                    {batch.total - batch.counts.pending - batch.counts.running} of {batch.total} finished
+                    {batch.counts.failed > 0 && ` (${batch.counts.failed} failed)`}
                   </span>
+                  {batch.rows?.filter(row => row.status === 'running').slice(0, 1).map(row => (
+                    <span key={row.index} className="current-urls">
+                      {row.urlA} vs {row.urlB}
+                    </span>
+                  ))}
                 </div>
                 <div className="progress-bar">
                   <div 
                     className="progress-fill" 
-                    style={{ width: `${((currentBatchIndex + 1) / batchComparisons.length) * 100}%` }}
+                    style={{ width: `${((batch.total - batch.counts.pending - batch.counts.running) / batch.total) * 100}%` }}
                   ></div>
                 </div>
+                <div className="batch-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => setShowBatchResults(true)}>
+                    <Eye size={16} />
+                    {isBatchProcessing ? 'View Progress' : 'View Results'}
+                  </button>
+                  {isBatchProcessing ? (
+                    <button type="button" className="btn btn-secondary" onClick={handleCancelBatch}>
+                      <X size={16} />
+                      Cancel Batch
+                    </button>
+                  ) : (
+                    <button type="button" className="btn btn-secondary" onClick={dismissBatch}>
+                      <X size={16} />
+                      Dismiss
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
           )}
@@ -582,11 +777,43 @@ function App() {
                   )}
                 </div>
 
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="batchConcurrency">Parallel Comparisons</label>
+                    <input
+                      type="number"
+                      id="batchConcurrency"
+                      name="batchConcurrency"
+                      className="form-control"
+                      value={formData.batchConcurrency}
+                      onChange={handleInputChange}
+                      min="1"
+                      max="8"
+                    />
+                    <div className="help-text">Rows compared at the same time on the server</div>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="batchRetries">Retries per Row</label>
+                    <input
+                      type="number"
+                      id="batchRetries"
+                      name="batchRetries"
+                      className="form-control"
+                      value={formData.batchRetries}
+                      onChange={handleInputChange}
+                      min="0"
+                      max="5"
+                    />
+                    <div className="help-text">Extra attempts after a timeout or network failure</div>
+                  </div>
+                </div>
+
                 <div className="imported-urls-actions">
                   <button
                     type="button"
                     className="btn btn-primary"
                     onClick={startBatchProcessingFromImported}
+                    disabled={isBatchProcessing}
                   >
                     🚀 Start Batch Comparison ({importedURLs.length} URLs)
                   </button>
@@ -612,23 +839,40 @@ function App() {
                 </div>
               )}
               
+              <div className="form-group">
+                <div className="checkbox-group">
+                  <input
+                    type="checkbox"
+                    id="useBaseline"
+                    name="useBaseline"
+                    checked={formData.useBaseline}
+                    onChange={handleInputChange}
+                  />
+                  <label htmlFor="useBaseline">Compare against approved baseline</label>
+                </div>
+                <div className="help-text">
+                  The page is compared with the screenshot approved for the same URL, device and capture options
+                </div>
+              </div>
+
               <div className="form-row">
                 <div className="form-group">
-                  <label htmlFor="urlA">Original Site URL *</label>
+                  <label htmlFor="urlA">Original Site URL {formData.useBaseline ? '(approved baseline)' : '*'}</label>
                   <input
                     type="url"
                     id="urlA"
                     name="urlA"
                     className="form-control"
-                    value={formData.urlA}
+                    value={formData.useBaseline ? '' : formData.urlA}
                     onChange={handleInputChange}
-                    placeholder="https://example.com"
-                    required
+                    placeholder={formData.useBaseline ? 'Baseline screenshot' : 'https://example.com'}
+                    disabled={formData.useBaseline}
+                    required={!formData.useBaseline}
                   />
                 </div>
                 
                 <div className="form-group">
-                  <label htmlFor="urlB">Migrated Site URL *</label>
+                  <label htmlFor="urlB">{formData.useBaseline ? 'Page URL' : 'Migrated Site URL'} *</label>
                   <input
                     type="url"
                     id="urlB"
@@ -671,6 +915,34 @@ function App() {
                   </div>
                   <div className="help-text">Account for font rendering differences</div>
                 </div>
+
+                <div className="form-group">
+                  <div className="checkbox-group">
+                    <input
+                      type="checkbox"
+                      id="multiScaleSsim"
+                      name="multiScaleSsim"
+                      checked={formData.multiScaleSsim}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="multiScaleSsim">Multi-scale SSIM</label>
+                  </div>
+                  <div className="help-text">Also score structure at coarser scales (slower on long pages)</div>
+                </div>
+
+                <div className="form-group">
+                  <div className="checkbox-group">
+                    <input
+                      type="checkbox"
+                      id="deterministic"
+                      name="deterministic"
+                      checked={formData.deterministic}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="deterministic">Deterministic rendering</label>
+                  </div>
+                  <div className="help-text">Freeze the clock, seed randomness, wait for fonts and images, pause media</div>
+                </div>
               </div>
 
               {/* Advanced Options Toggle */}
@@ -722,6 +994,377 @@ function App() {
                     </div>
                   </div>
 
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="dimensionStrategy">Different Page Sizes</label>
+                      <select
+                        id="dimensionStrategy"
+                        name="dimensionStrategy"
+                        className="form-control"
+                        value={formData.dimensionStrategy}
+                        onChange={handleInputChange}
+                      >
+                        {DIMENSION_STRATEGIES.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <div className="help-text">Padding shows content missing from the shorter page as changes</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="alignment">Content Alignment</label>
+                      <select
+                        id="alignment"
+                        name="alignment"
+                        className="form-control"
+                        value={formData.alignment}
+                        onChange={handleInputChange}
+                      >
+                        {ALIGNMENT_MODES.map(({ value, label }) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <div className="help-text">Matches rows up so content pushed down by an inserted block is not flagged as changed</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="browserA">Original Site Browser</label>
+                      <select
+                        id="browserA"
+                        name="browserA"
+                        className="form-control"
+                        value={formData.browserA}
+                        onChange={handleInputChange}
+                      >
+                        <option value="chromium">Chromium</option>
+                        <option value="firefox">Firefox</option>
+                        <option value="webkit">WebKit (Safari)</option>
+                      </select>
+                      <div className="help-text">Rendering engine used to capture the original site</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="browserB">Migrated Site Browser</label>
+                      <select
+                        id="browserB"
+                        name="browserB"
+                        className="form-control"
+                        value={formData.browserB}
+                        onChange={handleInputChange}
+                      >
+                        <option value="chromium">Chromium</option>
+                        <option value="firefox">Firefox</option>
+                        <option value="webkit">WebKit (Safari)</option>
+                      </select>
+                      <div className="help-text">Pick a different engine to compare cross-browser rendering</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="device">Device</label>
+                      <input
+                        type="text"
+                        id="device"
+                        name="device"
+                        className="form-control"
+                        list="device-names"
+                        value={formData.device}
+                        onChange={handleInputChange}
+                        placeholder="Desktop (1440 × 900)"
+                      />
+                      <datalist id="device-names">
+                        <option value="iPhone 13" />
+                        <option value="iPhone 13 Pro Max" />
+                        <option value="iPhone SE" />
+                        <option value="Pixel 7" />
+                        <option value="Galaxy S9+" />
+                        <option value="iPad Mini" />
+                        <option value="iPad Pro 11" />
+                      </datalist>
+                      <div className="help-text">Playwright device name; sets viewport, pixel ratio, user agent and touch</div>
+                    </div>
+
+                    <div className="form-group">
+                      <div className="checkbox-group">
+                        <input
+                          type="checkbox"
+                          id="deviceLandscape"
+                          name="deviceLandscape"
+                          checked={formData.deviceLandscape}
+                          onChange={handleInputChange}
+                          disabled={!formData.device.trim()}
+                        />
+                        <label htmlFor="deviceLandscape">Landscape orientation</label>
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="authA">Original Site Authentication</label>
+                      <textarea
+                        id="authA"
+                        name="authA"
+                        className="form-control"
+                        rows={4}
+                        value={formData.authA}
+                        onChange={handleInputChange}
+                        placeholder='{"httpCredentials": {"username": "qa", "password": "..."}}'
+                      />
+                      <div className="help-text">JSON with cookies, storageState, httpCredentials or loginSteps</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="authB">Migrated Site Authentication</label>
+                      <textarea
+                        id="authB"
+                        name="authB"
+                        className="form-control"
+                        rows={4}
+                        value={formData.authB}
+                        onChange={handleInputChange}
+                        placeholder='{"loginSteps": [{"action": "goto", "url": "https://example2.com/login"}]}'
+                      />
+                      <div className="help-text">Login steps run once and the session is reused across a batch</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="targetSelector">Target Element</label>
+                      <input
+                        type="text"
+                        id="targetSelector"
+                        name="targetSelector"
+                        className="form-control"
+                        value={formData.targetSelector}
+                        onChange={handleInputChange}
+                        placeholder="header, #pricing-table"
+                      />
+                      <div className="help-text">Compare only this element instead of the whole page</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="targetSelectorB">Migrated Site Target Element</label>
+                      <input
+                        type="text"
+                        id="targetSelectorB"
+                        name="targetSelectorB"
+                        className="form-control"
+                        value={formData.targetSelectorB}
+                        onChange={handleInputChange}
+                        placeholder="Same as above"
+                      />
+                      <div className="help-text">Override when the migrated markup differs</div>
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="ignoreRegions">Ignore Regions</label>
+                    <textarea
+                      id="ignoreRegions"
+                      name="ignoreRegions"
+                      className="form-control"
+                      rows={3}
+                      value={formData.ignoreRegions}
+                      onChange={handleInputChange}
+                      placeholder={'0, 0, 1440, 80\nB: 900, 400, 300, 250'}
+                    />
+                    <div className="help-text">
+                      Rectangles excluded from the diff, one per line as x, y, width, height in page pixels.
+                      Prefix a line with A: or B: to apply it to one site only.
+                    </div>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={handleSaveIgnoreRegions}
+                      disabled={!formData.urlA || !formData.urlB}
+                      style={{ marginTop: '0.5rem' }}
+                    >
+                      {ignoreRegionsSaved ? 'Saved ✓' : 'Save for this URL pair'}
+                    </button>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="actions">Interaction Steps</label>
+                    <textarea
+                      id="actions"
+                      name="actions"
+                      className="form-control"
+                      rows={4}
+                      value={formData.actions}
+                      onChange={handleInputChange}
+                      placeholder='[{"action": "hover", "selector": "nav .menu"}, {"action": "wait", "ms": 500}]'
+                    />
+                    <div className="help-text">
+                      JSON steps run on both sites before capture: click, hover, type, press, select, scrollTo, waitForSelector, wait, evaluate
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <div className="checkbox-group">
+                        <input
+                          type="checkbox"
+                          id="blockTrackers"
+                          name="blockTrackers"
+                          checked={formData.blockTrackers}
+                          onChange={handleInputChange}
+                        />
+                        <label htmlFor="blockTrackers">Block ads, analytics and A/B testing scripts</label>
+                      </div>
+                      <div className="help-text">Uses the built-in tracker blocklist</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="blockPatterns">Blocked URL Patterns</label>
+                      <input
+                        type="text"
+                        id="blockPatterns"
+                        name="blockPatterns"
+                        className="form-control"
+                        value={formData.blockPatterns}
+                        onChange={handleInputChange}
+                        placeholder="*chat-widget.com/*, *.mp4"
+                      />
+                      <div className="help-text">Requests matching these patterns are aborted (* matches anything)</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="harMode">Network Recording</label>
+                      <select
+                        id="harMode"
+                        name="harMode"
+                        className="form-control"
+                        value={formData.harMode}
+                        onChange={handleInputChange}
+                      >
+                        <option value="">Live network</option>
+                        <option value="record">Record HAR files</option>
+                        <option value="replay">Replay from HAR files</option>
+                      </select>
+                      <div className="help-text">Record responses now to re-run the same comparison offline later</div>
+                    </div>
+
+                    {formData.harMode === 'replay' && (
+                      <div className="form-group">
+                        <label htmlFor="harComparisonId">Recorded Comparison ID</label>
+                        <input
+                          type="text"
+                          id="harComparisonId"
+                          name="harComparisonId"
+                          className="form-control"
+                          value={formData.harComparisonId}
+                          onChange={handleInputChange}
+                          placeholder="ID of a comparison run in record mode"
+                        />
+                        <div className="help-text">Both sites are served only from that comparison's recordings</div>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="colorScheme">Color Scheme</label>
+                      <select
+                        id="colorScheme"
+                        name="colorScheme"
+                        className="form-control"
+                        value={formData.colorScheme}
+                        onChange={handleInputChange}
+                      >
+                        <option value="">Light (default)</option>
+                        <option value="dark">Dark</option>
+                        <option value="no-preference">No preference</option>
+                      </select>
+                      <div className="help-text">Value reported to prefers-color-scheme</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="locale">Locale</label>
+                      <input
+                        type="text"
+                        id="locale"
+                        name="locale"
+                        className="form-control"
+                        value={formData.locale}
+                        onChange={handleInputChange}
+                        placeholder="en-US"
+                      />
+                      <div className="help-text">Sets navigator.language and Accept-Language</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="timezoneId">Time Zone</label>
+                      <input
+                        type="text"
+                        id="timezoneId"
+                        name="timezoneId"
+                        className="form-control"
+                        value={formData.timezoneId}
+                        onChange={handleInputChange}
+                        placeholder="UTC"
+                      />
+                      <div className="help-text">IANA time zone, e.g. Europe/Berlin</div>
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="geolocation">Geolocation</label>
+                      <input
+                        type="text"
+                        id="geolocation"
+                        name="geolocation"
+                        className="form-control"
+                        value={formData.geolocation}
+                        onChange={handleInputChange}
+                        placeholder="52.52, 13.40"
+                      />
+                      <div className="help-text">Latitude, longitude; the geolocation permission is granted automatically</div>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="checkbox-group">
+                      <input
+                        type="checkbox"
+                        id="forcedColors"
+                        name="forcedColors"
+                        checked={formData.forcedColors}
+                        onChange={handleInputChange}
+                      />
+                      <label htmlFor="forcedColors">Forced colors (high contrast)</label>
+                    </div>
+
+                    <div className="checkbox-group">
+                      <input
+                        type="checkbox"
+                        id="printMedia"
+                        name="printMedia"
+                        checked={formData.printMedia}
+                        onChange={handleInputChange}
+                      />
+                      <label htmlFor="printMedia">Print media</label>
+                    </div>
+
+                    <div className="checkbox-group">
+                      <input
+                        type="checkbox"
+                        id="reducedData"
+                        name="reducedData"
+                        checked={formData.reducedData}
+                        onChange={handleInputChange}
+                      />
+                      <label htmlFor="reducedData">Reduced data (Chromium only)</label>
+                    </div>
+                  </div>
+
                   <div className="form-group">
                     <label htmlFor="maskSelectors">Elements to Hide</label>
                     <input
@@ -774,7 +1417,17 @@ function App() {
                   style={{ width: `${progress}%` }}
                 ></div>
               </div>
-              <p>Capturing screenshots and computing differences...</p>
+              <p>{progressMessage || 'Capturing screenshots and computing differences...'}</p>
+              {activeJobId && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={handleCancelComparison}
+                >
+                  <X size={16} />
+                  Cancel
+                </button>
+              )}
             </div>
           )}
 
@@ -832,6 +1485,15 @@ function App() {
               <div className="results-header">
                 <h2>Comparison Results</h2>
                 <div className="download-section">
+                  <button
+                    className="btn btn-secondary"
+                    onClick={handleApproveBaseline}
+                    disabled={!!approvedBaseline}
+                    title="Make the Migrated Site screenshot the baseline for this page"
+                  >
+                    <ShieldCheck size={16} />
+                    {approvedBaseline ? `Approved as v${approvedBaseline.currentVersion}` : 'Approve as Baseline'}
+                  </button>
                   <button
                     className="btn btn-secondary"
                     onClick={downloadResults}
@@ -849,6 +1511,16 @@ function App() {
                 </div>
               </div>
 
+              {results.baseline && (
+                <div className="baseline-banner">
+                  <ShieldCheck size={16} />
+                  Compared against baseline version {results.baseline.version}, approved by {results.baseline.approvedBy || 'unknown'} on {new Date(results.baseline.approvedAt).toLocaleString()}
+                </div>
+              )}
+
+              <DimensionWarning metrics={results.metrics} />
+              <AlignmentSummary metrics={results.metrics} />
+
               {/* Metrics */}
               <div className="metrics-grid">
                 <div className="metric-card">
@@ -860,8 +1532,10 @@ function App() {
                   <div className="metric-label">Changed Pixels</div>
                 </div>
                 <div className="metric-card">
-                  <div className="metric-value">{results.metrics.ssimScore}</div>
-                  <div className="metric-label">SSIM Score</div>
+                  <div className="metric-value">{results.metrics.ssimScore ?? '—'}</div>
+                  <div className="metric-label">
+                    SSIM Score{results.metrics.ssim?.msSsim != null && ` · MS-SSIM ${results.metrics.ssim.msSsim}`}
+                  </div>
                 </div>
                 <div className="metric-card">
                   <div className="metric-value">{results.metrics.width} × {results.metrics.height}</div>
@@ -869,6 +1543,29 @@ function App() {
                 </div>
               </div>
 
+              <ReviewPanel
+                comparison={results}
+                onReviewed={review => setResults(prev => ({ ...prev, review }))}
+              />
+
+              {/* Capture Warnings */}
+              {results.warnings?.length > 0 && (
+                <div style={{
+                  marginTop: '2rem',
+                  padding: '0.75rem 1rem',
+                  background: 'rgba(255,165,0,0.1)',
+                  borderRadius: '8px',
+                  border: '1px solid var(--warning-color)',
+                  color: 'var(--warning-color)'
+                }}>
+                  {results.warnings.map((warning, index) => (
+                    <div key={index}>
+                      ⚠️ {{ A: 'Original Site', B: 'Migrated Site' }[warning.side] || 'Both Sites'}: {warning.message}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Capture Status Summary */}
               <div style={{ 
                 marginTop: '2rem', 
@@ -889,6 +1586,37 @@ function App() {
                     <div style={{ fontSize: '0.875rem' }}>
                       <div><strong>Status:</strong> {results.metadata.A.fullPage ? '✅ Full Page Capture' : '⚠️ Viewport Only'}</div>
                       <div><strong>Method:</strong> {results.metadata.A.captureMethod || 'N/A'}</div>
+                      {results.metadata.A.stabilizers && (
+                        <div><strong>Stabilizers:</strong> {results.metadata.A.stabilizers.join(', ')}</div>
+                      )}
+                      {results.metadata.A.element?.box && (
+                        <div><strong>Element:</strong> <code>{results.metadata.A.element.selector}</code> at {Math.round(results.metadata.A.element.box.x)}, {Math.round(results.metadata.A.element.box.y)} ({Math.round(results.metadata.A.element.box.width)} × {Math.round(results.metadata.A.element.box.height)})</div>
+                      )}
+                      {results.metadata.A.device && (
+                        <div><strong>Device:</strong> {results.metadata.A.device.name || 'Desktop'} ({results.metadata.A.device.viewport.width} × {results.metadata.A.device.viewport.height} @{results.metadata.A.device.deviceScaleFactor}x{results.metadata.A.device.isMobile ? ', mobile' : ''}{results.metadata.A.device.hasTouch ? ', touch' : ''})</div>
+                      )}
+                      {results.metadata.A.emulation && (
+                        <div><strong>Emulation:</strong> {results.metadata.A.emulation.colorScheme}, {results.metadata.A.emulation.media}, {results.metadata.A.emulation.locale}, {results.metadata.A.emulation.timezoneId}{results.metadata.A.emulation.forcedColors === 'active' ? ', forced colors' : ''}{results.metadata.A.emulation.reducedData !== 'no-preference' ? `, reduced data ${results.metadata.A.emulation.reducedData}` : ''}</div>
+                      )}
+                      {results.metadata.A.browser && (
+                        <div><strong>Browser:</strong> {results.metadata.A.browser.name} {results.metadata.A.browser.version}</div>
+                      )}
+                      {results.metadata.A.auth && (
+                        <div><strong>Auth:</strong> {results.metadata.A.auth.methods.join(', ')}{results.metadata.A.auth.sessionReused ? ' (session reused)' : ''}</div>
+                      )}
+                      {results.metadata.A.network && (
+                        <div><strong>Network:</strong> {results.metadata.A.network.blockedCount} blocked, {results.metadata.A.network.mockedCount} mocked</div>
+                      )}
+                      {results.metadata.A.actions?.length > 0 && (
+                        <div>
+                          <strong>Actions:</strong> {results.metadata.A.actions.filter(a => a.status === 'ok').length} of {results.metadata.A.actions.length} succeeded
+                          {results.metadata.A.actions.filter(a => a.status === 'failed').map(a => (
+                            <div key={a.index} style={{ color: 'var(--error-color)' }}>
+                              Step {a.index + 1} ({a.action}): {a.error}
+                            </div>
+                          ))}
+                        </div>
+                      )}
                       <div><strong>Page Dimensions:</strong> {results.metadata.A.pageDimensions?.scrollWidth || 'N/A'} × {results.metadata.A.pageDimensions?.scrollHeight || 'N/A'}</div>
                       {results.metadata.A.capturedDimensions && (
                         <div><strong>Captured:</strong> {results.metadata.A.capturedDimensions.capturedWidth} × {results.metadata.A.capturedDimensions.capturedHeight}</div>
@@ -906,6 +1634,37 @@ function App() {
                     <div style={{ fontSize: '0.875rem' }}>
                       <div><strong>Status:</strong> {results.metadata.B.fullPage ? '✅ Full Page Capture' : '⚠️ Viewport Only'}</div>
                       <div><strong>Method:</strong> {results.metadata.B.captureMethod || 'N/A'}</div>
+                      {results.metadata.B.stabilizers && (
+                        <div><strong>Stabilizers:</strong> {results.metadata.B.stabilizers.join(', ')}</div>
+                      )}
+                      {results.metadata.B.element?.box && (
+                        <div><strong>Element:</strong> <code>{results.metadata.B.element.selector}</code> at {Math.round(results.metadata.B.element.box.x)}, {Math.round(results.metadata.B.element.box.y)} ({Math.round(results.metadata.B.element.box.width)} × {Math.round(results.metadata.B.element.box.height)})</div>
+                      )}
+                      {results.metadata.B.device && (
+                        <div><strong>Device:</strong> {results.metadata.B.device.name || 'Desktop'} ({results.metadata.B.device.viewport.width} × {results.metadata.B.device.viewport.height} @{results.metadata.B.device.deviceScaleFactor}x{results.metadata.B.device.isMobile ? ', mobile' : ''}{results.metadata.B.device.hasTouch ? ', touch' : ''})</div>
+                      )}
+                      {results.metadata.B.emulation && (
+                        <div><strong>Emulation:</strong> {results.metadata.B.emulation.colorScheme}, {results.metadata.B.emulation.media}, {results.metadata.B.emulation.locale}, {results.metadata.B.emulation.timezoneId}{results.metadata.B.emulation.forcedColors === 'active' ? ', forced colors' : ''}{results.metadata.B.emulation.reducedData !== 'no-preference' ? `, reduced data ${results.metadata.B.emulation.reducedData}` : ''}</div>
+                      )}
+                      {results.metadata.B.browser && (
+                        <div><strong>Browser:</strong> {results.metadata.B.browser.name} {results.metadata.B.browser.version}</div>
+                      )}
+                      {results.metadata.B.auth && (
+                        <div><strong>Auth:</strong> {results.metadata.B.auth.methods.join(', ')}{results.metadata.B.auth.sessionReused ? ' (session reused)' : ''}</div>
+                      )}
+                      {results.metadata.B.network && (
+                        <div><strong>Network:</strong> {results.metadata.B.network.blockedCount} blocked, {results.metadata.B.network.mockedCount} mocked</div>
+                      )}
+                      {results.metadata.B.actions?.length > 0 && (
+                        <div>
+                          <strong>Actions:</strong> {results.metadata.B.actions.filter(a => a.status === 'ok').length} of {results.metadata.B.actions.length} succeeded
+                          {results.metadata.B.actions.filter(a => a.status === 'failed').map(a => (
+                            <div key={a.index} style={{ color: 'var(--error-color)' }}>
+                              Step {a.index + 1} ({a.action}): {a.error}
+                            </div>
+                          ))}
+                        </div>
+                      )}
                       <div><strong>Page Dimensions:</strong> {results.metadata.B.pageDimensions?.scrollWidth || 'N/A'} × {results.metadata.B.pageDimensions?.scrollHeight || 'N/A'}</div>
                       {results.metadata.B.capturedDimensions && (
                         <div><strong>Captured:</strong> {results.metadata.B.capturedDimensions.capturedWidth} × {results.metadata.B.capturedDimensions.capturedHeight}</div>
@@ -954,11 +1713,11 @@ function App() {
               </div>
 
               {/* Comparison Viewer */}
-              <div className="comparison-viewer">
-                <div className="image-container" onClick={() => openModal(results.images.A, results.urls.A, 'Original Site')}>
+              <div className={`comparison-viewer ${imageSrc(results, 'ssim') ? 'with-ssim-map' : ''}`}>
+                <div className="image-container" onClick={() => openModal(imageSrc(results, 'A'), results.urls.A, 'Original Site')}>
                   <h4>Original Site</h4>
                   <img
-                    src={`data:image/png;base64,${results.images.A}`}
+                    src={imageSrc(results, 'A')}
                     alt="Original Site Screenshot"
                     className="comparison-image"
                   />
@@ -987,10 +1746,10 @@ function App() {
                   </p>
                 </div>
 
-                <div className="image-container" onClick={() => openModal(results.images.B, results.urls.B, 'Migrated Site')}>
+                <div className="image-container" onClick={() => openModal(imageSrc(results, 'B'), results.urls.B, 'Migrated Site')}>
                   <h4>Migrated Site</h4>
                   <img
-                    src={`data:image/png;base64,${results.images.B}`}
+                    src={imageSrc(results, 'B')}
                     alt="Migrated Site Screenshot"
                     className="comparison-image"
                   />
@@ -1019,19 +1778,38 @@ function App() {
                   </p>
                 </div>
 
-                <div className="image-container" onClick={() => openModal(results.images.diff, 'Visual Diff', 'Visual Diff')}>
+                <div className="image-container" onClick={() => openModal(imageSrc(results, 'diff'), 'Visual Diff', 'Visual Diff')}>
                   <h4>Visual Diff</h4>
                   <img
-                    src={`data:image/png;base64,${results.images.diff}`}
+                    src={imageSrc(results, 'diff')}
                     alt="Visual Difference"
                     className="comparison-image"
                   />
                   <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
-                    Red = Changes detected
+                    Red = Changes detected{results.metrics.dimensions?.paddingChangedPixels > 0 && ' • Magenta = Only on one page'}{results.metrics.alignment?.aligned && ' • Green / Orange / Blue rows = Inserted / Removed / Moved'}{results.metrics.ignoredPixels > 0 && ' • Hatched = Ignored regions'}
                   </p>
                 </div>
+
+                {imageSrc(results, 'ssim') && (
+                  <div className="image-container" onClick={() => openModal(imageSrc(results, 'ssim'), 'SSIM Map', 'SSIM Map')}>
+                    <h4>SSIM Map</h4>
+                    <img
+                      src={imageSrc(results, 'ssim')}
+                      alt="Structural similarity per tile"
+                      className="comparison-image ssim-map"
+                    />
+                    <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+                      Green = Similar • Red = Structure changed{results.metrics.ssim?.lowTiles > 0 && ` • ${results.metrics.ssim.lowTiles} tiles below 0.9`}
+                    </p>
+                  </div>
+                )}
               </div>
 
+              <RegionNavigator
+                metrics={results.metrics}
+                images={{ A: imageSrc(results, 'A'), B: imageSrc(results, 'B'), diff: imageSrc(results, 'diff') }}
+              />
+
               {/* Metadata */}
               <div style={{ marginTop: '2rem', padding: '1rem', background: 'var(--background-color)', borderRadius: '8px' }}>
                 <h4 style={{ margin: '0 0 1rem 0', color: 'var(--text-secondary)' }}>Comparison Details</h4>
@@ -1040,6 +1818,24 @@ function App() {
                   <p><strong>Completed:</strong> {new Date(results.metadata.A.timestamp).toLocaleString()}</p>
                   <p><strong>Threshold:</strong> {results.metrics.threshold}</p>
                   <p><strong>Anti-aliasing:</strong> {results.metrics.includeAA ? 'Enabled' : 'Disabled'}</p>
+                  {results.har && (
+                    <p>
+                      <strong>Network:</strong> {results.har.mode === 'record'
+                        ? 'Recorded to HAR files'
+                        : `Replayed from comparison ${results.har.comparisonId}`}
+                      {results.har.mode === 'record' && (
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={useRecordingForReplay}
+                          style={{ marginLeft: '1rem' }}
+                        >
+                          <RotateCcw size={16} />
+                          Replay this recording
+                        </button>
+                      )}
+                    </p>
+                  )}
                 </div>
               </div>
             </section>
@@ -1056,9 +1852,9 @@ function App() {
       )}
 
       {/* Batch Results Modal */}
-      {showBatchResults && batchResults.length > 0 && (
+      {showBatchResults && batchId && (
         <BatchResults
-          results={batchResults}
+          batchId={batchId}
           onClose={handleBatchResultsClose}
           onNewComparison={handleNewComparison}
         />
@@ -1072,7 +1868,7 @@ function App() {
               <X size={20} />
             </button>
             <h3>{modalTitle}</h3>
-            <img src={`data:image/png;base64,${modalImage}`} alt={modalTitle} />
+            <img src={modalImage} alt={modalTitle} />
             <p>{modalUrl}</p>
           </div>
         </div>
@@ -1086,7 +1882,10 @@ function App() {
       
       {currentPage === 'compare' ? renderComparePage() : 
        currentPage === 'text-extraction' ? <TextExtraction /> :
-       <History onDeleteComparison={handleDeleteComparison} />}
+       currentPage === 'baselines' ? <Baselines /> :
+       currentPage === 'schedules' ? <Schedules /> :
+       currentPage === 'trends' ? <Trends initialSeries={trendSeries} /> :
+       <History onDeleteComparison={handleDeleteComparison} onShowTrend={handleShowTrend} />}
     </div>
   );
 }
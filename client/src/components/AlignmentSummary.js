@@ -0,0 +1,78 @@
+import React from 'react';
+import { AlignVerticalDistributeStart } from 'lucide-react';
+import { BAND_TYPES, describeBand } from '../utils/alignment';
+import './AlignmentSummary.css';
+
+// Only the first bands are listed; the counts cover all of them
+const LISTED_BANDS = 12;
+
+// Inserted, removed and moved rows found by a vertically aligned comparison
+const AlignmentSummary = ({ metrics }) => {
+  const alignment = metrics?.alignment;
+  if (!alignment) return null;
+
+  if (!alignment.aligned) {
+    return (
+      <div className="alignment-summary">
+        <div className="alignment-header">
+          <AlignVerticalDistributeStart size={18} />
+          <strong>Rows could not be aligned</strong>
+        </div>
+        <div className="alignment-note">{alignment.reason}; the screenshots were compared without alignment.</div>
+      </div>
+    );
+  }
+
+  const counts = {
+    inserted: alignment.insertedRows,
+    removed: alignment.removedRows,
+    moved: alignment.movedRows,
+    changed: alignment.changedRows
+  };
+  const bands = alignment.bands || [];
+
+  return (
+    <div className="alignment-summary">
+      <div className="alignment-header">
+        <AlignVerticalDistributeStart size={18} />
+        <strong>Aligned rows</strong>
+        <span className="alignment-note">
+          {alignment.matchedRows.toLocaleString()} rows match
+          {alignment.offset !== 0 && `, most of them shifted ${alignment.offset > 0 ? 'down' : 'up'} ${Math.abs(alignment.offset)}px in B`}
+        </span>
+      </div>
+
+      <div className="alignment-counts">
+        {Object.entries(BAND_TYPES).map(([type, { label, color }]) => (
+          <span key={type} className="alignment-count">
+            <span className="band-swatch" style={{ background: color }} />
+            {label}: {counts[type].toLocaleString()} rows
+          </span>
+        ))}
+      </div>
+
+      {bands.length > 0 && (
+        <ul className="alignment-bands">
+          {bands.slice(0, LISTED_BANDS).map(band => (
+            <li key={`${band.type}-${band.y}`}>
+              <span className="band-swatch" style={{ background: BAND_TYPES[band.type].color }} />
+              <span className="band-type">{BAND_TYPES[band.type].label}</span>
+              <span>{band.height}px</span>
+              <span className="band-rows">{describeBand(band)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {alignment.bandCount > LISTED_BANDS && (
+        <div className="alignment-note">and {(alignment.bandCount - LISTED_BANDS).toLocaleString()} more bands</div>
+      )}
+      {alignment.bandPixels > 0 && (
+        <div className="alignment-note">
+          {alignment.bandPixels.toLocaleString()} pixels in inserted, removed and moved rows are not counted as changed.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlignmentSummary;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Trash2, ShieldCheck, Calendar, User, Monitor, ChevronDown, ChevronRight } from 'lucide-react';
+import { fetchBaselines, fetchBaseline, deleteBaseline } from '../utils/baselines';
+import './History.css';
+import './Baselines.css';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Unknown');
+
+// Device option as sent with the comparison: a device name, a descriptor or a custom viewport
+const describeViewport = (baseline) => {
+  const device = baseline.options?.device;
+  const name = typeof device === 'string' ? device : device?.name || device?.descriptor;
+  const viewport = baseline.current?.viewport;
+  const size = viewport ? `${viewport.width} × ${viewport.height}` : null;
+
+  return [name, size].filter(Boolean).join(' · ') || 'Default viewport';
+};
+
+const Baselines = () => {
+  const [baselines, setBaselines] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  const loadBaselines = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setBaselines(await fetchBaselines({ q: searchTerm.trim() }));
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load baselines:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [searchTerm]);
+
+  // Searching waits for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(loadBaselines, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadBaselines, searchTerm]);
+
+  // Version history is loaded the first time a baseline is expanded
+  const toggleVersions = async (key) => {
+    if (expanded[key]) {
+      setExpanded(({ [key]: _, ...rest }) => rest);
+      return;
+    }
+
+    setExpanded(prev => ({ ...prev, [key]: { loading: true } }));
+    try {
+      const baseline = await fetchBaseline(key);
+      setExpanded(prev => ({ ...prev, [key]: { versions: baseline.versions } }));
+    } catch (error) {
+      console.error('Failed to load baseline versions:', error);
+      setExpanded(prev => ({ ...prev, [key]: { error: error.response?.data?.error || error.message } }));
+    }
+  };
+
+  const removeBaseline = async (baseline) => {
+    if (!window.confirm(`Delete the baseline for ${baseline.url} with all ${baseline.versionCount} versions? This action cannot be undone.`)) return;
+
+    try {
+      await deleteBaseline(baseline.key);
+      loadBaselines();
+    } catch (error) {
+      console.error('Failed to delete baseline:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const renderVersions = (baseline) => {
+    const state = expanded[baseline.key];
+    if (state.loading) {
+      return <div className="baseline-versions">Loading versions...</div>;
+    }
+    if (state.error) {
+      return <div className="baseline-versions item-error">{state.error}</div>;
+    }
+
+    return (
+      <div className="baseline-versions">
+        {state.versions.map(version => (
+          <div key={version.version} className="baseline-version">
+            <a href={version.image.url} target="_blank" rel="noopener noreferrer">
+              <img src={version.image.thumbnail} alt={`Baseline version ${version.version}`} loading="lazy" />
+            </a>
+            <div className="baseline-version-info">
+              <strong>
+                Version {version.version}
+                {version.version === baseline.currentVersion && <span className="batch-badge">Current</span>}
+              </strong>
+              <span>Approved by {version.approvedBy || 'unknown'} on {formatDate(version.approvedAt)}</span>
+              {version.note && <span className="baseline-note">{version.note}</span>}
+              {version.comparisonId && (
+                <span className="baseline-source">From side {version.side} of comparison {version.comparisonId}</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="history-page">
+      <header className="history-header">
+        <div className="container">
+          <h1><ShieldCheck size={48} /> Approved Baselines</h1>
+          <p>Screenshots approved as the expected look of a page. Compare a single URL against its baseline from the Compare page.</p>
+        </div>
+      </header>
+
+      <main className="history-content">
+        <div className="container">
+          <div className="history-controls">
+            <div className="search-section">
+              <div className="search-input">
+                <Search size={20} />
+                <input
+                  type="text"
+                  placeholder="Search by URL..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
+            </div>
+          </div>
+
+          {loadError && (
+            <div className="error-message">{loadError}</div>
+          )}
+
+          {baselines.length === 0 ? (
+            <div className="empty-history">
+              <ShieldCheck size={64} />
+              <h3>{isLoading ? 'Loading baselines...' : 'No baselines found'}</h3>
+              {!isLoading && (
+                <p>
+                  {searchTerm
+                    ? 'No baselines match your search.'
+                    : 'Approve the screenshot of a comparison result to make it the baseline for that page.'}
+                </p>
+              )}
+            </div>
+          ) : (
+            <div className="history-list">
+              {baselines.map(baseline => (
+                <div key={baseline.key} className="history-item status-success">
+                  <div className="item-header">
+                    <div className="item-status">
+                      <span className="status-text">Version {baseline.current?.version}</span>
+                      <span className="baseline-count">{baseline.versionCount} approved</span>
+                    </div>
+
+                    <div className="item-actions">
+                      <button
+                        onClick={() => toggleVersions(baseline.key)}
+                        className="btn btn-secondary"
+                        title="Show version history"
+                      >
+                        {expanded[baseline.key] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                        Versions
+                      </button>
+                      <button
+                        onClick={() => removeBaseline(baseline)}
+                        className="btn btn-danger"
+                        title="Delete baseline"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="item-content">
+                    {baseline.image && (
+                      <img
+                        src={baseline.image.thumbnail}
+                        alt="Baseline thumbnail"
+                        className="item-thumbnail"
+                        loading="lazy"
+                      />
+                    )}
+                    <div className="urls-section">
+                      <div className="url-item">
+                        <span className="url-label">Page:</span>
+                        <span className="url-value" title={baseline.url}>{baseline.url}</span>
+                      </div>
+                    </div>
+
+                    <div className="metrics-section">
+                      <div className="metric">
+                        <Monitor size={16} />
+                        <span>{describeViewport(baseline)} · {baseline.options?.browser || 'chromium'}</span>
+                      </div>
+                      <div className="metric">
+                        <User size={16} />
+                        <span>{baseline.current?.approvedBy || 'unknown'}</span>
+                      </div>
+                      <div className="metric">
+                        <Calendar size={16} />
+                        <span>{formatDate(baseline.current?.approvedAt)}</span>
+                      </div>
+                    </div>
+
+                    {baseline.current?.note && (
+                      <div className="baseline-note">{baseline.current.note}</div>
+                    )}
+                  </div>
+
+                  {expanded[baseline.key] && renderVersions(baseline)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Baselines;
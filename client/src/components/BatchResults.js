@@ -1,24 +1,81 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronLeft, ChevronRight, Download, Eye, EyeOff, RotateCcw, FileText, CheckCircle, AlertCircle, Clock } from 'lucide-react';
+import { ChevronLeft, ChevronRight, Download, Eye, EyeOff, RotateCcw, FileText, CheckCircle, AlertCircle, Clock, X } from 'lucide-react';
+import { watchBatch, fetchBatchRowResult, cancelBatch, isBatchFinished } from '../utils/batchJobs';
+import { imageSrc, hasImages } from '../utils/artifacts';
+import { REVIEW_STATES, REVIEW_CSV_HEADERS, reviewCsvColumns, reviewLabel } from '../utils/reviews';
+import ReviewPanel from './ReviewPanel';
+import DimensionWarning from './DimensionWarning';
+import AlignmentSummary from './AlignmentSummary';
+import RegionNavigator from './RegionNavigator';
 import './BatchResults.css';
 
-const BatchResults = ({ results, onClose, onNewComparison }) => {
+// Rows in the shape the list and downloads expect: error is a message, id the comparison id
+const toResult = (row) => ({
+  ...row,
+  id: row.comparisonId,
+  error: row.error && row.status !== 'pending' && row.status !== 'running' ? row.error.error : null,
+  errorDetails: row.error && { code: row.error.code, suggestion: 'Try processing this comparison individually' }
+});
+
+/**
+ * Live view of a server-side batch. It attaches to the batch by id, so it
+ * works both for a batch that is still running and for a finished one.
+ */
+const BatchResults = ({ batchId, onClose, onNewComparison }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [showDetails, setShowDetails] = useState(true);
   const [filterStatus, setFilterStatus] = useState('all'); // all, success, error
-
-  const currentResult = results[currentIndex];
+  const [filterReview, setFilterReview] = useState('all');
+  const [reviews, setReviews] = useState({});
+  const [batch, setBatch] = useState(null);
+  const [rowResults, setRowResults] = useState({});
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => watchBatch(batchId, setBatch, {
+    onError: err => setLoadError(err.response?.data?.error || err.message)
+  }), [batchId]);
+
+  // Reviews made here win over the ones the batch was loaded with
+  const results = (batch?.rows || []).map(row => toResult(reviews[row.index] ? { ...row, review: reviews[row.index] } : row));
+  const isRunning = Boolean(batch) && !isBatchFinished(batch);
+
+  // Images are only fetched for the row being looked at
+  const selectedRow = results[currentIndex];
+  const selectedIndex = selectedRow?.status === 'completed' ? selectedRow.index : null;
+  useEffect(() => {
+    if (selectedIndex === null || rowResults[selectedIndex]) return;
+
+    fetchBatchRowResult(batchId, selectedIndex)
+      .then(result => setRowResults(prev => ({ ...prev, [selectedIndex]: result })))
+      .catch(err => console.error(`Failed to load row ${selectedIndex + 1}:`, err));
+  }, [batchId, selectedIndex, rowResults]);
+
+  // Rows only carry a summary of their review; the fetched result has its comments
+  const currentResult = selectedRow && {
+    ...selectedRow,
+    ...rowResults[selectedRow.index],
+    review: reviews[selectedRow.index] || rowResults[selectedRow.index]?.review || selectedRow.review
+  };
   const totalResults = results.length;
 
-  // Filter results based on status
+  // Filter results based on status and review state
   const filteredResults = results.filter(result => {
+    if (filterReview !== 'all' && (result.status !== 'completed' || (result.review?.state || 'unreviewed') !== filterReview)) {
+      return false;
+    }
     if (filterStatus === 'all') return true;
-    if (filterStatus === 'success') return !result.error;
+    if (filterStatus === 'success') return result.status === 'completed';
     if (filterStatus === 'error') return result.error;
     return true;
   });
 
-  const successCount = results.filter(r => !r.error).length;
+  const reviewCount = state => results.filter(r => r.status === 'completed' && (r.review?.state || 'unreviewed') === state).length;
+
+  const handleReviewed = (index, review) => {
+    setReviews(prev => ({ ...prev, [index]: review }));
+  };
+
+  const successCount = results.filter(r => r.status === 'completed').length;
   const errorCount = results.filter(r => r.error).length;
 
   const navigateToResult = (index) => {
@@ -55,19 +112,22 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
   const downloadAllResultsCSV = () => {
     // Create CSV content with the same columns as single comparison
     const csvContent = [
-      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL']
+      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL', ...REVIEW_CSV_HEADERS]
     ];
 
     // Add data rows
     results.forEach((result, index) => {
-      if (result.error) {
-        // For failed comparisons
+      if (result.status !== 'completed') {
+        // For failed and unfinished comparisons
         csvContent.push([
           result.urlA || 'N/A',
           result.urlB || 'N/A',
           '✗',
           '✗',
-          `Failed comparison ${index + 1}`
+          `${result.error ? 'Failed' : 'Unfinished'} comparison ${index + 1}`,
+          '',
+          '',
+          ''
         ]);
       } else {
         // For successful comparisons
@@ -80,7 +140,8 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
           result.urlB || result.urls?.B || 'N/A',
           isContentGood ? '✓' : '✗',
           isLayoutGood ? '✓' : '✗',
-          `Comparison ID: ${result.id || `batch-${index + 1}`}`
+          `Comparison ID: ${result.id || `batch-${index + 1}`}`,
+          ...reviewCsvColumns(result.review)
         ]);
       }
     });
@@ -101,7 +162,7 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
   };
 
   const downloadCurrentResult = () => {
-    if (!currentResult || currentResult.error) return;
+    if (!currentResult) return;
     
     const dataStr = JSON.stringify(currentResult, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -114,17 +175,18 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
   };
 
   const downloadCurrentResultCSV = () => {
-    if (!currentResult || currentResult.error) return;
+    if (!currentResult || currentResult.status !== 'completed') return;
     
     // Create CSV content with the same columns as other CSV downloads
     const csvContent = [
-      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL'],
+      ['Original Site', 'Migrated Site', 'Content', 'Layout', 'Diff URL', ...REVIEW_CSV_HEADERS],
       [
         currentResult.urlA || currentResult.urls?.A || 'N/A',
         currentResult.urlB || currentResult.urls?.B || 'N/A',
         (currentResult.metrics?.mismatchPercent || 0) < 10 ? '✓' : '✗',
         (currentResult.metrics?.mismatchPercent || 0) < 10 ? '✓' : '✗',
-        `Comparison ID: ${currentResult.id || 'N/A'}`
+        `Comparison ID: ${currentResult.id || 'N/A'}`,
+        ...reviewCsvColumns(currentResult.review)
       ]
     ];
 
@@ -147,13 +209,25 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
     if (result.error) {
       return <AlertCircle size={16} className="status-icon error" />;
     }
+    if (result.status !== 'completed') {
+      return <Clock size={16} className="status-icon pending" />;
+    }
     return <CheckCircle size={16} className="status-icon success" />;
   };
 
   const getStatusText = (result) => {
+    if (result.status === 'cancelled') {
+      return 'Cancelled';
+    }
     if (result.error) {
       return 'Failed';
     }
+    if (result.status === 'running') {
+      return `${Math.round(result.progress)}%${result.attempts > 1 ? ` (try ${result.attempts})` : ''}`;
+    }
+    if (result.status === 'pending') {
+      return 'Pending';
+    }
     return 'Success';
   };
 
@@ -161,16 +235,45 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
     if (result.error) {
       return 'status-failed';
     }
+    if (result.status !== 'completed') {
+      return 'status-pending';
+    }
     return 'status-success';
   };
 
+  const handleCancelBatch = () => {
+    cancelBatch(batchId).catch(err => {
+      console.error('Cancel failed:', err);
+    });
+  };
+
+  if (!batch) {
+    return (
+      <div className="batch-results-overlay">
+        <div className="batch-results-modal">
+          <div className="modal-header">
+            <div className="header-content">
+              <h2><FileText size={24} /> Batch Comparison Results</h2>
+              <p>{loadError || 'Loading batch...'}</p>
+            </div>
+            <div className="header-actions">
+              <button onClick={onClose} className="close-btn">
+                ×
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="batch-results-overlay">
       <div className="batch-results-modal">
         {/* Header */}
         <div className="modal-header">
           <div className="header-content">
-            <h2><FileText size={24} /> Batch Comparison Results</h2>
+            <h2><FileText size={24} /> {isRunning ? 'Batch Comparison in Progress' : 'Batch Comparison Results'}</h2>
             <div className="results-summary">
               <span className="summary-item">
                 <CheckCircle size={16} />
@@ -182,7 +285,7 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
               </span>
               <span className="summary-item">
                 <Clock size={16} />
-                {totalResults} Total
+                {isRunning ? `${batch.counts.pending + batch.counts.running} Remaining of ${totalResults}` : `${totalResults} Total`}
               </span>
             </div>
           </div>
@@ -214,6 +317,17 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
               <option value="success">Successful ({successCount})</option>
               <option value="error">Failed ({errorCount})</option>
             </select>
+            <label>Review:</label>
+            <select
+              value={filterReview}
+              onChange={(e) => setFilterReview(e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Reviews</option>
+              {REVIEW_STATES.map(option => (
+                <option key={option.value} value={option.value}>{option.label} ({reviewCount(option.value)})</option>
+              ))}
+            </select>
           </div>
 
           <div className="navigation-controls">
@@ -243,15 +357,18 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
 
         {/* Results List */}
         <div className="results-list">
-          {filteredResults.map((result, index) => (
+          {filteredResults.map((result) => (
             <div
-              key={index}
-              className={`result-item ${index === currentIndex ? 'active' : ''} ${getStatusClass(result)}`}
-              onClick={() => setCurrentIndex(index)}
+              key={result.index}
+              className={`result-item ${result.index === currentIndex ? 'active' : ''} ${getStatusClass(result)}`}
+              onClick={() => setCurrentIndex(result.index)}
             >
               <div className="result-status">
                 {getStatusIcon(result)}
                 <span className="status-text">{getStatusText(result)}</span>
+                {result.review && result.review.state !== 'unreviewed' && (
+                  <span className={`review-state review-state-${result.review.state}`}>{reviewLabel(result.review.state)}</span>
+                )}
               </div>
               
               <div className="result-urls">
@@ -309,7 +426,7 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
                 <button
                   onClick={downloadCurrentResultCSV}
                   className="btn btn-secondary"
-                  disabled={currentResult.error}
+                  disabled={currentResult.status !== 'completed'}
                 >
                   <FileText size={16} />
                   CSV
@@ -317,7 +434,14 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
               </div>
             </div>
 
-            {currentResult.error ? (
+            {currentResult.status === 'pending' || currentResult.status === 'running' ? (
+              <div className="pending-details">
+                <Clock size={20} />
+                {currentResult.status === 'running'
+                  ? ` Comparing... ${currentResult.phase ? `(${currentResult.phase})` : ''}`
+                  : ' Waiting for a free slot'}
+              </div>
+            ) : currentResult.error ? (
               <div className="error-details">
                 <div className="error-message">
                   <AlertCircle size={20} />
@@ -331,6 +455,9 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
               </div>
             ) : (
               <div className="success-details">
+                <DimensionWarning metrics={currentResult.metrics} />
+                <AlignmentSummary metrics={currentResult.metrics} />
+
                 {/* Metrics */}
                 <div className="metrics-grid">
                   <div className="metric-card">
@@ -342,8 +469,10 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
                     <div className="metric-label">Changed Pixels</div>
                   </div>
                   <div className="metric-card">
-                    <div className="metric-value">{currentResult.metrics?.ssimScore}</div>
-                    <div className="metric-label">SSIM Score</div>
+                    <div className="metric-value">{currentResult.metrics?.ssimScore ?? '—'}</div>
+                    <div className="metric-label">
+                      SSIM Score{currentResult.metrics?.ssim?.msSsim != null && ` · MS-SSIM ${currentResult.metrics.ssim.msSsim}`}
+                    </div>
                   </div>
                   <div className="metric-card">
                     <div className="metric-value">{currentResult.metrics?.width} × {currentResult.metrics?.height}</div>
@@ -351,13 +480,18 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
                   </div>
                 </div>
 
+                <ReviewPanel
+                  comparison={currentResult}
+                  onReviewed={review => handleReviewed(currentResult.index, review)}
+                />
+
                 {/* Images */}
-                {currentResult.images && (
+                {hasImages(currentResult) && (
                   <div className="comparison-images">
                     <div className="image-container">
                       <h4>Original Site</h4>
                       <img
-                        src={`data:image/png;base64,${currentResult.images.A}`}
+                        src={imageSrc(currentResult, 'A')}
                         alt="Original Site Screenshot"
                         className="comparison-image"
                       />
@@ -365,7 +499,7 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
                     <div className="image-container">
                       <h4>Migrated Site</h4>
                       <img
-                        src={`data:image/png;base64,${currentResult.images.B}`}
+                        src={imageSrc(currentResult, 'B')}
                         alt="Migrated Site Screenshot"
                         className="comparison-image"
                       />
@@ -373,13 +507,28 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
                     <div className="image-container">
                       <h4>Visual Diff</h4>
                       <img
-                        src={`data:image/png;base64,${currentResult.images.diff}`}
+                        src={imageSrc(currentResult, 'diff')}
                         alt="Visual Difference"
                         className="comparison-image"
                       />
                     </div>
+                    {imageSrc(currentResult, 'ssim') && (
+                      <div className="image-container">
+                        <h4>SSIM Map</h4>
+                        <img
+                          src={imageSrc(currentResult, 'ssim')}
+                          alt="Structural similarity per tile"
+                          className="comparison-image ssim-map"
+                        />
+                      </div>
+                    )}
                   </div>
                 )}
+
+                <RegionNavigator
+                  metrics={currentResult.metrics}
+                  images={{ A: imageSrc(currentResult, 'A'), B: imageSrc(currentResult, 'B'), diff: imageSrc(currentResult, 'diff') }}
+                />
               </div>
             )}
           </div>
@@ -402,6 +551,15 @@ const BatchResults = ({ results, onClose, onNewComparison }) => {
               <FileText size={16} />
               Download CSV
             </button>
+            {isRunning && (
+              <button
+                onClick={handleCancelBatch}
+                className="btn btn-secondary"
+              >
+                <X size={16} />
+                Cancel Batch
+              </button>
+            )}
             <button
               onClick={onNewComparison}
               className="btn btn-primary"
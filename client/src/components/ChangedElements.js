@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Code2, Copy, Check } from 'lucide-react';
+import { severityLevel } from '../utils/regions';
+import './ChangedElements.css';
+
+/**
+ * Elements the changed regions were traced to, from metrics.changedElements,
+ * most severe first. Clicking one selects its first region.
+ */
+const ChangedElements = ({ elements, onSelectRegion }) => {
+  const [copied, setCopied] = useState(null);
+
+  if (!elements || elements.length === 0) return null;
+
+  const copySelector = async (event, selector) => {
+    event.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(selector);
+      setCopied(selector);
+      setTimeout(() => setCopied(current => (current === selector ? null : current)), 1500);
+    } catch (error) {
+      console.error('Failed to copy selector:', error);
+    }
+  };
+
+  return (
+    <div className="changed-elements">
+      <div className="changed-elements-title">
+        <Code2 size={18} />
+        <strong>Changed Elements</strong>
+      </div>
+
+      <table className="changed-elements-table">
+        <thead>
+          <tr>
+            <th>Selector</th>
+            <th>Sides</th>
+            <th>Regions</th>
+            <th>Changed Pixels</th>
+            <th>Severity</th>
+          </tr>
+        </thead>
+        <tbody>
+          {elements.map(element => (
+            <tr key={element.selector} onClick={() => onSelectRegion(element.regions[0])} title="Show its first region">
+              <td>
+                <div className="element-selector">
+                  <code>{element.selector}</code>
+                  <button
+                    type="button"
+                    className="copy-selector"
+                    onClick={(e) => copySelector(e, element.selector)}
+                    title="Copy selector"
+                  >
+                    {copied === element.selector ? <Check size={14} /> : <Copy size={14} />}
+                  </button>
+                </div>
+                {element.text && <div className="element-text">&lt;{element.tag}&gt; {element.text}</div>}
+              </td>
+              <td>{Object.keys(element.sides).join(' + ')}</td>
+              <td>{element.regions.join(', ')}</td>
+              <td>{element.pixels.toLocaleString()}</td>
+              <td><span className={`region-severity ${severityLevel(element.severity)}`}>{element.severity}</span></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ChangedElements;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { describeDimensionMismatch } from '../utils/dimensions';
+import './DimensionWarning.css';
+
+// Banner shown when the two screenshots were not the same size
+const DimensionWarning = ({ metrics }) => {
+  const mismatch = describeDimensionMismatch(metrics);
+  if (!mismatch) return null;
+
+  return (
+    <div className="dimension-warning">
+      <AlertTriangle size={20} />
+      <div>
+        <strong>Page sizes differ</strong>
+        <div>{mismatch.sizes}.</div>
+        <div>{mismatch.handling}.</div>
+      </div>
+    </div>
+  );
+};
+
+export default DimensionWarning;
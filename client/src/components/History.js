@@ -1,63 +1,89 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Filter, Download, Trash2, Eye, Calendar, BarChart3, Globe, FileText, Users } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Download, Trash2, Eye, Calendar, BarChart3, Globe, FileText, Users, ChevronLeft, ChevronRight, ShieldCheck, TrendingUp, AlertTriangle } from 'lucide-react';
+import { fetchComparisons, fetchComparison, deleteComparison as deleteStoredComparison } from '../utils/comparisonHistory';
+import { imageSrc, hasImages, downloadImage } from '../utils/artifacts';
+import { REVIEW_STATES, reviewLabel } from '../utils/reviews';
+import { trendOf } from '../utils/trends';
+import { describeDimensionMismatch } from '../utils/dimensions';
+import ReviewPanel from './ReviewPanel';
+import DimensionWarning from './DimensionWarning';
+import AlignmentSummary from './AlignmentSummary';
+import RegionNavigator from './RegionNavigator';
 import './History.css';
 
-const History = ({ onDeleteComparison }) => {
-  const [history, setHistory] = useState([]);
+const PAGE_SIZE = 20;
+
+const History = ({ onDeleteComparison, onShowTrend }) => {
+  const [history, setHistory] = useState({ items: [], total: 0, page: 1, pages: 1 });
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('date');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [filterReview, setFilterReview] = useState('all');
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [selectedComparison, setSelectedComparison] = useState(null);
   const [showModal, setShowModal] = useState(false);
 
-  useEffect(() => {
-    loadHistory();
-  }, []);
-
-  const loadHistory = () => {
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
     try {
-      const saved = localStorage.getItem('comparisonHistory');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (Array.isArray(parsed)) {
-          setHistory(parsed);
-        }
-      }
+      setHistory(await fetchComparisons({
+        q: searchTerm.trim(),
+        status: filterStatus === 'all' ? '' : filterStatus,
+        review: filterReview === 'all' ? '' : filterReview,
+        sort: sortBy,
+        page,
+        pageSize: PAGE_SIZE
+      }));
+      setLoadError(null);
     } catch (error) {
       console.error('Failed to load history:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    } finally {
+      setIsLoading(false);
     }
-  };
+  }, [searchTerm, filterStatus, filterReview, sortBy, page]);
 
-  const saveHistory = (newHistory) => {
-    try {
-      localStorage.setItem('comparisonHistory', JSON.stringify(newHistory));
-      setHistory(newHistory);
-    } catch (error) {
-      console.error('Failed to save history:', error);
-    }
-  };
+  // Searching waits for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(loadHistory, searchTerm ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [loadHistory, searchTerm]);
 
-  const deleteComparison = (id) => {
-    const newHistory = history.filter(item => item.id !== id);
-    saveHistory(newHistory);
-    if (onDeleteComparison) {
-      onDeleteComparison(id);
-    }
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
   };
 
-  const clearHistory = () => {
-    if (window.confirm('Are you sure you want to clear all comparison history? This action cannot be undone.')) {
-      localStorage.removeItem('comparisonHistory');
-      setHistory([]);
-      setSelectedComparison(null);
-      setShowModal(false);
+  const deleteComparison = async (id) => {
+    if (!window.confirm('Delete this comparison for everyone? This action cannot be undone.')) return;
+
+    try {
+      await deleteStoredComparison(id);
+      if (onDeleteComparison) {
+        onDeleteComparison(id);
+      }
+      loadHistory();
+    } catch (error) {
+      console.error('Failed to delete comparison:', error);
+      setLoadError(error.response?.data?.error || error.message);
     }
   };
 
-  const downloadComparison = (comparison) => {
+  // Downloads keep the screenshots inside the JSON, as they always have
+  const downloadComparison = async (comparison) => {
     if (!comparison || comparison.error) return;
     
-    const dataStr = JSON.stringify(comparison, null, 2);
+    let fullComparison;
+    try {
+      fullComparison = await fetchComparison(comparison.id, { inlineImages: true });
+    } catch (error) {
+      console.error('Failed to load comparison:', error);
+      return;
+    }
+
+    const dataStr = JSON.stringify(fullComparison, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(dataBlob);
@@ -67,18 +93,22 @@ const History = ({ onDeleteComparison }) => {
     document.body.removeChild(link);
   };
 
-  const downloadImage = (base64Data, filename) => {
-    const link = document.createElement('a');
-    link.href = `data:image/png;base64,${base64Data}`;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
-
-  const openComparison = (comparison) => {
+  // The list only has summaries; screenshots are loaded when a comparison is opened
+  const openComparison = async (comparison) => {
     setSelectedComparison(comparison);
     setShowModal(true);
+
+    try {
+      setSelectedComparison(await fetchComparison(comparison.id));
+    } catch (error) {
+      console.error('Failed to load comparison:', error);
+    }
+  };
+
+  // The list shows the new state right away; the modal keeps the full review
+  const handleReviewed = (review) => {
+    setSelectedComparison(prev => ({ ...prev, review }));
+    loadHistory();
   };
 
   const closeModal = () => {
@@ -86,43 +116,7 @@ const History = ({ onDeleteComparison }) => {
     setSelectedComparison(null);
   };
 
-  // Filter and sort history
-  const filteredHistory = history
-    .filter(item => {
-      // Search filter
-      const searchMatch = !searchTerm || 
-        item.urls?.A?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.urls?.B?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (item.urlA && item.urlA.toLowerCase().includes(searchTerm.toLowerCase())) ||
-        (item.urlB && item.urlB.toLowerCase().includes(searchTerm.toLowerCase()));
-      
-      // Status filter
-      let statusMatch = true;
-      if (filterStatus === 'success') {
-        statusMatch = !item.error;
-      } else if (filterStatus === 'error') {
-        statusMatch = !!item.error;
-      }
-      
-      return searchMatch && statusMatch;
-    })
-    .sort((a, b) => {
-      switch (sortBy) {
-        case 'date':
-          const dateA = new Date(a.metadata?.A?.timestamp || a.timestamp || 0);
-          const dateB = new Date(b.metadata?.B?.timestamp || b.timestamp || 0);
-          return dateB - dateA;
-        case 'mismatch':
-          if (a.error || b.error) return 0;
-          return (b.metrics?.mismatchPercent || 0) - (a.metrics?.mismatchPercent || 0);
-        case 'urls':
-          const urlA = (a.urls?.A || a.urlA || '').toLowerCase();
-          const urlB = (b.urls?.B || b.urlB || '').toLowerCase();
-          return urlA.localeCompare(urlB);
-        default:
-          return 0;
-      }
-    });
+  const filteredHistory = history.items;
 
   const getStatusIcon = (item) => {
     if (item.error) {
@@ -154,7 +148,7 @@ const History = ({ onDeleteComparison }) => {
   };
 
   const getTimestamp = (item) => {
-    const timestamp = item.metadata?.A?.timestamp || item.timestamp;
+    const timestamp = item.createdAt || item.metadata?.A?.timestamp || item.timestamp;
     if (timestamp) {
       return new Date(timestamp).toLocaleString();
     }
@@ -171,15 +165,15 @@ const History = ({ onDeleteComparison }) => {
     return item.metrics.changedPixels?.toLocaleString() || 'N/A';
   };
 
-  const isBatchResult = (item) => {
-    return item.batchIndex !== undefined;
+  const getErrorMessage = (item) => {
+    return typeof item.error === 'string' ? item.error : item.error?.error;
   };
 
   const getBatchInfo = (item) => {
-    if (!isBatchResult(item)) return null;
+    if (!item.batch) return null;
     return {
-      batchIndex: item.batchIndex,
-      originalData: item.originalData
+      batchIndex: item.batch.index,
+      originalData: item.batch.originalData
     };
   };
 
@@ -203,7 +197,7 @@ const History = ({ onDeleteComparison }) => {
                   type="text"
                   placeholder="Search by URL..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={changeFilter(setSearchTerm)}
                 />
               </div>
             </div>
@@ -214,7 +208,7 @@ const History = ({ onDeleteComparison }) => {
                 <select
                   id="sortBy"
                   value={sortBy}
-                  onChange={(e) => setSortBy(e.target.value)}
+                  onChange={changeFilter(setSortBy)}
                 >
                   <option value="date">Date (Newest)</option>
                   <option value="mismatch">Mismatch % (High to Low)</option>
@@ -227,31 +221,42 @@ const History = ({ onDeleteComparison }) => {
                 <select
                   id="filterStatus"
                   value={filterStatus}
-                  onChange={(e) => setFilterStatus(e.target.value)}
+                  onChange={changeFilter(setFilterStatus)}
                 >
                   <option value="all">All Results</option>
-                  <option value="success">Successful</option>
-                  <option value="error">Failed</option>
+                  <option value="completed">Successful</option>
+                  <option value="failed">Failed</option>
                 </select>
               </div>
 
-              <button
-                onClick={clearHistory}
-                className="btn btn-danger"
-                title="Clear all history"
-              >
-                <Trash2 size={16} />
-                Clear All
-              </button>
+              <div className="filter-group">
+                <label htmlFor="filterReview">Review:</label>
+                <select
+                  id="filterReview"
+                  value={filterReview}
+                  onChange={changeFilter(setFilterReview)}
+                >
+                  <option value="all">All Reviews</option>
+                  {REVIEW_STATES.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
 
+          {loadError && (
+            <div className="error-message">{loadError}</div>
+          )}
+
           {/* Results Count */}
           <div className="results-count">
             <span>
-              Showing {filteredHistory.length} of {history.length} comparisons
+              {history.total === 0
+                ? 'No comparisons'
+                : `Showing ${(history.page - 1) * history.pageSize + 1}-${(history.page - 1) * history.pageSize + filteredHistory.length} of ${history.total} comparisons`}
             </span>
-            {filteredHistory.length !== history.length && (
+            {(searchTerm || filterStatus !== 'all' || filterReview !== 'all') && (
               <span className="filtered-note">
                 (filtered results)
               </span>
@@ -262,13 +267,15 @@ const History = ({ onDeleteComparison }) => {
           {filteredHistory.length === 0 ? (
             <div className="empty-history">
               <FileText size={64} />
-              <h3>No comparisons found</h3>
-              <p>
-                {history.length === 0 
-                  ? "You haven't made any comparisons yet. Start comparing websites to see your history here."
-                  : "No comparisons match your current search and filter criteria. Try adjusting your filters."
-                }
-              </p>
+              <h3>{isLoading ? 'Loading comparisons...' : 'No comparisons found'}</h3>
+              {!isLoading && (
+                <p>
+                  {!searchTerm && filterStatus === 'all' && filterReview === 'all'
+                    ? "No comparisons have been stored yet. Start comparing websites to see the history here."
+                    : "No comparisons match your current search and filter criteria. Try adjusting your filters."
+                  }
+                </p>
+              )}
             </div>
           ) : (
             <div className="history-list">
@@ -290,6 +297,27 @@ const History = ({ onDeleteComparison }) => {
                             Batch #{batchInfo.batchIndex + 1}
                           </span>
                         )}
+                        {item.review && item.review.state !== 'unreviewed' && (
+                          <span
+                            className={`review-state review-state-${item.review.state}`}
+                            title={`${reviewLabel(item.review.state)} by ${item.review.updatedBy || 'unknown'}`}
+                          >
+                            {reviewLabel(item.review.state)}
+                            {item.review.commentCount > 0 && ` · ${item.review.commentCount} comment${item.review.commentCount === 1 ? '' : 's'}`}
+                          </span>
+                        )}
+                        {item.baseline && (
+                          <span className="batch-badge" title={`Compared against the baseline approved by ${item.baseline.approvedBy || 'unknown'}`}>
+                            <ShieldCheck size={12} />
+                            Baseline v{item.baseline.version}
+                          </span>
+                        )}
+                        {describeDimensionMismatch(item.metrics) && (
+                          <span className="dimension-badge" title={describeDimensionMismatch(item.metrics).sizes}>
+                            <AlertTriangle size={12} />
+                            Sizes differ
+                          </span>
+                        )}
                       </div>
                       
                       <div className="item-actions">
@@ -301,6 +329,16 @@ const History = ({ onDeleteComparison }) => {
                           <Eye size={16} />
                           View
                         </button>
+                        {onShowTrend && item.capture?.viewport && (
+                          <button
+                            onClick={() => onShowTrend(trendOf(item))}
+                            className="btn btn-secondary"
+                            title="Mismatch of these pages over time"
+                          >
+                            <TrendingUp size={16} />
+                            Trend
+                          </button>
+                        )}
                         <button
                           onClick={() => downloadComparison(item)}
                           className="btn btn-secondary"
@@ -320,7 +358,20 @@ const History = ({ onDeleteComparison }) => {
                       </div>
                     </div>
 
+                    {item.error && (
+                      <div className="item-error">{getErrorMessage(item)}</div>
+                    )}
+
                     <div className="item-content">
+                      {imageSrc(item, 'diff') && (
+                        <img
+                          src={imageSrc(item, 'diff', { thumbnail: true })}
+                          alt="Visual diff thumbnail"
+                          className="item-thumbnail"
+                          loading="lazy"
+                          onClick={() => openComparison(item)}
+                        />
+                      )}
                       <div className="urls-section">
                         <div className="url-item">
                           <span className="url-label">Original Site:</span>
@@ -364,6 +415,28 @@ const History = ({ onDeleteComparison }) => {
               })}
             </div>
           )}
+
+          {history.pages > 1 && (
+            <div className="history-pagination">
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(history.page - 1)}
+                disabled={history.page <= 1}
+              >
+                <ChevronLeft size={16} />
+                Previous
+              </button>
+              <span>Page {history.page} of {history.pages}</span>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setPage(history.page + 1)}
+                disabled={history.page >= history.pages}
+              >
+                Next
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          )}
         </div>
       </main>
 
@@ -380,7 +453,7 @@ const History = ({ onDeleteComparison }) => {
               {selectedComparison.error ? (
                 <div className="error-details">
                   <div className="error-message">
-                    <strong>Error:</strong> {selectedComparison.error}
+                    <strong>Error:</strong> {getErrorMessage(selectedComparison)}
                   </div>
                   {selectedComparison.errorDetails?.suggestion && (
                     <div className="error-suggestion">
@@ -424,6 +497,8 @@ const History = ({ onDeleteComparison }) => {
                   {selectedComparison.metrics && (
                     <div className="detail-section">
                       <h3>Comparison Metrics</h3>
+                      <DimensionWarning metrics={selectedComparison.metrics} />
+                      <AlignmentSummary metrics={selectedComparison.metrics} />
                       <div className="metrics-grid">
                         <div className="metric-card">
                           <div className="metric-value">{selectedComparison.metrics.mismatchPercent}%</div>
@@ -434,8 +509,10 @@ const History = ({ onDeleteComparison }) => {
                           <div className="metric-label">Changed Pixels</div>
                         </div>
                         <div className="metric-card">
-                          <div className="metric-value">{selectedComparison.metrics.ssimScore}</div>
-                          <div className="metric-label">SSIM Score</div>
+                          <div className="metric-value">{selectedComparison.metrics.ssimScore ?? '—'}</div>
+                          <div className="metric-label">
+                            SSIM Score{selectedComparison.metrics.ssim?.msSsim != null && ` · MS-SSIM ${selectedComparison.metrics.ssim.msSsim}`}
+                          </div>
                         </div>
                         <div className="metric-card">
                           <div className="metric-value">{selectedComparison.metrics.width} × {selectedComparison.metrics.height}</div>
@@ -446,19 +523,19 @@ const History = ({ onDeleteComparison }) => {
                   )}
 
                   {/* Images */}
-                  {selectedComparison.images && (
+                  {hasImages(selectedComparison) && (
                     <div className="detail-section">
                       <h3>Screenshots</h3>
                       <div className="images-grid">
                         <div className="image-item">
                                               <h4>Original Site</h4>
                     <img
-                      src={`data:image/png;base64,${selectedComparison.images.A}`}
+                      src={imageSrc(selectedComparison, 'A')}
                       alt="Original Site Screenshot"
                       className="detail-image"
                     />
                           <button
-                            onClick={() => downloadImage(selectedComparison.images.A, 'site-a.png')}
+                            onClick={() => downloadImage(selectedComparison, 'A', 'site-a.png')}
                             className="btn btn-secondary"
                           >
                             <Download size={16} />
@@ -468,12 +545,12 @@ const History = ({ onDeleteComparison }) => {
                         <div className="image-item">
                                                   <h4>Migrated Site</h4>
                         <img
-                          src={`data:image/png;base64,${selectedComparison.images.B}`}
+                          src={imageSrc(selectedComparison, 'B')}
                           alt="Migrated Site Screenshot"
                           className="detail-image"
                         />
                           <button
-                            onClick={() => downloadImage(selectedComparison.images.B, 'site-b.png')}
+                            onClick={() => downloadImage(selectedComparison, 'B', 'site-b.png')}
                             className="btn btn-secondary"
                           >
                             <Download size={16} />
@@ -483,22 +560,49 @@ const History = ({ onDeleteComparison }) => {
                         <div className="image-item">
                           <h4>Visual Diff</h4>
                           <img
-                            src={`data:image/png;base64,${selectedComparison.images.diff}`}
+                            src={imageSrc(selectedComparison, 'diff')}
                             alt="Visual Difference"
                             className="detail-image"
                           />
                           <button
-                            onClick={() => downloadImage(selectedComparison.images.diff, 'diff.png')}
+                            onClick={() => downloadImage(selectedComparison, 'diff', 'diff.png')}
                             className="btn btn-secondary"
                           >
                             <Download size={16} />
                             Download
                           </button>
                         </div>
+                        {imageSrc(selectedComparison, 'ssim') && (
+                          <div className="image-item">
+                            <h4>SSIM Map</h4>
+                            <img
+                              src={imageSrc(selectedComparison, 'ssim')}
+                              alt="Structural similarity per tile"
+                              className="detail-image ssim-map"
+                            />
+                            <button
+                              onClick={() => downloadImage(selectedComparison, 'ssim', 'ssim-map.png')}
+                              className="btn btn-secondary"
+                            >
+                              <Download size={16} />
+                              Download
+                            </button>
+                          </div>
+                        )}
                       </div>
+                      <RegionNavigator
+                        metrics={selectedComparison.metrics}
+                        images={{
+                          A: imageSrc(selectedComparison, 'A'),
+                          B: imageSrc(selectedComparison, 'B'),
+                          diff: imageSrc(selectedComparison, 'diff')
+                        }}
+                      />
                     </div>
                   )}
 
+                  <ReviewPanel comparison={selectedComparison} onReviewed={handleReviewed} />
+
                   {/* Metadata */}
                   <div className="detail-section">
                     <h3>Additional Information</h3>
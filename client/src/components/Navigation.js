@@ -1,5 +1,5 @@
 import React from 'react';
-import { Camera, Clock, Home, FileText } from 'lucide-react';
+import { Camera, Clock, Home, FileText, ShieldCheck, CalendarClock, TrendingUp } from 'lucide-react';
 import './Navigation.css';
 
 const Navigation = ({ currentPage, onPageChange }) => {
@@ -21,6 +21,24 @@ const Navigation = ({ currentPage, onPageChange }) => {
       label: 'History',
       icon: Clock,
       description: 'View comparison history'
+    },
+    {
+      id: 'trends',
+      label: 'Trends',
+      icon: TrendingUp,
+      description: 'Mismatch trends of a URL pair over time'
+    },
+    {
+      id: 'baselines',
+      label: 'Baselines',
+      icon: ShieldCheck,
+      description: 'Approved baselines for regression runs'
+    },
+    {
+      id: 'schedules',
+      label: 'Schedules',
+      icon: CalendarClock,
+      description: 'Scheduled monitoring runs'
     }
   ];
 
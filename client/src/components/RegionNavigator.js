@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, Crosshair } from 'lucide-react';
+import { regionViewBox, severityLevel } from '../utils/regions';
+import ChangedElements from './ChangedElements';
+import './RegionNavigator.css';
+
+// One screenshot zoomed to the region, which is outlined
+const RegionZoom = ({ title, src, region, width, height }) => {
+  const view = regionViewBox(region, width, height);
+
+  return (
+    <div className="region-zoom">
+      <h4>{title}</h4>
+      <svg viewBox={`${view.x} ${view.y} ${view.width} ${view.height}`} preserveAspectRatio="xMidYMid meet">
+        <image href={src} x="0" y="0" width={width} height={height} className="region-zoom-image" />
+        <rect
+          x={region.x - 0.5}
+          y={region.y - 0.5}
+          width={region.width + 1}
+          height={region.height + 1}
+          className="region-outline"
+        />
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Clusters of changed pixels from metrics.regions, most severe first, one at
+ * a time with both screenshots and the diff zoomed to it, followed by the
+ * elements they were traced to. images holds the A, B and diff image sources.
+ */
+const RegionNavigator = ({ metrics, images }) => {
+  const regions = metrics?.regions || [];
+  const [index, setIndex] = useState(0);
+
+  // Start over at the most severe region whenever another comparison is shown
+  useEffect(() => {
+    setIndex(0);
+  }, [metrics]);
+
+  if (regions.length === 0 || !images.A || !images.B || !images.diff) return null;
+
+  const region = regions[Math.min(index, regions.length - 1)];
+  const level = severityLevel(region.severity);
+
+  return (
+    <div className="region-navigator">
+      <div className="region-navigator-header">
+        <div className="region-title">
+          <Crosshair size={18} />
+          <strong>Changed Regions</strong>
+          {metrics.regionCount > regions.length && (
+            <span className="region-note">{regions.length} most severe of {metrics.regionCount.toLocaleString()}</span>
+          )}
+        </div>
+
+        <div className="region-controls">
+          <button
+            onClick={() => setIndex(index - 1)}
+            disabled={index === 0}
+            className="region-nav-btn"
+            title="Previous Region"
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <select
+            value={index}
+            onChange={(e) => setIndex(Number(e.target.value))}
+            className="region-select"
+            aria-label="Region"
+          >
+            {regions.map((item, itemIndex) => (
+              <option key={item.id} value={itemIndex}>
+                Region {item.id} of {regions.length} (severity {item.severity})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setIndex(index + 1)}
+            disabled={index === regions.length - 1}
+            className="region-nav-btn"
+            title="Next Region"
+          >
+            <ChevronRight size={18} />
+          </button>
+        </div>
+      </div>
+
+      <div className="region-details">
+        <span className={`region-severity ${level}`}>Severity {region.severity}</span>
+        <span>{region.width} × {region.height}px at {region.x}, {region.y}</span>
+        <span>{region.pixels.toLocaleString()} changed pixels ({Math.round(region.density * 100)}% of the box)</span>
+        <span>Mean change {Math.round(region.intensity * 100)}%</span>
+      </div>
+
+      {region.elements && (region.elements.A || region.elements.B) && (
+        <div className="region-elements">
+          {['A', 'B'].filter(side => region.elements[side]).map(side => (
+            <div key={side}>
+              <strong>{side === 'A' ? 'Original' : 'Migrated'}:</strong> <code>{region.elements[side]}</code>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="region-zooms">
+        <RegionZoom title="Original Site" src={images.A} region={region} width={metrics.width} height={metrics.height} />
+        <RegionZoom title="Migrated Site" src={images.B} region={region} width={metrics.width} height={metrics.height} />
+        <RegionZoom title="Visual Diff" src={images.diff} region={region} width={metrics.width} height={metrics.height} />
+      </div>
+
+      <ChangedElements
+        elements={metrics.changedElements}
+        onSelectRegion={id => setIndex(Math.max(regions.findIndex(item => item.id === id), 0))}
+      />
+    </div>
+  );
+};
+
+export default RegionNavigator;
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, AlertTriangle, RotateCcw, MessageSquare } from 'lucide-react';
+import { submitReview, parseAnnotationRegions, getReviewerName, reviewLabel } from '../utils/reviews';
+import { imageSrc } from '../utils/artifacts';
+import './ReviewPanel.css';
+
+const STATE_ACTIONS = [
+  { state: 'approved', label: 'Approve', icon: CheckCircle },
+  { state: 'rejected', label: 'Reject', icon: XCircle },
+  { state: 'needs-fix', label: 'Needs Fix', icon: AlertTriangle },
+  { state: 'unreviewed', label: 'Reset', icon: RotateCcw }
+];
+
+/**
+ * Review state, comments and annotated regions of a stored comparison.
+ * onReviewed(review) receives the whole review after every change.
+ */
+const ReviewPanel = ({ comparison, onReviewed }) => {
+  const [author, setAuthor] = useState(getReviewerName);
+  const [comment, setComment] = useState('');
+  const [regionText, setRegionText] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const review = comparison.review || { state: 'unreviewed', comments: [] };
+  const comments = review.comments || [];
+  const annotated = comments.flatMap(entry => entry.regions || []);
+  const { width, height } = comparison.metrics || {};
+
+  const save = async (state) => {
+    if (!author.trim()) {
+      setError('Enter your name to review');
+      return;
+    }
+
+    let regions;
+    try {
+      regions = parseAnnotationRegions(regionText);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    if (!state && !comment.trim() && regions.length === 0) {
+      setError('Write a comment or annotate a region');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const updated = await submitReview(comparison.id, {
+        state,
+        author: author.trim(),
+        comment: comment.trim() || undefined,
+        regions
+      });
+      setComment('');
+      setRegionText('');
+      onReviewed(updated);
+    } catch (err) {
+      console.error('Review failed:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="review-panel">
+      <div className="review-header">
+        <h3><MessageSquare size={18} /> Review</h3>
+        <span className={`review-state review-state-${review.state}`}>{reviewLabel(review.state)}</span>
+        {review.updatedBy && (
+          <span className="review-meta">by {review.updatedBy} on {new Date(review.updatedAt).toLocaleString()}</span>
+        )}
+      </div>
+
+      {annotated.length > 0 && imageSrc(comparison, 'diff') && width && height && (
+        <div className="review-annotations">
+          <img src={imageSrc(comparison, 'diff')} alt="Visual diff with annotated regions" />
+          {annotated.map((region, index) => (
+            <div
+              key={index}
+              className="review-region"
+              style={{
+                left: `${(region.x / width) * 100}%`,
+                top: `${(region.y / height) * 100}%`,
+                width: `${(region.width / width) * 100}%`,
+                height: `${(region.height / height) * 100}%`
+              }}
+              title={region.label || `${region.x}, ${region.y}, ${region.width}, ${region.height}`}
+            >
+              {region.label && <span>{region.label}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {comments.length > 0 && (
+        <ul className="review-comments">
+          {comments.map(entry => (
+            <li key={entry.id}>
+              <div className="review-meta">
+                <strong>{entry.author}</strong> · {new Date(entry.createdAt).toLocaleString()}
+                {entry.state && <span className={`review-state review-state-${entry.state}`}>{reviewLabel(entry.state)}</span>}
+              </div>
+              {entry.text && <p>{entry.text}</p>}
+              {entry.regions?.length > 0 && (
+                <div className="review-meta">
+                  {entry.regions.map(region => `${region.label ? `${region.label}: ` : ''}${region.x}, ${region.y}, ${region.width} × ${region.height}`).join(' · ')}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="review-form">
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Your name"
+          value={author}
+          onChange={(e) => setAuthor(e.target.value)}
+        />
+        <textarea
+          className="form-control"
+          rows={2}
+          placeholder="Comment"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+        />
+        <textarea
+          className="form-control"
+          rows={2}
+          placeholder={'Regions of the diff image, one per line: x, y, width, height, label\n120, 40, 300, 80, Header logo'}
+          value={regionText}
+          onChange={(e) => setRegionText(e.target.value)}
+        />
+        {error && <div className="review-error">{error}</div>}
+
+        <div className="review-actions">
+          {STATE_ACTIONS.filter(action => action.state !== review.state).map(({ state, label, icon: Icon }) => (
+            <button
+              key={state}
+              type="button"
+              className={`btn btn-secondary review-action-${state}`}
+              onClick={() => save(state)}
+              disabled={isSaving}
+            >
+              <Icon size={16} />
+              {label}
+            </button>
+          ))}
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => save()}
+            disabled={isSaving}
+          >
+            <MessageSquare size={16} />
+            Comment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
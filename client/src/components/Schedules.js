@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarClock, Play, Pause, Trash2, Flag, Plus, ChevronDown, ChevronRight, Calendar } from 'lucide-react';
+import {
+  fetchSchedules,
+  fetchSchedule,
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  runScheduleNow,
+  deleteSchedule
+} from '../utils/schedules';
+import './History.css';
+import './Schedules.css';
+
+// Running schedules are refreshed while the page is open
+const REFRESH_INTERVAL = 10000;
+
+const EMPTY_FORM = {
+  name: '',
+  cron: '0 * * * *',
+  mode: 'pair',
+  urlA: '',
+  urlB: '',
+  url: '',
+  threshold: 1,
+  browser: 'chromium',
+  device: '',
+  fullPage: true,
+  extraOptions: '',
+  paused: false
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const describeTarget = ({ target }) => (
+  target.url ? `${target.url} against its baseline` : `${target.urlA} vs ${target.urlB}`
+);
+
+const Schedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [runs, setRuns] = useState({});
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setSchedules(await fetchSchedules());
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const loadRuns = useCallback(async (id) => {
+    try {
+      const schedule = await fetchSchedule(id);
+      setRuns(prev => ({ ...prev, [id]: schedule.runs }));
+    } catch (error) {
+      console.error('Failed to load runs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+    const timer = setInterval(loadSchedules, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadSchedules]);
+
+  // Open run lists follow the schedule list's refreshes
+  const openRunIds = Object.keys(runs).join(',');
+  useEffect(() => {
+    if (!openRunIds) return;
+    openRunIds.split(',').forEach(loadRuns);
+  }, [schedules, openRunIds, loadRuns]);
+
+  const handleFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const buildScheduleRequest = () => {
+    let extra = {};
+    if (form.extraOptions.trim()) {
+      try {
+        extra = JSON.parse(form.extraOptions);
+      } catch (e) {
+        throw new Error('Additional options must be valid JSON');
+      }
+    }
+
+    const options = {
+      browser: form.browser,
+      fullPage: form.fullPage,
+      ...(form.device.trim() && { device: form.device.trim() }),
+      ...extra
+    };
+    const target = form.mode === 'baseline' ? { url: form.url.trim() } : { urlA: form.urlA.trim(), urlB: form.urlB.trim() };
+
+    return {
+      name: form.name.trim() || undefined,
+      cron: form.cron.trim(),
+      threshold: Number(form.threshold),
+      paused: form.paused,
+      options,
+      ...target
+    };
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    let request;
+    try {
+      request = buildScheduleRequest();
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+
+    setIsSaving(true);
+    setFormError(null);
+    try {
+      await createSchedule(request);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      loadSchedules();
+    } catch (error) {
+      console.error('Failed to create schedule:', error);
+      setFormError(error.response?.data?.error || error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      await action();
+      loadSchedules();
+    } catch (error) {
+      console.error('Schedule action failed:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    }
+  };
+
+  const removeSchedule = (schedule) => {
+    if (!window.confirm(`Delete the schedule "${schedule.name}"? Its runs stay in the history.`)) return;
+    runAction(() => deleteSchedule(schedule.id));
+  };
+
+  const toggleRuns = (id) => {
+    if (runs[id]) {
+      setRuns(({ [id]: _, ...rest }) => rest);
+      return;
+    }
+    setRuns(prev => ({ ...prev, [id]: null }));
+    loadRuns(id);
+  };
+
+  const getStatus = (schedule) => {
+    if (schedule.running) return { label: 'Running', className: 'schedule-running' };
+    if (schedule.paused) return { label: 'Paused', className: 'schedule-paused' };
+    return { label: 'Active', className: 'schedule-active' };
+  };
+
+  const renderRun = (run) => (
+    <tr key={run.id} className={run.flagged ? 'run-flagged' : ''}>
+      <td>{formatDate(run.startedAt)}</td>
+      <td>{run.trigger === 'cron' ? 'Scheduled' : 'Manual'}</td>
+      <td>{run.status}{run.error && <div className="run-error">{run.error.error}</div>}</td>
+      <td>{run.mismatchPercent !== null ? `${run.mismatchPercent}%` : '—'}</td>
+      <td>{run.flagged && <span className="schedule-flag"><Flag size={12} /> Flagged</span>}</td>
+      <td>
+        {run.artifacts?.diff && (
+          <a href={run.artifacts.diff.url} target="_blank" rel="noopener noreferrer">
+            <img src={run.artifacts.diff.thumbnail} alt="Visual diff" className="run-thumbnail" loading="lazy" />
+          </a>
+        )}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="history-page">
+      <header className="history-header">
+        <div className="container">
+          <h1><CalendarClock size={48} /> Scheduled Monitoring</h1>
+          <p>Compare pages on a cron schedule and flag runs whose mismatch exceeds a threshold</p>
+        </div>
+      </header>
+
+      <main className="history-content">
+        <div className="container">
+          <div className="history-controls">
+            <button className="btn btn-primary" onClick={() => setShowForm(!showForm)}>
+              <Plus size={16} />
+              New Schedule
+            </button>
+          </div>
+
+          {showForm && (
+            <form className="schedule-form" onSubmit={handleCreate}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="scheduleName">Name</label>
+                  <input id="scheduleName" name="name" className="form-control" value={form.name} onChange={handleFormChange} placeholder="Home page" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="scheduleCron">Cron Expression *</label>
+                  <input id="scheduleCron" name="cron" className="form-control" value={form.cron} onChange={handleFormChange} required />
+                  <div className="help-text">minute hour day-of-month month day-of-week in server time, e.g. "*/30 * * * *", "0 9 * * mon-fri" or "@daily"</div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="scheduleMode">Compare</label>
+                <select id="scheduleMode" name="mode" className="form-control" value={form.mode} onChange={handleFormChange}>
+                  <option value="pair">Two pages</option>
+                  <option value="baseline">One page against its approved baseline</option>
+                </select>
+              </div>
+
+              {form.mode === 'baseline' ? (
+                <div className="form-group">
+                  <label htmlFor="scheduleUrl">Page URL *</label>
+                  <input id="scheduleUrl" name="url" type="url" className="form-control" value={form.url} onChange={handleFormChange} required />
+                  <div className="help-text">The capture options below must match the ones the baseline was approved with</div>
+                </div>
+              ) : (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="scheduleUrlA">Original Site URL *</label>
+                    <input id="scheduleUrlA" name="urlA" type="url" className="form-control" value={form.urlA} onChange={handleFormChange} required />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="scheduleUrlB">Migrated Site URL *</label>
+                    <input id="scheduleUrlB" name="urlB" type="url" className="form-control" value={form.urlB} onChange={handleFormChange} required />
+                  </div>
+                </div>
+              )}
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="scheduleThreshold">Flag Above Mismatch (%)</label>
+                  <input id="scheduleThreshold" name="threshold" type="number" min="0" max="100" step="0.1" className="form-control" value={form.threshold} onChange={handleFormChange} />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="scheduleBrowser">Browser</label>
+                  <select id="scheduleBrowser" name="browser" className="form-control" value={form.browser} onChange={handleFormChange}>
+                    <option value="chromium">Chromium</option>
+                    <option value="firefox">Firefox</option>
+                    <option value="webkit">WebKit</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="scheduleDevice">Device</label>
+                  <input id="scheduleDevice" name="device" className="form-control" value={form.device} onChange={handleFormChange} placeholder="Desktop" />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="scheduleExtra">Additional Options (JSON)</label>
+                <textarea
+                  id="scheduleExtra"
+                  name="extraOptions"
+                  className="form-control"
+                  rows={3}
+                  value={form.extraOptions}
+                  onChange={handleFormChange}
+                  placeholder={'{ "deterministic": true, "maskSelectors": [".clock"] }'}
+                />
+                <div className="help-text">Any comparison options; credentials cannot be used in schedules</div>
+              </div>
+
+              <div className="schedule-form-checks">
+                <div className="checkbox-group">
+                  <input type="checkbox" id="scheduleFullPage" name="fullPage" checked={form.fullPage} onChange={handleFormChange} />
+                  <label htmlFor="scheduleFullPage">Capture full page</label>
+                </div>
+                <div className="checkbox-group">
+                  <input type="checkbox" id="schedulePaused" name="paused" checked={form.paused} onChange={handleFormChange} />
+                  <label htmlFor="schedulePaused">Create paused</label>
+                </div>
+              </div>
+
+              {formError && <div className="error-message">{formError}</div>}
+
+              <div className="schedule-form-actions">
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                  {isSaving ? 'Saving...' : 'Create Schedule'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {loadError && (
+            <div className="error-message">{loadError}</div>
+          )}
+
+          {schedules.length === 0 ? (
+            <div className="empty-history">
+              <CalendarClock size={64} />
+              <h3>{isLoading ? 'Loading schedules...' : 'No schedules yet'}</h3>
+              {!isLoading && <p>Create a schedule to compare pages automatically.</p>}
+            </div>
+          ) : (
+            <div className="history-list">
+              {schedules.map(schedule => {
+                const status = getStatus(schedule);
+                const lastRun = schedule.lastRun;
+
+                return (
+                  <div key={schedule.id} className={`history-item ${lastRun?.flagged || lastRun?.status === 'failed' ? 'status-failed' : 'status-success'}`}>
+                    <div className="item-header">
+                      <div className="item-status">
+                        <span className="status-text">{schedule.name}</span>
+                        <span className={`schedule-status ${status.className}`}>{status.label}</span>
+                        {schedule.flaggedCount > 0 && (
+                          <span className="schedule-flag"><Flag size={12} /> {schedule.flaggedCount} flagged</span>
+                        )}
+                      </div>
+
+                      <div className="item-actions">
+                        <button
+                          onClick={() => runAction(() => runScheduleNow(schedule.id))}
+                          className="btn btn-secondary"
+                          disabled={schedule.running}
+                          title="Run now"
+                        >
+                          <Play size={16} />
+                          Run Now
+                        </button>
+                        <button
+                          onClick={() => runAction(() => (schedule.paused ? resumeSchedule(schedule.id) : pauseSchedule(schedule.id)))}
+                          className="btn btn-secondary"
+                        >
+                          {schedule.paused ? <Play size={16} /> : <Pause size={16} />}
+                          {schedule.paused ? 'Resume' : 'Pause'}
+                        </button>
+                        <button onClick={() => toggleRuns(schedule.id)} className="btn btn-secondary" title="Show runs">
+                          {runs[schedule.id] !== undefined ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                          Runs ({schedule.runCount})
+                        </button>
+                        <button onClick={() => removeSchedule(schedule)} className="btn btn-danger" title="Delete schedule">
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="item-content">
+                      {lastRun?.artifacts?.diff && (
+                        <img src={lastRun.artifacts.diff.thumbnail} alt="Last run diff" className="item-thumbnail" loading="lazy" />
+                      )}
+                      <div className="urls-section">
+                        <div className="url-item">
+                          <span className="url-label">Compares:</span>
+                          <span className="url-value" title={describeTarget(schedule)}>{describeTarget(schedule)}</span>
+                        </div>
+                      </div>
+
+                      <div className="metrics-section">
+                        <div className="metric">
+                          <CalendarClock size={16} />
+                          <span><code>{schedule.cron}</code> · next {schedule.paused ? 'paused' : formatDate(schedule.nextRunAt)}</span>
+                        </div>
+                        <div className="metric">
+                          <Flag size={16} />
+                          <span>Flags above {schedule.threshold}%</span>
+                        </div>
+                        {lastRun && (
+                          <div className="metric">
+                            <Calendar size={16} />
+                            <span>
+                              Last run {formatDate(lastRun.startedAt)}: {lastRun.status}
+                              {lastRun.mismatchPercent !== null && `, ${lastRun.mismatchPercent}% mismatch`}
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    {runs[schedule.id] !== undefined && (
+                      <div className="schedule-runs">
+                        {runs[schedule.id] === null ? 'Loading runs...' : runs[schedule.id].length === 0 ? 'No runs yet' : (
+                          <table>
+                            <thead>
+                              <tr>
+                                <th>Started</th>
+                                <th>Trigger</th>
+                                <th>Status</th>
+                                <th>Mismatch</th>
+                                <th></th>
+                                <th>Diff</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {runs[schedule.id].map(renderRun)}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Schedules;
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { TrendingUp, Search, AlertTriangle } from 'lucide-react';
+import { fetchTrendSeries, fetchTrend } from '../utils/trends';
+import './History.css';
+import './Trends.css';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 180;
+const PADDING = { top: 12, right: 16, bottom: 24, left: 64 };
+
+const seriesValue = ({ urlA, urlB, viewport }) => JSON.stringify([urlA, urlB, viewport]);
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : value.toLocaleString());
+const formatSize = (size) => (size ? `${size.width} × ${size.height}` : '—');
+
+/**
+ * Line chart of the runs over time. lines are { label, className, value(point) };
+ * points a line has no value for are skipped. Clicking a point opens its diff.
+ */
+const TrendChart = ({ title, points, lines, unit = '', markJumps = false }) => {
+  const times = points.map(point => new Date(point.createdAt).getTime());
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime;
+  const values = lines.flatMap(line => points.map(line.value)).filter(value => value !== null && value !== undefined);
+  const maxValue = Math.max(...values, 0) * 1.1 || 1;
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = index => PADDING.left + (timeSpan > 0 ? ((times[index] - minTime) / timeSpan) * plotWidth : plotWidth / 2);
+  const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => fraction * maxValue);
+
+  const openDiff = (point) => {
+    if (point.artifacts?.diff) {
+      window.open(point.artifacts.diff.url, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  return (
+    <div className="trend-chart">
+      <div className="trend-chart-header">
+        <h3>{title}</h3>
+        <div className="trend-legend">
+          {lines.map(line => (
+            <span key={line.label} className={`trend-legend-item ${line.className}`}>{line.label}</span>
+          ))}
+          {markJumps && <span className="trend-legend-item trend-jump">Jump</span>}
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={title}>
+        {ticks.map(tick => (
+          <g key={tick} className="trend-grid">
+            <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} />
+            <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end">
+              {maxValue < 10 ? tick.toFixed(2) : Math.round(tick).toLocaleString()}{unit}
+            </text>
+          </g>
+        ))}
+        <text className="trend-axis-label" x={PADDING.left} y={CHART_HEIGHT - 6}>
+          {new Date(minTime).toLocaleDateString()}
+        </text>
+        <text className="trend-axis-label" x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end">
+          {new Date(minTime + timeSpan).toLocaleDateString()}
+        </text>
+
+        {lines.map((line) => {
+          const path = points
+            .map((point, index) => ({ index, value: line.value(point) }))
+            .filter(({ value }) => value !== null && value !== undefined)
+            .map(({ index, value }, i) => `${i === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(value).toFixed(1)}`)
+            .join(' ');
+          return <path key={line.label} d={path} className={`trend-line ${line.className}`} />;
+        })}
+
+        {points.map((point, index) => {
+          if (point.status === 'failed') {
+            return (
+              <text key={point.id} x={x(index)} y={PADDING.top + plotHeight} className="trend-failed" textAnchor="middle">
+                ×<title>{`${new Date(point.createdAt).toLocaleString()}: failed${point.error ? ` (${point.error.error})` : ''}`}</title>
+              </text>
+            );
+          }
+
+          const value = lines[0].value(point);
+          if (value === null || value === undefined) return null;
+          const isJump = markJumps && point.jump;
+
+          return (
+            <circle
+              key={point.id}
+              cx={x(index)}
+              cy={y(value)}
+              r={isJump ? 6 : 3.5}
+              className={`trend-point ${lines[0].className} ${isJump ? 'trend-jump' : ''}`}
+              onClick={() => openDiff(point)}
+            >
+              <title>
+                {`${new Date(point.createdAt).toLocaleString()}: ${formatNumber(value)}${unit}`}
+                {isJump ? ` (jump ${point.jump.delta > 0 ? '+' : ''}${point.jump.delta} points from the median ${point.rollingMedian}%)` : ''}
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const Trends = ({ initialSeries = null }) => {
+  const [series, setSeries] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selected, setSelected] = useState(initialSeries);
+  const [medianWindow, setMedianWindow] = useState(5);
+  const [minJump, setMinJump] = useState(1);
+  const [trend, setTrend] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      const list = await fetchTrendSeries(searchTerm.trim());
+      setSeries(list);
+      setSelected(current => current || list[0] || null);
+    } catch (error) {
+      console.error('Failed to load trends:', error);
+      setLoadError(error.response?.data?.error || error.message);
+    }
+  }, [searchTerm]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadSeries, 300);
+    return () => clearTimeout(timer);
+  }, [loadSeries]);
+
+  useEffect(() => {
+    if (!selected) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetchTrend({ ...selected, window: medianWindow, minJump })
+      .then((data) => {
+        if (cancelled) return;
+        setTrend(data);
+        setLoadError(null);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Failed to load trend:', error);
+        setTrend(null);
+        setLoadError(error.response?.data?.error || error.message);
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => { cancelled = true; };
+  }, [selected, medianWindow, minJump]);
+
+  // A series opened from the History page may not be among the listed ones
+  const options = selected && !series.some(entry => seriesValue(entry) === seriesValue(selected))
+    ? [selected, ...series]
+    : series;
+
+  const points = trend?.points || [];
+
+  return (
+    <div className="history-page">
+      <header className="history-header">
+        <div className="container">
+          <h1><TrendingUp size={48} /> Mismatch Trends</h1>
+          <p>How a URL pair's mismatch and capture size change from run to run</p>
+        </div>
+      </header>
+
+      <main className="history-content">
+        <div className="container">
+          <div className="history-controls">
+            <div className="search-section">
+              <div className="search-input">
+                <Search size={20} />
+                <input
+                  type="text"
+                  placeholder="Search by URL..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="filter-section">
+              <div className="filter-group">
+                <label htmlFor="trendSeries">Pages:</label>
+                <select
+                  id="trendSeries"
+                  className="trend-series-select"
+                  value={selected ? seriesValue(selected) : ''}
+                  onChange={(e) => {
+                    const [urlA, urlB, viewport] = JSON.parse(e.target.value);
+                    setSelected({ urlA, urlB, viewport });
+                  }}
+                >
+                  {options.length === 0 && <option value="">No stored comparisons</option>}
+                  {options.map(entry => (
+                    <option key={seriesValue(entry)} value={seriesValue(entry)}>
+                      {entry.urlA === entry.urlB ? `${entry.urlA} (baseline)` : `${entry.urlA} vs ${entry.urlB}`} · {entry.viewport || 'any viewport'}
+                      {entry.runs ? ` · ${entry.runs} runs` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <label htmlFor="trendWindow">Median of:</label>
+                <input
+                  id="trendWindow"
+                  type="number"
+                  min="1"
+                  max="50"
+                  className="trend-number"
+                  value={medianWindow}
+                  onChange={(e) => setMedianWindow(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 50))}
+                />
+              </div>
+
+              <div className="filter-group">
+                <label htmlFor="trendMinJump">Jump ≥ (points):</label>
+                <input
+                  id="trendMinJump"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.5"
+                  className="trend-number"
+                  value={minJump}
+                  onChange={(e) => setMinJump(Math.min(Math.max(Number(e.target.value) || 0, 0), 100))}
+                />
+              </div>
+            </div>
+          </div>
+
+          {loadError && <div className="error-message">{loadError}</div>}
+
+          {!selected ? (
+            <div className="empty-history">
+              <TrendingUp size={64} />
+              <h3>No trends yet</h3>
+              <p>Trends appear once comparisons are stored.</p>
+            </div>
+          ) : points.length > 0 && (
+            <div className={isLoading ? 'trend-loading' : ''}>
+              <div className="trend-stats">
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Runs</span>
+                  <span className="trend-stat-value">{trend.stats.runs}</span>
+                </div>
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Latest</span>
+                  <span className="trend-stat-value">{formatNumber(trend.stats.latest)}%</span>
+                </div>
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Median</span>
+                  <span className="trend-stat-value">{formatNumber(trend.stats.median)}%</span>
+                </div>
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Range</span>
+                  <span className="trend-stat-value">{formatNumber(trend.stats.min)}–{formatNumber(trend.stats.max)}%</span>
+                </div>
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Jumps</span>
+                  <span className="trend-stat-value">{trend.stats.jumps}</span>
+                </div>
+                <div className="trend-stat">
+                  <span className="trend-stat-label">Failed</span>
+                  <span className="trend-stat-value">{trend.stats.failed}</span>
+                </div>
+              </div>
+
+              <TrendChart
+                title="Mismatch"
+                unit="%"
+                points={points}
+                markJumps
+                lines={[
+                  { label: 'Mismatch', className: 'trend-mismatch', value: point => point.mismatchPercent },
+                  { label: `Median of ${trend.window} earlier runs`, className: 'trend-median', value: point => (point.status === 'completed' ? point.rollingMedian : null) }
+                ]}
+              />
+              <TrendChart
+                title="Changed Pixels"
+                points={points}
+                lines={[{ label: 'Changed pixels', className: 'trend-pixels', value: point => point.changedPixels }]}
+              />
+              <TrendChart
+                title="Captured Size"
+                unit="px"
+                points={points}
+                lines={[
+                  { label: 'Height A', className: 'trend-height-a', value: point => point.capture?.A?.height ?? null },
+                  { label: 'Height B', className: 'trend-height-b', value: point => point.capture?.B?.height ?? null },
+                  { label: 'Width A', className: 'trend-width-a', value: point => point.capture?.A?.width ?? null },
+                  { label: 'Width B', className: 'trend-width-b', value: point => point.capture?.B?.width ?? null }
+                ]}
+              />
+
+              <div className="trend-runs">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Run</th>
+                      <th>Source</th>
+                      <th>Mismatch</th>
+                      <th>Median</th>
+                      <th>Changed Pixels</th>
+                      <th>Size A</th>
+                      <th>Size B</th>
+                      <th>Diff</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...points].reverse().map(point => (
+                      <tr key={point.id} className={point.jump ? 'trend-row-jump' : ''}>
+                        <td>{new Date(point.createdAt).toLocaleString()}</td>
+                        <td>{point.source}</td>
+                        <td>
+                          {point.status === 'failed' ? 'Failed' : `${formatNumber(point.mismatchPercent)}%`}
+                          {point.jump && (
+                            <span className="trend-jump-badge">
+                              <AlertTriangle size={12} /> {point.jump.delta > 0 ? '+' : ''}{point.jump.delta}
+                            </span>
+                          )}
+                        </td>
+                        <td>{point.rollingMedian !== null ? `${point.rollingMedian}%` : '—'}</td>
+                        <td>{formatNumber(point.changedPixels)}</td>
+                        <td>{formatSize(point.capture?.A)}</td>
+                        <td>{formatSize(point.capture?.B)}</td>
+                        <td>
+                          {point.artifacts?.diff && (
+                            <a href={point.artifacts.diff.url} target="_blank" rel="noopener noreferrer">
+                              <img src={point.artifacts.diff.thumbnail} alt="Visual diff" className="trend-thumbnail" loading="lazy" />
+                            </a>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Trends;
@@ -0,0 +1,21 @@
+export const ALIGNMENT_MODES = [
+  { value: 'none', label: 'Compare rows at the same height' },
+  { value: 'vertical', label: 'Align shifted content' }
+];
+
+// Same colors as the bands drawn on the diff image
+export const BAND_TYPES = {
+  inserted: { label: 'Inserted', color: 'rgb(22, 163, 74)' },
+  removed: { label: 'Removed', color: 'rgb(234, 88, 12)' },
+  moved: { label: 'Moved', color: 'rgb(37, 99, 235)' },
+  changed: { label: 'Changed', color: 'rgb(234, 179, 8)' }
+};
+
+const rows = range => `${range.y}–${range.y + range.height - 1}`;
+
+// Where a band's rows are in each screenshot, e.g. "A rows 120–179 → B rows 300–359"
+export const describeBand = (band) => {
+  if (band.type === 'inserted') return `B rows ${rows(band.b)}`;
+  if (band.type === 'removed') return `A rows ${rows(band.a)}`;
+  return `A rows ${rows(band.a)} → B rows ${rows(band.b)}`;
+};
@@ -0,0 +1,32 @@
+/**
+ * Image source for a comparison's "A", "B" or "diff" screenshot: the inlined
+ * base64 data when the result carries it, otherwise the artifact URL.
+ * With { thumbnail: true } the scaled-down artifact is used.
+ */
+export const imageSrc = (result, name, { thumbnail = false } = {}) => {
+  const inline = result?.images?.[name];
+  if (inline) {
+    return `data:image/png;base64,${inline}`;
+  }
+
+  const artifact = result?.artifacts?.[name];
+  if (!artifact) {
+    return null;
+  }
+  return thumbnail ? artifact.thumbnail : artifact.url;
+};
+
+export const hasImages = (result) => Boolean(result?.images || (result?.artifacts && Object.keys(result.artifacts).length > 0));
+
+// Save a screenshot under the given file name
+export const downloadImage = (result, name, filename) => {
+  const src = imageSrc(result, name);
+  if (!src) return;
+
+  const link = document.createElement('a');
+  link.href = src;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
@@ -0,0 +1,31 @@
+import axios from 'axios';
+
+const APPROVER_NAME_KEY = 'approverName';
+
+export const fetchBaselines = async ({ q } = {}) => {
+  const { data } = await axios.get('/api/baselines', { params: q ? { q } : undefined });
+  return data.baselines;
+};
+
+// The baseline with all of its versions, newest first
+export const fetchBaseline = async (key) => {
+  const { data } = await axios.get(`/api/baselines/${key}`);
+  return data;
+};
+
+/**
+ * Approve one side of a stored comparison ('B', the new capture, by default)
+ * as the current baseline for its URL and capture options.
+ */
+export const approveBaseline = async ({ comparisonId, side = 'B', approvedBy, note }) => {
+  const { data } = await axios.post('/api/baselines', { comparisonId, side, approvedBy, note });
+  setApproverName(approvedBy);
+  return data;
+};
+
+export const deleteBaseline = (key) => axios.delete(`/api/baselines/${key}`);
+
+// The name approvals are made under is remembered for the next one
+export const getApproverName = () => localStorage.getItem(APPROVER_NAME_KEY) || '';
+
+export const setApproverName = (name) => localStorage.setItem(APPROVER_NAME_KEY, name);
@@ -0,0 +1,102 @@
+import axios from 'axios';
+
+const POLL_INTERVAL = 2000;
+const ACTIVE_BATCH_KEY = 'activeBatchId';
+
+export const isBatchFinished = (batch) => ['completed', 'cancelled'].includes(batch?.status);
+
+/**
+ * Start a server-side batch of { urlA, urlB, options, originalData } rows.
+ * Resolves with { id, status, total, links }.
+ */
+export const startBatch = async ({ rows, options, concurrency, retries }) => {
+  const { data } = await axios.post('/api/batches', { rows, options, concurrency, retries });
+  localStorage.setItem(ACTIVE_BATCH_KEY, data.id);
+  return data;
+};
+
+export const fetchBatch = async (id) => {
+  const { data } = await axios.get(`/api/batches/${id}`);
+  return data;
+};
+
+export const fetchBatchRowResult = async (id, index) => {
+  const { data } = await axios.get(`/api/batches/${id}/rows/${index}`);
+  return data;
+};
+
+export const cancelBatch = (id) => axios.post(`/api/batches/${id}/cancel`);
+
+// The last started batch is remembered so a reloaded tab can attach to it again
+export const getActiveBatchId = () => localStorage.getItem(ACTIVE_BATCH_KEY);
+
+export const clearActiveBatchId = () => localStorage.removeItem(ACTIVE_BATCH_KEY);
+
+const applyRow = (batch, row) => {
+  const rows = batch.rows.map(existing => (existing.index === row.index ? { ...existing, ...row } : existing));
+  const counts = rows.reduce((totals, { status }) => ({ ...totals, [status]: (totals[status] || 0) + 1 }), {
+    pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0
+  });
+  return { ...batch, rows, counts };
+};
+
+const applyProgress = (batch, { index, phase, progress }) => ({
+  ...batch,
+  rows: batch.rows.map(row => (row.index === index ? { ...row, phase, progress: Math.max(row.progress, progress || 0) } : row))
+});
+
+/**
+ * Follow a batch, calling onUpdate with the whole batch (rows included) after
+ * every change. Returns a function that stops watching.
+ */
+export const watchBatch = (id, onUpdate, { onError = () => {} } = {}) => {
+  let batch = null;
+  let stopped = false;
+  let events = null;
+  let pollTimer = null;
+
+  const update = (next) => {
+    batch = next;
+    if (!stopped) onUpdate(batch);
+  };
+
+  // Fallback when the event stream is unavailable
+  const poll = async () => {
+    try {
+      update(await fetchBatch(id));
+    } catch (err) {
+      onError(err);
+      return;
+    }
+
+    if (!stopped && !isBatchFinished(batch)) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL);
+    }
+  };
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+  } else {
+    events = new EventSource(`/api/batches/${id}/events`);
+
+    events.addEventListener('snapshot', (message) => update(JSON.parse(message.data)));
+    events.addEventListener('row', (message) => batch && update(applyRow(batch, JSON.parse(message.data))));
+    events.addEventListener('progress', (message) => batch && update(applyProgress(batch, JSON.parse(message.data))));
+    events.addEventListener('done', (message) => {
+      events.close();
+      update({ ...batch, ...JSON.parse(message.data) });
+    });
+
+    // EventSource reconnects (and gets a fresh snapshot) by itself; poll only once it has given up
+    events.onerror = () => {
+      if (stopped || isBatchFinished(batch) || events.readyState !== EventSource.CLOSED) return;
+      poll();
+    };
+  }
+
+  return () => {
+    stopped = true;
+    if (events) events.close();
+    clearTimeout(pollTimer);
+  };
+};
@@ -0,0 +1,57 @@
+import axios from 'axios';
+
+const LEGACY_HISTORY_KEY = 'comparisonHistory';
+
+// Entries carry full screenshots, so each one is sent on its own
+const IMPORT_CHUNK_SIZE = 1;
+
+/**
+ * One page of stored comparisons.
+ * filters: { q, status, source, batchId, from, to, sort, page, pageSize }
+ */
+export const fetchComparisons = async (filters = {}) => {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined));
+  const { data } = await axios.get('/api/comparisons', { params });
+  return data;
+};
+
+// With { inlineImages: true } the screenshots are included as base64
+export const fetchComparison = async (id, { inlineImages = false } = {}) => {
+  const { data } = await axios.get(`/api/comparisons/${id}`, { params: inlineImages ? { inlineImages } : undefined });
+  return data;
+};
+
+export const deleteComparison = (id) => axios.delete(`/api/comparisons/${id}`);
+
+/**
+ * Move the history older versions kept in localStorage to the server, once.
+ * The local copy is removed after every entry has been sent.
+ * Resolves with the number of imported entries.
+ */
+export const importLocalHistory = async () => {
+  let entries;
+  try {
+    entries = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || 'null');
+  } catch (e) {
+    entries = null;
+  }
+
+  if (!Array.isArray(entries)) {
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+    return 0;
+  }
+
+  let imported = 0;
+  for (let start = 0; start < entries.length; start += IMPORT_CHUNK_SIZE) {
+    const { data } = await axios.post('/api/comparisons/import', {
+      comparisons: entries.slice(start, start + IMPORT_CHUNK_SIZE)
+    });
+    imported += data.imported;
+
+    // Keep only what is left, so an interrupted import continues where it stopped
+    localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(entries.slice(start + IMPORT_CHUNK_SIZE)));
+  }
+
+  localStorage.removeItem(LEGACY_HISTORY_KEY);
+  return imported;
+};
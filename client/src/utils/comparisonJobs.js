@@ -0,0 +1,78 @@
+import axios from 'axios';
+
+const POLL_INTERVAL = 1000;
+
+// Rejections mimic axios errors so callers can read err.response.data as usual
+const toRequestError = (data) => {
+  const error = new Error(data.error || 'Comparison failed');
+  error.response = { status: data.statusCode, data };
+  return error;
+};
+
+const fetchFinishedJob = async (id) => {
+  const { data: job } = await axios.get(`/api/jobs/${id}`);
+
+  if (job.status === 'completed') {
+    return job.result;
+  }
+
+  throw toRequestError(job.error || { error: `Job ended with status ${job.status}` });
+};
+
+// Fallback when the event stream is unavailable: poll until the job finishes
+const pollJob = async (id, onProgress) => {
+  for (;;) {
+    const { data: job } = await axios.get(`/api/jobs/${id}`);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return fetchFinishedJob(id);
+    }
+
+    onProgress({ phase: job.phase, progress: job.progress });
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+};
+
+/**
+ * Run a comparison as a background job, calling onStart with the created job
+ * and onProgress with each { phase, side, progress, message } event.
+ * Resolves with the comparison result.
+ */
+export const runComparisonJob = async (requestData, { onStart = () => {}, onProgress = () => {} } = {}) => {
+  const { data: job } = await axios.post('/api/jobs', requestData);
+  onStart(job);
+
+  if (typeof EventSource === 'undefined') {
+    return pollJob(job.id, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(job.links.events);
+    let finished = false;
+
+    events.addEventListener('progress', (message) => {
+      onProgress(JSON.parse(message.data));
+    });
+
+    events.addEventListener('done', () => {
+      finished = true;
+      events.close();
+      fetchFinishedJob(job.id).then(resolve, reject);
+    });
+
+    // EventSource reconnects by itself; poll only once it has given up
+    events.onerror = () => {
+      if (finished || events.readyState !== EventSource.CLOSED) return;
+
+      pollJob(job.id, onProgress).then(resolve, reject);
+    };
+  });
+};
+
+export const cancelComparisonJob = (id) => axios.post(`/api/jobs/${id}/cancel`);
+
+// Best-effort cancel while the page is unloading, when normal requests are dropped
+export const cancelComparisonJobOnUnload = (id) => {
+  if (navigator.sendBeacon) {
+    navigator.sendBeacon(`/api/jobs/${id}/cancel`);
+  }
+};
@@ -0,0 +1,37 @@
+export const DIMENSION_STRATEGIES = [
+  { value: 'crop', label: 'Crop to the smaller page' },
+  { value: 'pad', label: 'Pad and count as changed' },
+  { value: 'scale', label: 'Scale B to the width of A' }
+];
+
+const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+/**
+ * How the screenshot sizes differ and how the comparison dealt with it:
+ * { sizes, handling }, or null when the sizes match (or the comparison was
+ * stored before sizes were reported).
+ */
+export const describeDimensionMismatch = (metrics) => {
+  const dimensions = metrics?.dimensions;
+  if (!dimensions?.mismatched) return null;
+
+  const { A, B, widthDelta, heightDelta, strategy, scale, excludedPixels, paddingChangedPixels } = dimensions;
+  const deltas = [
+    widthDelta !== 0 && `width ${signed(widthDelta)}px`,
+    heightDelta !== 0 && `height ${signed(heightDelta)}px`
+  ].filter(Boolean).join(', ');
+
+  const sizes = `A is ${A.width} × ${A.height}, B is ${B.width} × ${B.height} (${deltas})`;
+
+  // Aligned rows take care of the heights, leaving only the widths to the strategy
+  if (metrics.alignment?.aligned && widthDelta === 0) {
+    return { sizes, handling: 'Rows were aligned by content, so the extra height shows up as inserted, removed or moved rows' };
+  }
+
+  return {
+    sizes,
+    handling: strategy === 'crop'
+      ? `Cropped to the smaller size, so ${(excludedPixels.A + excludedPixels.B).toLocaleString()} pixels were not compared`
+      : `${strategy === 'scale' ? `B was scaled by ${scale} and padded` : 'Padded'}; ${paddingChangedPixels.toLocaleString()} pixels only one page covers count as changed`
+  };
+};
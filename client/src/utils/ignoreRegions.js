@@ -0,0 +1,59 @@
+const STORAGE_KEY = 'ignoreRegionsByUrlPair';
+
+// Parse one region per line: "x, y, width, height", optionally prefixed
+// with "A:" or "B:" to apply it to one site only
+export const parseIgnoreRegions = (text) => {
+  const regions = { shared: [], A: [], B: [] };
+
+  text.split('\n').forEach((rawLine, index) => {
+    let line = rawLine.trim();
+    if (!line) return;
+
+    let scope = 'shared';
+    const sideMatch = line.match(/^([AB])\s*:\s*(.*)$/i);
+    if (sideMatch) {
+      scope = sideMatch[1].toUpperCase();
+      line = sideMatch[2];
+    }
+
+    const values = line.split(',').map(value => Number(value.trim()));
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value) || value < 0) ||
+        values[2] === 0 || values[3] === 0) {
+      throw new Error(`Ignore region on line ${index + 1} must be "x, y, width, height" with positive size`);
+    }
+
+    const [x, y, width, height] = values;
+    regions[scope].push({ x, y, width, height });
+  });
+
+  return regions;
+};
+
+const getPairKey = (urlA, urlB) => `${urlA}|${urlB}`;
+
+const loadAll = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+// Saved region text for a URL pair, or null when nothing was saved
+export const loadSavedIgnoreRegions = (urlA, urlB) => {
+  const saved = loadAll()[getPairKey(urlA, urlB)];
+  return typeof saved === 'string' ? saved : null;
+};
+
+export const saveIgnoreRegions = (urlA, urlB, text) => {
+  const saved = loadAll();
+
+  if (text.trim()) {
+    saved[getPairKey(urlA, urlB)] = text;
+  } else {
+    delete saved[getPairKey(urlA, urlB)];
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+};
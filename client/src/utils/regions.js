@@ -0,0 +1,29 @@
+// Context kept around a region when zooming to it, in image pixels
+const MIN_CONTEXT = 24;
+// Regions are never zoomed in further than this many image pixels across
+const MIN_VIEW_SIZE = 96;
+
+/**
+ * The part of a width x height image to show for a region: the region with
+ * some context around it, kept inside the image.
+ */
+export const regionViewBox = (region, width, height) => {
+  const margin = Math.max(MIN_CONTEXT, Math.round(Math.max(region.width, region.height) / 4));
+  const viewWidth = Math.min(Math.max(region.width + margin * 2, MIN_VIEW_SIZE), width);
+  const viewHeight = Math.min(Math.max(region.height + margin * 2, MIN_VIEW_SIZE), height);
+  const clamp = (value, size, limit) => Math.min(Math.max(value, 0), limit - size);
+
+  return {
+    x: clamp(Math.round(region.x + region.width / 2 - viewWidth / 2), viewWidth, width),
+    y: clamp(Math.round(region.y + region.height / 2 - viewHeight / 2), viewHeight, height),
+    width: viewWidth,
+    height: viewHeight
+  };
+};
+
+// Severity is 0-100, see metrics.regions in the README
+export const severityLevel = (severity) => {
+  if (severity >= 60) return 'high';
+  if (severity >= 30) return 'medium';
+  return 'low';
+};
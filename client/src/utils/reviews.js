@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { getApproverName, setApproverName } from './baselines';
+
+export const REVIEW_STATES = [
+  { value: 'unreviewed', label: 'Unreviewed' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'needs-fix', label: 'Needs Fix' }
+];
+
+export const reviewLabel = (state) => (
+  (REVIEW_STATES.find(option => option.value === state) || REVIEW_STATES[0]).label
+);
+
+// Reviews are signed with the same name as baseline approvals
+export const getReviewerName = getApproverName;
+
+/**
+ * Set the review state of a stored comparison and/or add a comment with
+ * annotated regions. Resolves with the comparison's whole review.
+ */
+export const submitReview = async (comparisonId, { state, author, comment, regions }) => {
+  const { data } = await axios.post(`/api/comparisons/${comparisonId}/review`, { state, author, comment, regions });
+  setApproverName(author);
+  return data.review;
+};
+
+// One region per line: "x, y, width, height" in diff image pixels, optionally followed by a label
+export const parseAnnotationRegions = (text) => text.split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line, index) => {
+    const [x, y, width, height, ...rest] = line.split(',');
+    const values = [x, y, width, height].map(Number);
+    const label = rest.join(',').trim();
+    if (values.some(value => !Number.isFinite(value) || value < 0) || values[2] === 0 || values[3] === 0) {
+      throw new Error(`Region on line ${index + 1} must be "x, y, width, height" with positive size, optionally followed by a label`);
+    }
+
+    return {
+      x: values[0],
+      y: values[1],
+      width: values[2],
+      height: values[3],
+      ...(label && { label })
+    };
+  });
+
+// Columns added to CSV exports; review is the summary a listing or batch row carries
+export const REVIEW_CSV_HEADERS = ['Review', 'Reviewed By', 'Review Comment'];
+
+export const reviewCsvColumns = (review) => [
+  reviewLabel(review?.state),
+  review?.updatedBy || '',
+  review?.lastComment || (review?.comments || []).filter(comment => comment.text).map(comment => comment.text).pop() || ''
+];
@@ -0,0 +1,38 @@
+import axios from 'axios';
+
+export const fetchSchedules = async () => {
+  const { data } = await axios.get('/api/schedules');
+  return data.schedules;
+};
+
+// The schedule with its most recent runs, newest first
+export const fetchSchedule = async (id) => {
+  const { data } = await axios.get(`/api/schedules/${id}`);
+  return data;
+};
+
+/**
+ * Create a schedule: { name, cron, urlA, urlB, options, threshold, paused },
+ * or { url, ... } to compare the page against its approved baseline.
+ */
+export const createSchedule = async (schedule) => {
+  const { data } = await axios.post('/api/schedules', schedule);
+  return data;
+};
+
+export const pauseSchedule = async (id) => {
+  const { data } = await axios.post(`/api/schedules/${id}/pause`);
+  return data;
+};
+
+export const resumeSchedule = async (id) => {
+  const { data } = await axios.post(`/api/schedules/${id}/resume`);
+  return data;
+};
+
+export const runScheduleNow = async (id) => {
+  const { data } = await axios.post(`/api/schedules/${id}/run`);
+  return data;
+};
+
+export const deleteSchedule = (id) => axios.delete(`/api/schedules/${id}`);
@@ -0,0 +1,28 @@
+import axios from 'axios';
+
+// URL pairs and viewports with stored runs, most recently run first
+export const fetchTrendSeries = async (q = '') => {
+  const { data } = await axios.get('/api/trends', { params: q ? { q } : {} });
+  return data.series;
+};
+
+/**
+ * Runs of one URL pair at one viewport, oldest first:
+ * { urlA, urlB, viewport, window, minJump }.
+ */
+export const fetchTrend = async ({ urlA, urlB, viewport, window, minJump }) => {
+  const { data } = await axios.get('/api/trends/series', {
+    params: { urlA, urlB, viewport: viewport || undefined, window, minJump }
+  });
+  return data;
+};
+
+// Series key of a history entry, so its trend can be opened from the History page
+export const trendOf = (item) => {
+  const viewport = item.capture?.viewport;
+  return {
+    urlA: item.urls?.A,
+    urlB: item.urls?.B,
+    viewport: viewport ? `${viewport.width}x${viewport.height}` : null
+  };
+};
@@ -4,6 +4,19 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const helmet = require('helmet');
 const ScreenshotService = require('./services/screenshotService');
+const AuthService = require('./services/authService');
+const ActionRunner = require('./services/actionRunner');
+const NetworkInterceptor = require('./services/networkInterceptor');
+const JobManager = require('./services/jobManager');
+const BatchManager = require('./services/batchManager');
+const ComparisonStore = require('./services/comparisonStore');
+const BaselineStore = require('./services/baselineStore');
+const Scheduler = require('./services/scheduler');
+const { parseCron } = require('./services/cronExpression');
+const trendAnalysis = require('./services/trendAnalysis');
+const { normalizeThumbnailWidth } = require('./services/thumbnails');
+const { ALIGNMENT_MODES, DIMENSION_STRATEGIES } = require('./services/visualDiff');
+const { isCancelledError } = require('./services/cancellation');
 const TextExtractionService = require('./services/textExtractionService');
 const fs = require('fs'); // Added for PDF download
 
@@ -36,7 +49,10 @@ if (process.env.NODE_ENV === 'production') {
 async function initializeServices() {
   try {
     // Initialize screenshot service
-    screenshotService = new ScreenshotService();
+    screenshotService = new ScreenshotService({
+      maxConcurrency: parseInt(process.env.CAPTURE_CONCURRENCY, 10) || undefined,
+      browsersPerEngine: parseInt(process.env.BROWSERS_PER_ENGINE, 10) || undefined
+    });
     await screenshotService.initialize();
     console.log('Screenshot service initialized successfully');
     
@@ -45,128 +61,1635 @@ async function initializeServices() {
     await textExtractionService.initialize();
     console.log('Text extraction service initialized successfully');
   } catch (error) {
-    console.error('Failed to initialize services:', error);
-    process.exit(1);
+    console.error('Failed to initialize services:', error);
+    process.exit(1);
+  }
+}
+
+// Utility function to validate URLs
+function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// Per-side keys that may be overridden in options.sides.A / options.sides.B
+const SIDE_OPTION_KEYS = [
+  'browser', 'auth', 'actions', 'targetSelector', 'ignoreRegions',
+  'blockRequests', 'mockResponses', 'emulation', 'device'
+];
+
+// Interaction steps are capped to keep a single capture bounded
+const MAX_ACTIONS = 50;
+const MAX_IGNORE_REGIONS = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Instant that deterministic captures freeze the page clock at, unless configured
+const DEFAULT_DETERMINISTIC_TIME = '2025-01-01T12:00:00.000Z';
+
+// Expand the deterministic option (true or { now, seed }) to its full form
+function normalizeDeterministicOptions(deterministic) {
+  if (!deterministic) return null;
+
+  const config = deterministic === true ? {} : deterministic;
+  return {
+    now: config.now || DEFAULT_DETERMINISTIC_TIME,
+    seed: Number.isInteger(config.seed) ? config.seed : 1
+  };
+}
+
+// Returns a problem description for malformed HAR options, or null
+function validateHarOptions(har) {
+  if (typeof har !== 'object' || !['record', 'replay'].includes(har.mode)) {
+    return 'har.mode must be "record" or "replay"';
+  }
+
+  if (har.mode === 'replay' && !UUID_PATTERN.test(String(har.comparisonId))) {
+    return 'har.comparisonId must be the ID of a comparison recorded with har.mode "record"';
+  }
+
+  return null;
+}
+
+// Returns a problem description for malformed request blocking rules, or null
+function validateBlockRequests(blockRequests) {
+  if (typeof blockRequests !== 'object' || Array.isArray(blockRequests)) {
+    return 'blockRequests must be an object with patterns, resourceTypes and/or presets';
+  }
+
+  const { patterns = [], resourceTypes = [], presets = [] } = blockRequests;
+
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+    return 'blockRequests.patterns must be an array of URL patterns';
+  }
+
+  const unknownType = Array.isArray(resourceTypes)
+    ? resourceTypes.find(type => !NetworkInterceptor.RESOURCE_TYPES.includes(type))
+    : resourceTypes;
+  if (unknownType !== undefined) {
+    return `unsupported resource type "${unknownType}". Supported types: ${NetworkInterceptor.RESOURCE_TYPES.join(', ')}`;
+  }
+
+  const presetNames = Object.keys(NetworkInterceptor.BLOCK_PRESETS);
+  const unknownPreset = Array.isArray(presets) ? presets.find(preset => !presetNames.includes(preset)) : presets;
+  if (unknownPreset !== undefined) {
+    return `unknown blocklist preset "${unknownPreset}". Available presets: ${presetNames.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Returns a problem description for malformed mock responses, or null
+function validateMockResponses(mockResponses) {
+  if (!Array.isArray(mockResponses)) {
+    return 'mockResponses must be an array';
+  }
+
+  for (let i = 0; i < mockResponses.length; i++) {
+    const mock = mockResponses[i];
+
+    if (!mock || typeof mock.urlPattern !== 'string' || !mock.urlPattern) {
+      return `mock ${i + 1} needs a urlPattern`;
+    }
+
+    if (mock.file !== undefined) {
+      const filePath = path.resolve(NetworkInterceptor.MOCKS_DIR, String(mock.file));
+      if (!filePath.startsWith(path.resolve(NetworkInterceptor.MOCKS_DIR) + path.sep)) {
+        return `mock ${i + 1} file must be inside the mocks directory`;
+      }
+    }
+
+    if (mock.status !== undefined && !(Number.isInteger(mock.status) && mock.status >= 100 && mock.status < 600)) {
+      return `mock ${i + 1} has an invalid status code`;
+    }
+  }
+
+  return null;
+}
+
+// Describe a compare-multi viewport as a device so its dpr and mobile flags apply
+function viewportToDevice(viewport) {
+  return {
+    name: viewport.name,
+    descriptor: viewport.device,
+    orientation: viewport.orientation,
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.dpr,
+    userAgent: viewport.userAgent,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.hasTouch
+  };
+}
+
+// Returns a problem description for a malformed device option, or null
+function validateDevice(device) {
+  if (typeof device === 'string') {
+    device = { descriptor: device };
+  }
+
+  if (!device || typeof device !== 'object' || Array.isArray(device)) {
+    return 'device must be a device name or an object';
+  }
+
+  if (device.orientation !== undefined && !['portrait', 'landscape'].includes(device.orientation)) {
+    return 'orientation must be "portrait" or "landscape"';
+  }
+
+  if (device.descriptor !== undefined) {
+    const name = device.orientation === 'landscape' && !String(device.descriptor).endsWith(' landscape')
+      ? `${device.descriptor} landscape`
+      : device.descriptor;
+    if (!ScreenshotService.DEVICE_NAMES.includes(name)) {
+      return `unknown device "${name}". GET /api/options lists the supported devices`;
+    }
+  } else if (device.width === undefined || device.height === undefined) {
+    return 'custom devices need a width and a height';
+  }
+
+  const isDimension = value => Number.isInteger(value) && value > 0 && value <= 10000;
+  if ((device.width !== undefined && !isDimension(device.width)) ||
+      (device.height !== undefined && !isDimension(device.height))) {
+    return 'width and height must be integers between 1 and 10000';
+  }
+
+  if (device.deviceScaleFactor !== undefined &&
+      !(typeof device.deviceScaleFactor === 'number' && device.deviceScaleFactor > 0 && device.deviceScaleFactor <= 5)) {
+    return 'deviceScaleFactor must be a number between 0 and 5';
+  }
+
+  if (device.userAgent !== undefined && typeof device.userAgent !== 'string') {
+    return 'userAgent must be a string';
+  }
+
+  if ((device.isMobile !== undefined && typeof device.isMobile !== 'boolean') ||
+      (device.hasTouch !== undefined && typeof device.hasTouch !== 'boolean')) {
+    return 'isMobile and hasTouch must be booleans';
+  }
+
+  return null;
+}
+
+// Returns a problem description for malformed emulation options, or null
+function validateEmulationOptions(emulation) {
+  if (typeof emulation !== 'object' || Array.isArray(emulation)) {
+    return 'emulation must be an object';
+  }
+
+  for (const [key, choices] of Object.entries(ScreenshotService.EMULATION_CHOICES)) {
+    if (emulation[key] !== undefined && !choices.includes(emulation[key])) {
+      return `emulation.${key} must be one of: ${choices.join(', ')}`;
+    }
+  }
+
+  if (emulation.locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(emulation.locale);
+    } catch (_) {
+      return `emulation.locale "${emulation.locale}" is not a valid BCP 47 locale`;
+    }
+  }
+
+  if (emulation.timezoneId !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: emulation.timezoneId });
+    } catch (_) {
+      return `emulation.timezoneId "${emulation.timezoneId}" is not a valid IANA time zone`;
+    }
+  }
+
+  const { geolocation } = emulation;
+  if (geolocation !== undefined) {
+    const inRange = (value, limit) => typeof value === 'number' && Math.abs(value) <= limit;
+    if (!geolocation || !inRange(geolocation.latitude, 90) || !inRange(geolocation.longitude, 180) ||
+        (geolocation.accuracy !== undefined && !(geolocation.accuracy >= 0))) {
+      return 'emulation.geolocation needs a latitude (-90..90), a longitude (-180..180) and an optional non-negative accuracy';
+    }
+  }
+
+  if (emulation.permissions !== undefined &&
+      (!Array.isArray(emulation.permissions) || emulation.permissions.some(permission => typeof permission !== 'string'))) {
+    return 'emulation.permissions must be an array of permission names';
+  }
+
+  return null;
+}
+
+// Returns a problem description for a malformed ignore region list, or null
+function validateIgnoreRegions(regions) {
+  return validateRegions(regions, { name: 'ignoreRegions', label: 'ignore regions', max: MAX_IGNORE_REGIONS });
+}
+
+// Rectangles in image pixels; name is the field reported in errors
+function validateRegions(regions, { name, label, max }) {
+  if (!Array.isArray(regions)) {
+    return `${name} must be an array of { x, y, width, height } rectangles`;
+  }
+
+  if (regions.length > max) {
+    return `at most ${max} ${label} are allowed`;
+  }
+
+  const isCoordinate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const invalidIndex = regions.findIndex(region => (
+    !region || !isCoordinate(region.x) || !isCoordinate(region.y) ||
+    !isCoordinate(region.width) || !isCoordinate(region.height) ||
+    region.width === 0 || region.height === 0
+  ));
+
+  if (invalidIndex !== -1) {
+    return `region ${invalidIndex + 1} needs non-negative x and y and a positive width and height`;
+  }
+
+  return null;
+}
+
+// Returns a problem description for a malformed auth configuration, or null
+function validateAuthConfig(auth) {
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    return 'auth must be an object';
+  }
+
+  if (auth.cookies !== undefined && !Array.isArray(auth.cookies)) {
+    return 'auth.cookies must be an array of cookie objects';
+  }
+
+  if (auth.cookies && auth.cookies.some(cookie => !cookie || !cookie.name || cookie.value === undefined)) {
+    return 'every cookie needs a name and a value';
+  }
+
+  if (auth.storageState !== undefined && (typeof auth.storageState !== 'object' || Array.isArray(auth.storageState))) {
+    return 'auth.storageState must be a Playwright storageState object';
+  }
+
+  if (auth.httpCredentials !== undefined &&
+      (!auth.httpCredentials || !auth.httpCredentials.username || auth.httpCredentials.password === undefined)) {
+    return 'auth.httpCredentials needs a username and a password';
+  }
+
+  if (auth.loginSteps !== undefined) {
+    const problem = ActionRunner.validate(auth.loginSteps, AuthService.LOGIN_ACTIONS);
+    if (problem) {
+      return `auth.loginSteps ${problem}`;
+    }
+  }
+
+  return null;
+}
+
+// Validate capture options that the screenshot service cannot recover from.
+// Returns an error response body, or null when the options are usable.
+function validateComparisonOptions(options) {
+  const sides = options.sides || {};
+  const browsers = [options.browser, sides.A && sides.A.browser, sides.B && sides.B.browser];
+
+  for (const browser of browsers) {
+    if (browser !== undefined && !ScreenshotService.BROWSER_ENGINES.includes(browser)) {
+      return {
+        error: `Unsupported browser "${browser}". Supported browsers: ${ScreenshotService.BROWSER_ENGINES.join(', ')}`,
+        code: 'INVALID_BROWSER'
+      };
+    }
+  }
+
+  if (options.dimensionStrategy !== undefined && !DIMENSION_STRATEGIES.includes(options.dimensionStrategy)) {
+    return {
+      error: `dimensionStrategy must be one of: ${DIMENSION_STRATEGIES.join(', ')}`,
+      code: 'INVALID_DIMENSION_STRATEGY'
+    };
+  }
+
+  if (options.alignment !== undefined && !ALIGNMENT_MODES.includes(options.alignment)) {
+    return {
+      error: `alignment must be one of: ${ALIGNMENT_MODES.join(', ')}`,
+      code: 'INVALID_ALIGNMENT'
+    };
+  }
+
+  const selectors = [options.targetSelector, sides.A && sides.A.targetSelector, sides.B && sides.B.targetSelector];
+  if (selectors.some(selector => selector !== undefined && selector !== null && (typeof selector !== 'string' || !selector.trim()))) {
+    return {
+      error: 'targetSelector must be a non-empty CSS selector string',
+      code: 'INVALID_TARGET_SELECTOR'
+    };
+  }
+
+  const regionLists = { shared: options.ignoreRegions, A: sides.A && sides.A.ignoreRegions, B: sides.B && sides.B.ignoreRegions };
+  for (const [scope, regions] of Object.entries(regionLists)) {
+    if (regions === undefined || regions === null) continue;
+
+    const problem = validateIgnoreRegions(regions);
+    if (problem) {
+      return {
+        error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}ignoreRegions: ${problem}`,
+        code: 'INVALID_IGNORE_REGIONS'
+      };
+    }
+  }
+
+  const networkRules = [
+    ['blockRequests', validateBlockRequests],
+    ['mockResponses', validateMockResponses]
+  ];
+  for (const [key, validate] of networkRules) {
+    const scopes = { shared: options[key], A: sides.A && sides.A[key], B: sides.B && sides.B[key] };
+
+    for (const [scope, value] of Object.entries(scopes)) {
+      if (value === undefined || value === null) continue;
+
+      const problem = validate(value);
+      if (problem) {
+        return {
+          error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}${key}: ${problem}`,
+          code: 'INVALID_NETWORK_RULES'
+        };
+      }
+    }
+  }
+
+  const deviceConfigs = { shared: options.device, A: sides.A && sides.A.device, B: sides.B && sides.B.device };
+  for (const [scope, device] of Object.entries(deviceConfigs)) {
+    if (device === undefined || device === null) continue;
+
+    const problem = validateDevice(device);
+    if (problem) {
+      return {
+        error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}device: ${problem}`,
+        code: 'INVALID_DEVICE'
+      };
+    }
+  }
+
+  const emulationConfigs = { shared: options.emulation, A: sides.A && sides.A.emulation, B: sides.B && sides.B.emulation };
+  for (const [scope, emulation] of Object.entries(emulationConfigs)) {
+    if (emulation === undefined || emulation === null) continue;
+
+    const problem = validateEmulationOptions(emulation);
+    if (problem) {
+      return {
+        error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}emulation options: ${problem}`,
+        code: 'INVALID_EMULATION_OPTIONS'
+      };
+    }
+  }
+
+  const { deterministic } = options;
+  if (deterministic && deterministic !== true) {
+    const invalidTime = deterministic.now !== undefined && Number.isNaN(new Date(deterministic.now).getTime());
+    const invalidSeed = deterministic.seed !== undefined && !Number.isInteger(deterministic.seed);
+
+    if (typeof deterministic !== 'object' || invalidTime || invalidSeed) {
+      return {
+        error: 'deterministic must be true or { now: <ISO date>, seed: <integer> }',
+        code: 'INVALID_DETERMINISTIC_OPTIONS'
+      };
+    }
+  }
+
+  if (options.har !== undefined && options.har !== null) {
+    const problem = validateHarOptions(options.har);
+    if (problem) {
+      return {
+        error: `Invalid har options: ${problem}`,
+        code: 'INVALID_HAR_OPTIONS'
+      };
+    }
+  }
+
+  const actionLists = { shared: options.actions, A: sides.A && sides.A.actions, B: sides.B && sides.B.actions };
+  for (const [scope, actions] of Object.entries(actionLists)) {
+    if (actions === undefined || actions === null) continue;
+
+    const problem = Array.isArray(actions) && actions.length > MAX_ACTIONS
+      ? `at most ${MAX_ACTIONS} steps are allowed`
+      : ActionRunner.validate(actions);
+    if (problem) {
+      return {
+        error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}actions: ${problem}`,
+        code: 'INVALID_ACTIONS'
+      };
+    }
+  }
+
+  const authConfigs = { shared: options.auth, A: sides.A && sides.A.auth, B: sides.B && sides.B.auth };
+  for (const [scope, auth] of Object.entries(authConfigs)) {
+    if (auth === undefined || auth === null) continue;
+
+    const problem = validateAuthConfig(auth);
+    if (problem) {
+      return {
+        error: `Invalid ${scope === 'shared' ? '' : `side ${scope} `}auth configuration: ${problem}`,
+        code: 'INVALID_AUTH_CONFIG'
+      };
+    }
+  }
+
+  return null;
+}
+
+// Pick the per-side overrides the screenshot service understands
+function normalizeSideOptions(sides = {}) {
+  const normalized = {};
+
+  for (const side of ['A', 'B']) {
+    if (!sides[side]) continue;
+
+    normalized[side] = {};
+    for (const key of SIDE_OPTION_KEYS) {
+      if (sides[side][key] !== undefined) {
+        normalized[side][key] = sides[side][key];
+      }
+    }
+  }
+
+  return normalized;
+}
+
+// API Routes
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    service: screenshotService ? 'initialized' : 'not initialized',
+    ...(screenshotService && { pool: screenshotService.getPoolStats() })
+  });
+});
+
+// The URL of a request that names a single page (url, or only one of urlA and
+// urlB); such a request is compared against that page's approved baseline
+function baselineRequestUrl({ url, urlA, urlB }) {
+  if (url) return url;
+  if (urlA && !urlB) return urlA;
+  if (urlB && !urlA) return urlB;
+  return null;
+}
+
+// Validate a single comparison request body. With allowBaseline a single URL
+// may be given instead of urlA and urlB.
+// Returns { status, body } describing the rejection, or null when it can run.
+function validateComparisonRequest(body, { allowBaseline = false } = {}) {
+  const { urlA, urlB, options = {} } = body;
+  const baselineUrl = allowBaseline ? baselineRequestUrl(body) : null;
+
+  if (baselineUrl) {
+    if (!isValidUrl(baselineUrl)) {
+      return { status: 400, body: { error: `Invalid URL: ${baselineUrl}`, code: 'INVALID_URL' } };
+    }
+    if (options.har) {
+      return { status: 400, body: { error: 'HAR recording and replay are not available when comparing against a baseline', code: 'INVALID_HAR_OPTIONS' } };
+    }
+  } else if (!urlA || !urlB) {
+    return { status: 400, body: { error: 'Both urlA and urlB are required', code: 'MISSING_URLS' } };
+  }
+
+  if (!baselineUrl && !isValidUrl(urlA)) {
+    return { status: 400, body: { error: `Invalid URL A: ${urlA}`, code: 'INVALID_URL_A' } };
+  }
+
+  if (!baselineUrl && !isValidUrl(urlB)) {
+    return { status: 400, body: { error: `Invalid URL B: ${urlB}`, code: 'INVALID_URL_B' } };
+  }
+
+  if (!screenshotService) {
+    return { status: 503, body: { error: 'Screenshot service not initialized', code: 'SERVICE_NOT_READY' } };
+  }
+
+  const optionsError = validateComparisonOptions(options);
+  if (optionsError) {
+    return { status: 400, body: optionsError };
+  }
+
+  return null;
+}
+
+// Merge request options with defaults
+function buildComparisonOptions(options = {}) {
+  return {
+    waitFor: options.waitFor || 'networkidle',
+    fullPage: options.fullPage !== false,
+    maskSelectors: options.maskSelectors || [
+      '.cookie', '#cookie', '.banner', '.ads', 
+      '[data-testid="cookie"]', '.popup', '.modal',
+      '.notification', '.alert'
+    ],
+    diffThreshold: Math.min(Math.max(options.diffThreshold || 0.1, 0), 1),
+    includeAA: options.includeAA !== false,
+    multiScaleSsim: options.multiScaleSsim === true,
+    dimensionStrategy: options.dimensionStrategy || 'crop',
+    alignment: options.alignment || 'none',
+    timeout: Math.min(options.timeout || 45000, 120000), // Max 2 minutes
+    stabilizationDelay: Math.min(options.stabilizationDelay || 1000, 5000),
+    browser: options.browser || ScreenshotService.DEFAULT_BROWSER,
+    auth: options.auth || null,
+    actions: options.actions || [],
+    targetSelector: options.targetSelector || null,
+    ignoreRegions: options.ignoreRegions || [],
+    blockRequests: options.blockRequests || null,
+    mockResponses: options.mockResponses || [],
+    har: options.har || null,
+    deterministic: normalizeDeterministicOptions(options.deterministic),
+    emulation: options.emulation || {},
+    device: options.device || null,
+    sides: normalizeSideOptions(options.sides)
+  };
+}
+
+// Map a comparison failure to its HTTP status and error code
+function describeComparisonError(error) {
+  let statusCode = 500;
+  let errorCode = 'COMPARISON_FAILED';
+
+  if (isCancelledError(error)) {
+    statusCode = 499;
+    errorCode = 'CANCELLED';
+  } else if (error.message.includes('Authentication Error')) {
+    statusCode = 400;
+    errorCode = 'AUTH_ERROR';
+  } else if (error.message.includes('Network mock error')) {
+    statusCode = 400;
+    errorCode = 'NETWORK_MOCK_ERROR';
+  } else if (error.message.includes('HAR Error')) {
+    statusCode = 404;
+    errorCode = 'HAR_NOT_FOUND';
+  } else if (error.message.includes('Baseline Error')) {
+    statusCode = 404;
+    errorCode = 'BASELINE_NOT_FOUND';
+  } else if (error.message.includes('net::')) {
+    statusCode = 400;
+    errorCode = 'NETWORK_ERROR';
+  } else if (error.message.includes('timeout')) {
+    statusCode = 408;
+    errorCode = 'TIMEOUT_ERROR';
+  } else if (error.message.includes('Navigation failed')) {
+    statusCode = 400;
+    errorCode = 'NAVIGATION_ERROR';
+  }
+
+  return { statusCode, errorCode };
+}
+
+const comparisonStore = new ComparisonStore();
+
+// Keep a comparison in the store; failing to store it never fails the comparison
+async function recordComparison(result, { options, ...meta }) {
+  try {
+    await comparisonStore.save(result, { ...meta, options: options && AuthService.redactOptions(options) });
+  } catch (error) {
+    console.error(`Failed to store comparison ${result.id}:`, error.message);
+  }
+}
+
+async function recordFailure(urls, error, { options, ...meta }) {
+  try {
+    await comparisonStore.saveFailure(urls, error, { ...meta, options: options && AuthService.redactOptions(options) });
+  } catch (storeError) {
+    console.error('Failed to store failed comparison:', storeError.message);
+  }
+}
+
+// Boolean flags arrive as JSON booleans in bodies and as strings in query strings
+function isFlagSet(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function artifactLinks(comparisonId, names) {
+  return Object.fromEntries(names.map((name) => {
+    const url = `/api/artifacts/${comparisonId}/${name}`;
+    return [name, { url, thumbnail: `${url}?thumbnail` }];
+  }));
+}
+
+/**
+ * Shape a comparison for a response: images are linked through artifact URLs
+ * and only inlined as base64 when inlineImages is set. result.images maps
+ * names to PNG buffers (or, when not inlining, to anything).
+ */
+function presentComparison(result, { inlineImages = false } = {}) {
+  // Raw captures are only kept for approving baselines
+  const { images, captures, ...rest } = result;
+  const names = Object.keys(images || {});
+
+  return {
+    ...rest,
+    artifacts: artifactLinks(result.id, names),
+    ...(inlineImages && {
+      images: Object.fromEntries(names.map(name => [name, images[name].toString('base64')]))
+    })
+  };
+}
+
+async function presentStoredComparison(record, { inlineImages = false } = {}) {
+  const images = inlineImages ? await comparisonStore.readImages(record) : record.images;
+  return presentComparison({ ...record, images }, { inlineImages });
+}
+
+const baselineStore = new BaselineStore();
+
+// The baseline a fresh capture is compared against is keyed by the capture's (side B) options
+function findBaseline(url, comparisonOptions) {
+  const { key } = BaselineStore.keyFor(url, screenshotService.resolveSideOptions(comparisonOptions, 'B'));
+  return baselineStore.current(key);
+}
+
+/**
+ * Prepare a validated request: returns { urls, compare(hooks) } or
+ * { rejection } when the request names a page without an approved baseline.
+ */
+function prepareComparison(body, comparisonOptions) {
+  const url = baselineRequestUrl(body);
+  if (!url) {
+    const { urlA, urlB } = body;
+    return {
+      urls: { A: urlA, B: urlB },
+      compare: hooks => screenshotService.comparePages(urlA, urlB, comparisonOptions, hooks)
+    };
+  }
+
+  const baseline = findBaseline(url, comparisonOptions);
+  if (!baseline) {
+    return {
+      rejection: {
+        status: 404,
+        body: { error: `No approved baseline for ${url} with these capture options`, code: 'BASELINE_NOT_FOUND' }
+      }
+    };
+  }
+
+  return {
+    urls: { A: baseline.url, B: url },
+    compare: async (hooks) => {
+      const image = await baselineStore.readImage(baseline.key, baseline.version);
+      return screenshotService.compareWithBaseline({ ...baseline, image }, url, comparisonOptions, hooks);
+    }
+  };
+}
+
+const jobManager = new JobManager({
+  describeError: (error) => {
+    const { statusCode, errorCode } = describeComparisonError(error);
+    return { error: error.message, code: errorCode, statusCode };
+  }
+});
+
+// Signal aborted when the client goes away before the response is sent
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort('client disconnected');
+    }
+  });
+
+  return controller.signal;
+}
+
+// Main comparison endpoint
+app.post('/api/compare-ui', async (req, res) => {
+  const startTime = Date.now();
+  let urls = { A: req.body.urlA, B: req.body.urlB };
+  // Kept outside the try so failures are stored with the options they ran with
+  let comparisonOptions = null;
+
+  try {
+    const { options = {} } = req.body;
+
+    // Validation
+    const rejection = validateComparisonRequest(req.body, { allowBaseline: true });
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    comparisonOptions = buildComparisonOptions(options);
+    const comparison = prepareComparison(req.body, comparisonOptions);
+    if (comparison.rejection) {
+      return res.status(comparison.rejection.status).json(comparison.rejection.body);
+    }
+    urls = comparison.urls;
+
+    console.log(`Starting comparison: ${urls.A} vs ${urls.B}`);
+    console.log('Options:', AuthService.redactOptions(comparisonOptions));
+
+    // Perform comparison
+    const signal = abortOnDisconnect(res);
+    const result = await comparison.compare({ signal });
+
+    const duration = Date.now() - startTime;
+    console.log(`Comparison completed in ${duration}ms`);
+
+    // Add performance metadata
+    result.performance = {
+      duration,
+      timestamp: new Date().toISOString()
+    };
+
+    await recordComparison(result, { source: 'compare', options: comparisonOptions });
+    res.json(presentComparison(result, { inlineImages: isFlagSet(req.body.inlineImages) }));
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error('Comparison failed:', error);
+
+    // Determine error type and status code
+    const { statusCode, errorCode } = describeComparisonError(error);
+
+    if (errorCode !== 'CANCELLED') {
+      await recordFailure(urls, { error: error.message, code: errorCode }, { source: 'compare', options: comparisonOptions });
+    }
+
+    res.status(statusCode).json({
+      error: error.message,
+      code: errorCode,
+      duration,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Start a Server-Sent Events response; returns send(type, data)
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Start a comparison in the background; progress is streamed from /api/jobs/:id/events
+app.post('/api/jobs', (req, res) => {
+  const { options = {} } = req.body;
+
+  const rejection = validateComparisonRequest(req.body, { allowBaseline: true });
+  if (rejection) {
+    return res.status(rejection.status).json(rejection.body);
+  }
+
+  const comparisonOptions = buildComparisonOptions(options);
+  const comparison = prepareComparison(req.body, comparisonOptions);
+  if (comparison.rejection) {
+    return res.status(comparison.rejection.status).json(comparison.rejection.body);
+  }
+
+  const { urls } = comparison;
+  const inlineImages = isFlagSet(req.body.inlineImages);
+  console.log(`Queueing comparison job: ${urls.A} vs ${urls.B}`);
+
+  const job = jobManager.create({ urls }, async (hooks) => {
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await comparison.compare(hooks);
+    } catch (error) {
+      if (!isCancelledError(error) && !hooks.signal.aborted) {
+        const { errorCode } = describeComparisonError(error);
+        await recordFailure(urls, { error: error.message, code: errorCode }, { source: 'job', options: comparisonOptions });
+      }
+      throw error;
+    }
+
+    result.performance = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+    await recordComparison(result, { source: 'job', options: comparisonOptions });
+    return presentComparison(result, { inlineImages });
+  });
+
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    links: {
+      self: `/api/jobs/${job.id}`,
+      events: `/api/jobs/${job.id}/events`
+    }
+  });
+});
+
+// Job status; the comparison result is included once the job has completed
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: `Job ${req.params.id} not found`,
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  jobManager.touch(job.id);
+  res.json({
+    ...jobManager.summarize(job),
+    ...(job.status === 'completed' && { result: job.result })
+  });
+});
+
+// Cancel a queued or running job; its pages are closed and its status becomes "cancelled"
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: `Job ${req.params.id} not found`,
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({
+      error: `Job ${job.id} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`,
+      code: 'JOB_FINISHED'
+    });
+  }
+
+  res.status(202).json({ id: job.id, status: 'cancelling' });
+});
+
+// Server-Sent Events: past and live "progress" events, then a final "done" event
+// Closing every stream of a running job cancels it unless a client reconnects
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: `Job ${req.params.id} not found`,
+      code: 'JOB_NOT_FOUND'
+    });
+  }
+
+  const send = openEventStream(res);
+
+  job.events.forEach(event => send('progress', event));
+  if (jobManager.isFinished(job)) {
+    send('done', jobManager.summarize(job));
+    return res.end();
+  }
+
+  const unsubscribe = jobManager.subscribe(job.id, (type, data) => {
+    send(type, data);
+    if (type === 'done') {
+      res.end();
+    }
+  });
+
+  res.on('close', unsubscribe);
+});
+
+// Shared options plus the per-row overrides of a batch row; sides merge key by key
+function mergeRowOptions(options = {}, rowOptions) {
+  if (!rowOptions) {
+    return options;
+  }
+
+  const sides = { ...options.sides };
+  for (const [side, sideOptions] of Object.entries(rowOptions.sides || {})) {
+    sides[side] = { ...sides[side], ...sideOptions };
+  }
+
+  return { ...options, ...rowOptions, sides };
+}
+
+// Persisted batches keep credentials redacted, so rows that need them cannot resume
+function hasRedactedAuth(options) {
+  const auths = [options.auth, ...Object.values(options.sides || {}).map(side => side.auth)];
+  return auths.some(auth => auth && auth.redacted);
+}
+
+// Only failures that may pass on a second attempt are retried
+const RETRYABLE_ERROR_CODES = ['COMPARISON_FAILED', 'NETWORK_ERROR', 'TIMEOUT_ERROR', 'NAVIGATION_ERROR'];
+
+const MAX_BATCH_ROWS = 500;
+
+function batchReference(batch, row) {
+  return { id: batch.id, index: row.index, originalData: row.originalData };
+}
+
+const batchManager = new BatchManager({
+  defaultConcurrency: process.env.BATCH_CONCURRENCY,
+  runRow: async (row, batch, hooks) => {
+    const rowOptions = mergeRowOptions(batch.options, row.options);
+    if (hasRedactedAuth(rowOptions)) {
+      throw new Error('Authentication Error: credentials are not stored with a batch, so this row could not resume after a server restart. Submit it again.');
+    }
+
+    const startTime = Date.now();
+    const comparisonOptions = buildComparisonOptions(rowOptions);
+    const result = await screenshotService.comparePages(row.urlA, row.urlB, comparisonOptions, hooks);
+
+    result.performance = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+    await recordComparison(result, { source: 'batch', batch: batchReference(batch, row), options: comparisonOptions });
+    return result;
+  },
+  onRowFailed: (row, batch) => recordFailure({ A: row.urlA, B: row.urlB }, row.error, {
+    source: 'batch',
+    batch: batchReference(batch, row)
+  }),
+  describeError: (error) => {
+    const { statusCode, errorCode } = describeComparisonError(error);
+    return { error: error.message, code: errorCode, statusCode };
+  },
+  shouldRetry: error => RETRYABLE_ERROR_CODES.includes(describeComparisonError(error).errorCode),
+  serializeOptions: AuthService.redactOptions
+});
+
+// Batch summary with each completed row's review, which is kept with its comparison
+function presentBatch(batch) {
+  const summary = batchManager.summarize(batch);
+  return {
+    ...summary,
+    rows: summary.rows.map(row => ({
+      ...row,
+      review: (row.comparisonId && comparisonStore.getSummary(row.comparisonId)?.review) || null
+    }))
+  };
+}
+
+function batchNotFound(res, id) {
+  return res.status(404).json({
+    error: `Batch ${id} not found`,
+    code: 'BATCH_NOT_FOUND'
+  });
+}
+
+// Run a list of URL pairs on the server; rows are persisted and resume after a restart
+app.post('/api/batches', async (req, res) => {
+  const { rows, options = {}, concurrency, retries } = req.body;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'rows must be a non-empty array of { urlA, urlB }', code: 'MISSING_ROWS' });
+  }
+
+  if (rows.length > MAX_BATCH_ROWS) {
+    return res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_ROWS} rows`, code: 'TOO_MANY_ROWS' });
+  }
+
+  for (const [index, row] of rows.entries()) {
+    const rejection = validateComparisonRequest({ ...row, options: mergeRowOptions(options, row && row.options) });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        ...rejection.body,
+        error: `Row ${index + 1}: ${rejection.body.error}`,
+        row: index
+      });
+    }
+  }
+
+  try {
+    const batch = await batchManager.create({
+      rows: rows.map(({ urlA, urlB, options: rowOptions, originalData }) => ({ urlA, urlB, options: rowOptions, originalData })),
+      options,
+      concurrency,
+      retries
+    });
+    console.log(`Queued batch ${batch.id} with ${batch.rows.length} rows (concurrency ${batch.concurrency}, retries ${batch.retries})`);
+
+    res.status(202).json({
+      id: batch.id,
+      status: batch.status,
+      total: batch.rows.length,
+      links: {
+        self: `/api/batches/${batch.id}`,
+        events: `/api/batches/${batch.id}/events`
+      }
+    });
+  } catch (error) {
+    console.error('Failed to create batch:', error);
+    res.status(500).json({ error: error.message, code: 'BATCH_CREATE_FAILED' });
+  }
+});
+
+app.get('/api/batches', (req, res) => {
+  res.json({ batches: batchManager.list() });
+});
+
+// Batch status with the state of every row; results are fetched per row
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) {
+    return batchNotFound(res, req.params.id);
+  }
+
+  res.json(presentBatch(batch));
+});
+
+// Full comparison result of a completed row, read from the comparison store
+app.get('/api/batches/:id/rows/:index', async (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) {
+    return batchNotFound(res, req.params.id);
+  }
+
+  const row = batch.rows[parseInt(req.params.index, 10)];
+  const record = row && row.comparisonId && await comparisonStore.get(row.comparisonId);
+  if (!record) {
+    return res.status(404).json({
+      error: `Row ${req.params.index} of batch ${batch.id} has no result`,
+      code: 'ROW_RESULT_NOT_FOUND'
+    });
+  }
+
+  res.json(await presentStoredComparison(record, { inlineImages: isFlagSet(req.query.inlineImages) }));
+});
+
+// Stop a batch; running rows are aborted and pending rows are marked cancelled
+app.post('/api/batches/:id/cancel', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) {
+    return batchNotFound(res, req.params.id);
+  }
+
+  if (!batchManager.cancel(batch.id)) {
+    return res.status(409).json({
+      error: `Batch ${batch.id} has already ${batch.status === 'cancelled' ? 'been cancelled' : 'finished'}`,
+      code: 'BATCH_FINISHED'
+    });
+  }
+
+  res.status(202).json({ id: batch.id, status: 'cancelling' });
+});
+
+// Server-Sent Events: a "snapshot" of the batch, then "row" and "progress" events and a final "done"
+// Unlike jobs, batches keep running when every stream has closed
+app.get('/api/batches/:id/events', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) {
+    return batchNotFound(res, req.params.id);
+  }
+
+  const send = openEventStream(res);
+
+  send('snapshot', presentBatch(batch));
+  if (batchManager.isFinished(batch)) {
+    send('done', batchManager.summarize(batch, { includeRows: false }));
+    return res.end();
+  }
+
+  const unsubscribe = batchManager.subscribe(batch.id, (type, data) => {
+    send(type, data);
+    if (type === 'done') {
+      res.end();
+    }
+  });
+
+  res.on('close', unsubscribe);
+});
+
+const scheduler = new Scheduler({
+  runSchedule: async (schedule, run, hooks) => {
+    const comparisonOptions = buildComparisonOptions(schedule.options);
+    const comparison = prepareComparison({ ...schedule.target, options: schedule.options }, comparisonOptions);
+    // The baseline may have been deleted since the schedule was created
+    if (comparison.rejection) {
+      throw new Error(`Baseline Error: ${comparison.rejection.body.error}`);
+    }
+
+    const startTime = Date.now();
+    const result = await comparison.compare(hooks);
+    result.performance = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+    await recordComparison(result, { source: 'schedule', schedule: scheduleReference(schedule, run), options: comparisonOptions });
+    return result;
+  },
+  onRunFailed: (schedule, run) => recordFailure(scheduleUrls(schedule), run.error, {
+    id: run.id,
+    source: 'schedule',
+    schedule: scheduleReference(schedule, run)
+  }),
+  describeError: (error) => {
+    const { errorCode } = describeComparisonError(error);
+    return { error: error.message, code: errorCode };
+  }
+});
+
+function scheduleReference(schedule, run) {
+  return { id: schedule.id, name: schedule.name, runId: run.id };
+}
+
+// Baseline runs compare against the baseline's URL, the target URL normalized as
+// when it was approved, so failed runs share the trend of the completed ones
+function scheduleUrls({ target }) {
+  return target.url ? { A: BaselineStore.keyFor(target.url).url, B: target.url } : { A: target.urlA, B: target.urlB };
+}
+
+// Schedule summary with the diff of each completed run linked
+function presentSchedule(summary) {
+  const withArtifacts = run => run && {
+    ...run,
+    artifacts: run.status === 'completed' && run.comparisonId ? artifactLinks(run.comparisonId, ['diff']) : null
+  };
+
+  return {
+    ...summary,
+    lastRun: withArtifacts(summary.lastRun),
+    ...(summary.runs && { runs: summary.runs.map(withArtifacts) })
+  };
+}
+
+function scheduleNotFound(res, id) {
+  return res.status(404).json({
+    error: `Schedule ${id} not found`,
+    code: 'SCHEDULE_NOT_FOUND'
+  });
+}
+
+// Validate a schedule body; returns { status, body } describing the rejection, or null
+function validateScheduleRequest(body) {
+  const { name, cron, threshold, options = {} } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.length > 200)) {
+    return { status: 400, body: { error: 'name must be a string of at most 200 characters', code: 'INVALID_SCHEDULE' } };
+  }
+
+  try {
+    parseCron(cron);
+  } catch (error) {
+    return { status: 400, body: { error: error.message, code: 'INVALID_CRON' } };
+  }
+
+  if (threshold !== undefined && (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+    return { status: 400, body: { error: 'threshold must be a mismatch percentage between 0 and 100', code: 'INVALID_SCHEDULE' } };
+  }
+
+  // Credentials are not written to disk, so a schedule could not log in on its next run
+  if (options.auth || Object.values(options.sides || {}).some(side => side && side.auth)) {
+    return { status: 400, body: { error: 'Schedules cannot use auth: credentials are not stored on the server', code: 'INVALID_SCHEDULE' } };
   }
+
+  return validateComparisonRequest(body, { allowBaseline: true });
 }
 
-// Utility function to validate URLs
-function isValidUrl(string) {
+/**
+ * Create a schedule. Body: { name, cron, urlA, urlB | url, options, threshold, paused }.
+ * With a single url each run compares the page against its approved baseline.
+ */
+app.post('/api/schedules', async (req, res) => {
+  const rejection = validateScheduleRequest(req.body);
+  if (rejection) {
+    return res.status(rejection.status).json(rejection.body);
+  }
+
+  const { name, cron, urlA, urlB, options = {}, threshold, paused } = req.body;
+  const url = baselineRequestUrl(req.body);
+
   try {
-    const url = new URL(string);
-    return url.protocol === 'http:' || url.protocol === 'https:';
-  } catch (_) {
-    return false;
+    const schedule = await scheduler.create({
+      name: name && name.trim(),
+      cron,
+      target: url ? { url } : { urlA, urlB },
+      options,
+      threshold,
+      paused
+    });
+    console.log(`Created schedule ${schedule.id} "${schedule.name}" (${schedule.cron}), next run ${schedule.nextRunAt || 'never'}`);
+
+    res.status(201).json(presentSchedule(scheduler.summarize(schedule)));
+  } catch (error) {
+    console.error('Failed to create schedule:', error);
+    res.status(500).json({ error: error.message, code: 'SCHEDULE_CREATE_FAILED' });
+  }
+});
+
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: scheduler.list().map(presentSchedule) });
+});
+
+// A schedule with its most recent runs, newest first
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    return scheduleNotFound(res, req.params.id);
+  }
+
+  res.json(presentSchedule(scheduler.summarize(schedule)));
+});
+
+app.post('/api/schedules/:id/pause', async (req, res) => {
+  const schedule = await scheduler.setPaused(req.params.id, true);
+  if (!schedule) {
+    return scheduleNotFound(res, req.params.id);
+  }
+
+  res.json(presentSchedule(scheduler.summarize(schedule)));
+});
+
+app.post('/api/schedules/:id/resume', async (req, res) => {
+  const schedule = await scheduler.setPaused(req.params.id, false);
+  if (!schedule) {
+    return scheduleNotFound(res, req.params.id);
+  }
+
+  res.json(presentSchedule(scheduler.summarize(schedule)));
+});
+
+// Run a schedule now, paused or not; the run is reported like any other
+app.post('/api/schedules/:id/run', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) {
+    return scheduleNotFound(res, req.params.id);
+  }
+
+  if (scheduler.isRunning(schedule.id)) {
+    return res.status(409).json({
+      error: `Schedule ${schedule.id} is already running`,
+      code: 'SCHEDULE_RUNNING'
+    });
+  }
+
+  scheduler.trigger(schedule.id, 'manual');
+  res.status(202).json(presentSchedule(scheduler.summarize(schedule)));
+});
+
+// Stops a running comparison of the schedule; stored runs stay in the history
+app.delete('/api/schedules/:id', async (req, res) => {
+  if (!(await scheduler.delete(req.params.id))) {
+    return scheduleNotFound(res, req.params.id);
   }
+
+  res.json({ id: req.params.id, deleted: true });
+});
+
+function comparisonNotFound(res, id) {
+  return res.status(404).json({
+    error: `Comparison ${id} not found`,
+    code: 'COMPARISON_NOT_FOUND'
+  });
 }
 
-// API Routes
+// Stored comparisons, newest first. Query: q, status, review, source, batchId, scheduleId, from, to, sort, page, pageSize
+app.get('/api/comparisons', (req, res) => {
+  const { q, status, review, source, batchId, scheduleId, from, to, sort, page, pageSize } = req.query;
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    service: screenshotService ? 'initialized' : 'not initialized'
+  if (status && !ComparisonStore.STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${ComparisonStore.STATUSES.join(', ')}`,
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  if (review && !ComparisonStore.REVIEW_STATES.includes(review)) {
+    return res.status(400).json({
+      error: `review must be one of: ${ComparisonStore.REVIEW_STATES.join(', ')}`,
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  if (sort && !ComparisonStore.SORTS.includes(sort)) {
+    return res.status(400).json({
+      error: `sort must be one of: ${ComparisonStore.SORTS.join(', ')}`,
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  if ([from, to].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+    return res.status(400).json({
+      error: 'from and to must be ISO dates',
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  const listing = comparisonStore.list({ q, status, review, source, batchId, scheduleId, from, to, sort, page, pageSize });
+  res.json({
+    ...listing,
+    items: listing.items.map(({ imageNames, ...summary }) => ({ ...summary, artifacts: artifactLinks(summary.id, imageNames) }))
   });
 });
 
-// Main comparison endpoint
-app.post('/api/compare-ui', async (req, res) => {
-  const startTime = Date.now();
-  
+// Import the comparison history a browser kept in localStorage
+app.post('/api/comparisons/import', async (req, res) => {
+  const { comparisons } = req.body;
+  if (!Array.isArray(comparisons)) {
+    return res.status(400).json({ error: 'comparisons must be an array', code: 'INVALID_IMPORT' });
+  }
+
   try {
-    const { urlA, urlB, options = {} } = req.body;
+    res.json(await comparisonStore.importHistory(comparisons));
+  } catch (error) {
+    console.error('History import failed:', error);
+    res.status(500).json({ error: error.message, code: 'IMPORT_FAILED' });
+  }
+});
 
-    // Validation
-    if (!urlA || !urlB) {
-      return res.status(400).json({
-        error: 'Both urlA and urlB are required',
-        code: 'MISSING_URLS'
-      });
-    }
+app.get('/api/comparisons/:id', async (req, res) => {
+  const record = await comparisonStore.get(req.params.id);
+  if (!record) {
+    return comparisonNotFound(res, req.params.id);
+  }
 
-    if (!isValidUrl(urlA)) {
-      return res.status(400).json({
-        error: `Invalid URL A: ${urlA}`,
-        code: 'INVALID_URL_A'
-      });
-    }
+  res.json(await presentStoredComparison(record, { inlineImages: isFlagSet(req.query.inlineImages) }));
+});
 
-    if (!isValidUrl(urlB)) {
-      return res.status(400).json({
-        error: `Invalid URL B: ${urlB}`,
-        code: 'INVALID_URL_B'
-      });
+const MAX_REVIEW_REGIONS = 50;
+const MAX_REVIEW_TEXT = 5000;
+
+/**
+ * Review a stored comparison. Body: { state, author, comment, regions } where
+ * state is one of ComparisonStore.REVIEW_STATES and regions annotate the diff
+ * image as { x, y, width, height, label }. Either state or a comment is required.
+ */
+app.post('/api/comparisons/:id/review', async (req, res) => {
+  const { state, author, comment, regions = [] } = req.body;
+
+  if (typeof author !== 'string' || !author.trim()) {
+    return res.status(400).json({ error: 'author is required', code: 'MISSING_AUTHOR' });
+  }
+
+  if (state !== undefined && !ComparisonStore.REVIEW_STATES.includes(state)) {
+    return res.status(400).json({
+      error: `state must be one of: ${ComparisonStore.REVIEW_STATES.join(', ')}`,
+      code: 'INVALID_REVIEW_STATE'
+    });
+  }
+
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_REVIEW_TEXT)) {
+    return res.status(400).json({ error: `comment must be a string of at most ${MAX_REVIEW_TEXT} characters`, code: 'INVALID_REVIEW' });
+  }
+
+  const regionsError = validateRegions(regions, { name: 'regions', label: 'annotated regions', max: MAX_REVIEW_REGIONS });
+  if (regionsError || regions.some(region => region.label !== undefined && typeof region.label !== 'string')) {
+    return res.status(400).json({ error: regionsError || 'region labels must be strings', code: 'INVALID_REVIEW' });
+  }
+
+  if (!state && !(comment && comment.trim()) && regions.length === 0) {
+    return res.status(400).json({ error: 'A review needs a state, a comment or annotated regions', code: 'EMPTY_REVIEW' });
+  }
+
+  try {
+    const review = await comparisonStore.review(req.params.id, {
+      state,
+      author: author.trim().slice(0, 100),
+      comment: comment ? comment.trim() : '',
+      regions: regions.map(({ x, y, width, height, label }) => ({ x, y, width, height, label: label ? label.slice(0, 200) : null }))
+    });
+    if (!review) {
+      return comparisonNotFound(res, req.params.id);
     }
 
-    if (!screenshotService) {
-      return res.status(503).json({
-        error: 'Screenshot service not initialized',
-        code: 'SERVICE_NOT_READY'
+    res.json({ id: req.params.id, review });
+  } catch (error) {
+    console.error(`Failed to review comparison ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message, code: 'REVIEW_FAILED' });
+  }
+});
+
+// Stored screenshots ("A", "B", "diff"). Artifacts never change once written, so
+// they are cached for good; ?thumbnail or ?thumbnail=<width> returns a scaled copy
+app.get('/api/artifacts/:comparisonId/:name', async (req, res) => {
+  const { comparisonId, name } = req.params;
+
+  try {
+    const file = req.query.thumbnail === undefined
+      ? comparisonStore.artifactPath(comparisonId, name)
+      : await comparisonStore.thumbnailPath(comparisonId, name, normalizeThumbnailWidth(req.query.thumbnail));
+
+    if (!file) {
+      return res.status(404).json({
+        error: `Artifact ${name} of comparison ${comparisonId} not found`,
+        code: 'ARTIFACT_NOT_FOUND'
       });
     }
 
-    // Merge options with defaults
-    const comparisonOptions = {
-      waitFor: options.waitFor || 'networkidle',
-      fullPage: options.fullPage !== false,
-      maskSelectors: options.maskSelectors || [
-        '.cookie', '#cookie', '.banner', '.ads', 
-        '[data-testid="cookie"]', '.popup', '.modal',
-        '.notification', '.alert'
-      ],
-      diffThreshold: Math.min(Math.max(options.diffThreshold || 0.1, 0), 1),
-      includeAA: options.includeAA !== false,
-      timeout: Math.min(options.timeout || 45000, 120000), // Max 2 minutes
-      stabilizationDelay: Math.min(options.stabilizationDelay || 1000, 5000)
-    };
+    // sendFile answers Range and conditional requests itself
+    res.sendFile(file, { maxAge: '1y', immutable: true });
+  } catch (error) {
+    console.error(`Failed to serve artifact ${comparisonId}/${name}:`, error);
+    res.status(500).json({ error: error.message, code: 'ARTIFACT_FAILED' });
+  }
+});
 
-    console.log(`Starting comparison: ${urlA} vs ${urlB}`);
-    console.log('Options:', comparisonOptions);
+// Deleting a comparison also removes its HAR recordings
+app.delete('/api/comparisons/:id', async (req, res) => {
+  if (!(await comparisonStore.delete(req.params.id))) {
+    return comparisonNotFound(res, req.params.id);
+  }
 
-    // Perform comparison
-    const result = await screenshotService.comparePages(urlA, urlB, comparisonOptions);
+  res.json({ id: req.params.id, deleted: true });
+});
 
-    const duration = Date.now() - startTime;
-    console.log(`Comparison completed in ${duration}ms`);
+// URL pairs and viewports with stored runs, most recently run first. Query: q
+app.get('/api/trends', (req, res) => {
+  const search = req.query.q ? String(req.query.q).toLowerCase() : null;
+  const series = trendAnalysis.listTrendSeries(comparisonStore.all())
+    .filter(entry => !search || [entry.urlA, entry.urlB].some(url => url && url.toLowerCase().includes(search)));
 
-    // Add performance metadata
-    result.performance = {
-      duration,
-      timestamp: new Date().toISOString()
-    };
+  res.json({ series, total: series.length });
+});
 
-    res.json(result);
+/**
+ * Mismatch, changed pixels and capture sizes of one URL pair over time.
+ * Query: urlA, urlB, viewport ("1440x900"), from, to, window (runs in the
+ * rolling median) and minJump (percentage points).
+ */
+app.get('/api/trends/series', (req, res) => {
+  const { urlA, urlB, viewport, from, to } = req.query;
 
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error('Comparison failed:', error);
+  if (!urlA || !urlB) {
+    return res.status(400).json({
+      error: 'urlA and urlB are required',
+      code: 'MISSING_URLS'
+    });
+  }
 
-    // Determine error type and status code
-    let statusCode = 500;
-    let errorCode = 'COMPARISON_FAILED';
+  if (viewport && !/^\d+x\d+$/.test(viewport)) {
+    return res.status(400).json({
+      error: 'viewport must look like 1440x900',
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  if ([from, to].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+    return res.status(400).json({
+      error: 'from and to must be ISO dates',
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  const window = req.query.window === undefined ? trendAnalysis.DEFAULT_WINDOW : Number(req.query.window);
+  if (!Number.isInteger(window) || window < 1 || window > trendAnalysis.MAX_WINDOW) {
+    return res.status(400).json({
+      error: `window must be a whole number from 1 to ${trendAnalysis.MAX_WINDOW}`,
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  const minJump = req.query.minJump === undefined ? trendAnalysis.DEFAULT_MIN_JUMP : Number(req.query.minJump);
+  if (!Number.isFinite(minJump) || minJump < 0 || minJump > 100) {
+    return res.status(400).json({
+      error: 'minJump must be a percentage from 0 to 100',
+      code: 'INVALID_FILTER'
+    });
+  }
+
+  const trend = trendAnalysis.buildTrend(comparisonStore.all(), { urlA, urlB, viewport, from, to, window, minJump });
+  if (trend.points.length === 0) {
+    return res.status(404).json({
+      error: `No stored comparisons of ${urlA} against ${urlB}${viewport ? ` at ${viewport}` : ''}`,
+      code: 'TREND_NOT_FOUND'
+    });
+  }
+
+  res.json({
+    ...trend,
+    points: trend.points.map(({ summary, ...point }) => ({
+      id: summary.id,
+      createdAt: summary.createdAt,
+      status: summary.status,
+      source: summary.source,
+      ...point,
+      width: summary.metrics?.width ?? null,
+      height: summary.metrics?.height ?? null,
+      capture: summary.capture,
+      review: summary.review.state,
+      error: summary.error,
+      artifacts: artifactLinks(summary.id, summary.imageNames)
+    }))
+  });
+});
+
+function baselineNotFound(res, key) {
+  return res.status(404).json({
+    error: `Baseline ${key} not found`,
+    code: 'BASELINE_NOT_FOUND'
+  });
+}
+
+function baselineImageLinks(key, version) {
+  const url = `/api/baselines/${key}/versions/${version}/image`;
+  return { url, thumbnail: `${url}?thumbnail` };
+}
+
+function presentBaseline(manifest) {
+  return {
+    ...baselineStore.summarize(manifest),
+    versions: [...manifest.versions]
+      .sort((a, b) => b.version - a.version)
+      .map(entry => ({ ...entry, image: baselineImageLinks(manifest.key, entry.version) }))
+  };
+}
 
-    if (error.message.includes('net::')) {
-      statusCode = 400;
-      errorCode = 'NETWORK_ERROR';
-    } else if (error.message.includes('timeout')) {
-      statusCode = 408;
-      errorCode = 'TIMEOUT_ERROR';
-    } else if (error.message.includes('Navigation failed')) {
-      statusCode = 400;
-      errorCode = 'NAVIGATION_ERROR';
+app.get('/api/baselines', (req, res) => {
+  const baselines = baselineStore.list({ q: req.query.q }).map(summary => ({
+    ...summary,
+    image: summary.current && baselineImageLinks(summary.key, summary.current.version)
+  }));
+
+  res.json({ baselines, total: baselines.length });
+});
+
+/**
+ * Approve one side of a stored comparison as the new baseline for its URL and
+ * capture options. Body: { comparisonId, side = 'B', approvedBy, note }.
+ */
+app.post('/api/baselines', async (req, res) => {
+  const { comparisonId, side = 'B', approvedBy, note } = req.body;
+
+  if (!comparisonId) {
+    return res.status(400).json({ error: 'comparisonId is required', code: 'MISSING_COMPARISON_ID' });
+  }
+
+  if (!['A', 'B'].includes(side)) {
+    return res.status(400).json({ error: 'side must be "A" or "B"', code: 'INVALID_SIDE' });
+  }
+
+  if (typeof approvedBy !== 'string' || !approvedBy.trim()) {
+    return res.status(400).json({ error: 'approvedBy is required', code: 'MISSING_APPROVER' });
+  }
+
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return res.status(400).json({ error: 'note must be a string', code: 'INVALID_NOTE' });
+  }
+
+  try {
+    const record = await comparisonStore.get(comparisonId);
+    if (!record) {
+      return comparisonNotFound(res, comparisonId);
     }
 
-    res.status(statusCode).json({
-      error: error.message,
-      code: errorCode,
-      duration,
-      timestamp: new Date().toISOString()
+    // The capture as taken, since the compared image may have been fitted to the other side
+    const image = record.status === 'completed' ? await comparisonStore.readCapture(record, side) : null;
+    if (!image || !record.metadata?.[side]) {
+      return res.status(400).json({
+        error: `Comparison ${comparisonId} has no screenshot of side ${side} to approve`,
+        code: 'INVALID_BASELINE_SOURCE'
+      });
+    }
+
+    // Stored options are the ones the capture ran with; older records fall back to the defaults
+    const options = screenshotService.resolveSideOptions(buildComparisonOptions(record.options || {}), side);
+    const manifest = await baselineStore.approve({
+      url: record.urls[side],
+      options,
+      image,
+      metadata: record.metadata[side],
+      source: { comparisonId, side },
+      approvedBy: approvedBy.trim().slice(0, 100),
+      note: note ? note.trim().slice(0, 500) : null
     });
+
+    console.log(`Baseline ${manifest.key} v${manifest.currentVersion} approved by ${manifest.versions[manifest.versions.length - 1].approvedBy}`);
+    res.status(201).json(presentBaseline(manifest));
+  } catch (error) {
+    console.error('Failed to approve baseline:', error);
+    res.status(500).json({ error: error.message, code: 'BASELINE_APPROVAL_FAILED' });
+  }
+});
+
+app.get('/api/baselines/:key', (req, res) => {
+  const manifest = baselineStore.get(req.params.key);
+  if (!manifest) {
+    return baselineNotFound(res, req.params.key);
+  }
+
+  res.json(presentBaseline(manifest));
+});
+
+// Baseline screenshots never change once approved; ?thumbnail works as for artifacts
+app.get('/api/baselines/:key/versions/:version/image', async (req, res) => {
+  const { key } = req.params;
+  const version = parseInt(req.params.version, 10);
+
+  try {
+    const file = req.query.thumbnail === undefined
+      ? baselineStore.imagePath(key, version)
+      : await baselineStore.thumbnailPath(key, version, normalizeThumbnailWidth(req.query.thumbnail));
+
+    if (!file) {
+      return res.status(404).json({
+        error: `Version ${req.params.version} of baseline ${key} not found`,
+        code: 'BASELINE_VERSION_NOT_FOUND'
+      });
+    }
+
+    res.sendFile(file, { maxAge: '1y', immutable: true });
+  } catch (error) {
+    console.error(`Failed to serve baseline ${key} v${req.params.version}:`, error);
+    res.status(500).json({ error: error.message, code: 'ARTIFACT_FAILED' });
   }
 });
 
+// Removes the baseline with every approved version
+app.delete('/api/baselines/:key', async (req, res) => {
+  if (!(await baselineStore.delete(req.params.key))) {
+    return baselineNotFound(res, req.params.key);
+  }
+
+  res.json({ key: req.params.key, deleted: true });
+});
+
 // Advanced comparison endpoint with multiple viewports
 app.post('/api/compare-multi', async (req, res) => {
   const startTime = Date.now();
@@ -195,58 +1718,58 @@ app.post('/api/compare-multi', async (req, res) => {
       });
     }
 
+    const optionsError = validateComparisonOptions(options);
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
     // Default viewports if none provided
     const defaultViewports = [
       { name: 'Desktop', width: 1440, height: 900, dpr: 1 },
-      { name: 'Tablet', width: 768, height: 1024, dpr: 2 },
-      { name: 'Mobile', width: 390, height: 844, dpr: 3 }
+      { name: 'Tablet', device: 'iPad Mini', width: 768, height: 1024, dpr: 2 },
+      { name: 'Mobile', device: 'iPhone 13', width: 390, height: 844, dpr: 3 }
     ];
 
     const targetViewports = viewports || defaultViewports;
-    const results = [];
+
+    for (const viewport of targetViewports) {
+      const problem = validateDevice(viewportToDevice(viewport || {}));
+      if (problem) {
+        return res.status(400).json({
+          error: `Invalid viewport ${(viewport && viewport.name) || ''}: ${problem}`,
+          code: 'INVALID_DEVICE'
+        });
+      }
+    }
 
     console.log(`Starting multi-viewport comparison: ${urlA} vs ${urlB}`);
 
-    // Process each viewport
-    for (const viewport of targetViewports) {
+    // Viewports run side by side; the browser pool queues captures beyond its concurrency limit
+    const signal = abortOnDisconnect(res);
+    const results = await Promise.all(targetViewports.map(async (viewport) => {
       try {
-        // Update context for this viewport
-        await screenshotService.cleanup();
-        screenshotService = new ScreenshotService();
-        await screenshotService.initialize();
-
-        // Update viewport settings
-        try {
-          await screenshotService.setViewport(viewport.width, viewport.height);
-        } catch (viewportError) {
-          console.error(`Failed to set viewport ${viewport.name}:`, viewportError);
-          results.push({
-            viewport: viewport,
-            error: `Viewport configuration failed: ${viewportError.message}`,
-            failed: true
-          });
-          continue;
-        }
-
+        // The viewport's size, dpr and mobile settings are applied as a device
         const result = await screenshotService.comparePages(urlA, urlB, {
           ...options,
-          viewport: viewport
-        });
+          deterministic: normalizeDeterministicOptions(options.deterministic),
+          sides: normalizeSideOptions(options.sides),
+          device: viewportToDevice(viewport)
+        }, { signal });
 
         result.viewport = viewport;
-        results.push(result);
-
+        await recordComparison(result, { source: 'multi', options: { ...options, device: viewportToDevice(viewport) } });
         console.log(`Completed ${viewport.name} viewport`);
+        return presentComparison(result, { inlineImages: isFlagSet(req.body.inlineImages) });
 
       } catch (viewportError) {
         console.error(`Failed for viewport ${viewport.name}:`, viewportError);
-        results.push({
+        return {
           viewport: viewport,
           error: viewportError.message,
           failed: true
-        });
+        };
       }
-    }
+    }));
 
     const duration = Date.now() - startTime;
 
@@ -289,10 +1812,39 @@ app.get('/api/options', (req, res) => {
       fullPage: true,
       diffThreshold: 0.1,
       includeAA: true,
+      multiScaleSsim: false,
+      dimensionStrategy: 'crop',
+      alignment: 'none',
       timeout: 45000,
-      stabilizationDelay: 1000
+      stabilizationDelay: 1000,
+      browser: ScreenshotService.DEFAULT_BROWSER,
+      deterministic: false,
+      emulation: {
+        colorScheme: 'light',
+        locale: 'en-US',
+        timezoneId: 'UTC',
+        forcedColors: 'none',
+        media: 'screen',
+        reducedMotion: 'reduce',
+        reducedData: 'no-preference'
+      }
+    },
+    emulation: {
+      ...ScreenshotService.EMULATION_CHOICES,
+      permissions: ['geolocation', 'notifications', 'camera', 'microphone', 'clipboard-read', 'clipboard-write'],
+      chromiumOnly: ['reducedData']
+    },
+    deterministicDefaults: {
+      now: DEFAULT_DETERMINISTIC_TIME,
+      seed: 1
     },
     waitStrategies: ['networkidle', 'css:selector'],
+    dimensionStrategies: DIMENSION_STRATEGIES,
+    alignmentModes: ALIGNMENT_MODES,
+    browsers: ScreenshotService.BROWSER_ENGINES,
+    actions: ActionRunner.ACTIONS,
+    blockPresets: NetworkInterceptor.BLOCK_PRESETS,
+    resourceTypes: NetworkInterceptor.RESOURCE_TYPES,
     maxTimeout: 120000,
     supportedFormats: ['png'],
     defaultMaskSelectors: [
@@ -303,10 +1855,11 @@ app.get('/api/options', (req, res) => {
     viewportPresets: [
       { name: 'Desktop', width: 1440, height: 900, dpr: 1 },
       { name: 'Desktop Large', width: 1920, height: 1080, dpr: 1 },
-      { name: 'Tablet', width: 768, height: 1024, dpr: 2 },
-      { name: 'Mobile', width: 390, height: 844, dpr: 3 },
-      { name: 'Mobile Small', width: 320, height: 568, dpr: 2 }
-    ]
+      { name: 'Tablet', device: 'iPad Mini', width: 768, height: 1024, dpr: 2 },
+      { name: 'Mobile', device: 'iPhone 13', width: 390, height: 844, dpr: 3 },
+      { name: 'Mobile Small', device: 'iPhone SE', width: 320, height: 568, dpr: 2 }
+    ],
+    devices: ScreenshotService.DEVICE_NAMES
   });
 });
 
@@ -457,6 +2010,10 @@ app.use((err, req, res, next) => {
     statusCode = 408;
     errorCode = 'TIMEOUT_ERROR';
     userMessage = err.message;
+  } else if (err.message.includes('Authentication Error')) {
+    statusCode = 400;
+    errorCode = 'AUTH_ERROR';
+    userMessage = err.message;
   } else if (err.message.includes('Content Error')) {
     statusCode = 400;
     errorCode = 'CONTENT_ERROR';
@@ -513,6 +2070,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  scheduler.stop();
   if (screenshotService) {
     await screenshotService.cleanup();
   }
@@ -524,6 +2082,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  scheduler.stop();
   if (screenshotService) {
     await screenshotService.cleanup();
   }
@@ -537,6 +2096,11 @@ process.on('SIGINT', async () => {
 async function startServer() {
   try {
     await initializeServices();
+    await comparisonStore.load();
+    await baselineStore.load();
+    await batchManager.resume();
+    await scheduler.load();
+    scheduler.start();
     
     app.listen(PORT, () => {
       console.log(`\n🚀 Pixel Perfect POC Server running on port ${PORT}`);
@@ -0,0 +1,161 @@
+// Step actions allowed before a capture. ActionRunner.run also understands
+// goto, which only login steps may use
+const ACTIONS = [
+  'click', 'hover', 'type', 'fill', 'press', 'select',
+  'scrollTo', 'waitForSelector', 'waitForNavigation', 'wait', 'evaluate'
+];
+
+const DEFAULT_STEP_TIMEOUT = 15000;
+const MAX_WAIT = 10000;
+
+// goto may only leave the page for the same kinds of URL the compared pages are
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+class ActionRunner {
+  /**
+   * Run a list of interaction steps against a page.
+   * Every step is reported as ok, failed or skipped; a failure only stops the
+   * remaining steps when stopOnError is set.
+   */
+  async run(page, steps = [], { url, stopOnError = false } = {}) {
+    const results = [];
+    let stopped = false;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const result = {
+        index: i,
+        action: step.action,
+        ...(step.selector && { selector: step.selector })
+      };
+
+      if (stopped) {
+        results.push({ ...result, status: 'skipped' });
+        continue;
+      }
+
+      const startTime = Date.now();
+      try {
+        await this.runStep(page, step, url);
+        results.push({ ...result, status: 'ok', duration: Date.now() - startTime });
+      } catch (error) {
+        console.warn(`Action ${i + 1} (${step.action}) failed: ${error.message.split('\n')[0]}`);
+        results.push({
+          ...result,
+          status: 'failed',
+          duration: Date.now() - startTime,
+          error: error.message.split('\n')[0]
+        });
+
+        if (stopOnError || step.required) {
+          stopped = true;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  async runStep(page, step, url) {
+    const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url || url, { waitUntil: 'domcontentloaded', timeout });
+        break;
+      case 'click':
+        await page.locator(step.selector).first().click({ timeout });
+        break;
+      case 'hover':
+        await page.locator(step.selector).first().hover({ timeout });
+        break;
+      case 'type':
+        await page.locator(step.selector).first().pressSequentially(String(step.value ?? ''), {
+          delay: step.delay || 0,
+          timeout
+        });
+        break;
+      case 'fill':
+        await page.locator(step.selector).first().fill(String(step.value ?? ''), { timeout });
+        break;
+      case 'press':
+        if (step.selector) {
+          await page.locator(step.selector).first().press(step.key, { timeout });
+        } else {
+          await page.keyboard.press(step.key);
+        }
+        break;
+      case 'select':
+        await page.locator(step.selector).first().selectOption(step.value, { timeout });
+        break;
+      case 'scrollTo':
+        if (step.selector) {
+          await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+        } else {
+          await page.evaluate(({ x, y }) => window.scrollTo(x, y), { x: step.x || 0, y: step.y || 0 });
+        }
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+        break;
+      case 'waitForNavigation':
+        await page.waitForLoadState(step.state || 'networkidle', { timeout });
+        break;
+      case 'wait':
+        await page.waitForTimeout(Math.min(step.ms || 1000, MAX_WAIT));
+        break;
+      case 'evaluate':
+        await page.evaluate(step.script);
+        break;
+      default:
+        throw new Error(`Unknown action "${step.action}"`);
+    }
+  }
+}
+
+/**
+ * Returns a problem description for a malformed step list, or null.
+ */
+ActionRunner.validate = (steps, allowedActions = ACTIONS) => {
+  if (!Array.isArray(steps)) {
+    return 'steps must be an array';
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+
+    if (!step || !allowedActions.includes(step.action)) {
+      return `step ${i + 1}: unsupported action "${step && step.action}". Supported actions: ${allowedActions.join(', ')}`;
+    }
+
+    const needsSelector = ['click', 'hover', 'type', 'fill', 'select', 'waitForSelector'];
+    if (needsSelector.includes(step.action) && !step.selector) {
+      return `step ${i + 1}: ${step.action} requires a selector`;
+    }
+
+    if (step.action === 'press' && !step.key) {
+      return `step ${i + 1}: press requires a key`;
+    }
+
+    if (step.action === 'evaluate' && typeof step.script !== 'string') {
+      return `step ${i + 1}: evaluate requires a script string`;
+    }
+
+    if (step.action === 'goto' && step.url !== undefined && !isHttpUrl(step.url)) {
+      return `step ${i + 1}: goto requires an http or https url`;
+    }
+  }
+
+  return null;
+};
+
+ActionRunner.ACTIONS = ACTIONS;
+
+module.exports = ActionRunner;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const ActionRunner = require('./actionRunner');
+
+// Login steps only need to reach and submit a form; goto is allowed here but not before captures
+const LOGIN_ACTIONS = ['goto', 'fill', 'click', 'press', 'waitForSelector', 'waitForNavigation', 'wait'];
+
+// Recorded logins are replayed at most this often per auth configuration
+const SESSION_TTL = 30 * 60 * 1000;
+
+class AuthService {
+  constructor() {
+    this.sessions = new Map();
+    this.pendingLogins = new Map();
+    this.actionRunner = new ActionRunner();
+  }
+
+  /**
+   * Create an isolated browser context carrying the given auth configuration.
+   * Supported keys: cookies, storageState, httpCredentials and loginSteps.
+   * Resolves to { context, summary } where summary is safe to return to clients.
+   * captureOptions apply to the returned context only, never to the login context.
+   */
+  async createContext(browser, contextOptions, auth, url, captureOptions = {}) {
+    const options = { ...contextOptions, ...captureOptions };
+
+    if (auth.httpCredentials) {
+      options.httpCredentials = auth.httpCredentials;
+    }
+
+    const { storageState, sessionReused } = await this.resolveStorageState(browser, contextOptions, auth, url);
+    if (storageState) {
+      options.storageState = storageState;
+    }
+
+    const context = await browser.newContext(options);
+
+    if (auth.cookies && auth.cookies.length > 0) {
+      await context.addCookies(this.normalizeCookies(auth.cookies, url));
+    }
+
+    return { context, summary: this.describe(auth, sessionReused) };
+  }
+
+  async resolveStorageState(browser, contextOptions, auth, url) {
+    if (!auth.loginSteps || auth.loginSteps.length === 0) {
+      return { storageState: auth.storageState, sessionReused: false };
+    }
+
+    const key = this.getSessionKey(browser, auth);
+    const session = this.sessions.get(key);
+
+    if (session && Date.now() - session.createdAt < SESSION_TTL) {
+      return { storageState: session.storageState, sessionReused: true };
+    }
+
+    // Parallel captures (e.g. a batch) share a single in-flight login
+    if (!this.pendingLogins.has(key)) {
+      const login = this.performLogin(browser, contextOptions, auth, url)
+        .then((storageState) => {
+          this.sessions.set(key, { storageState, createdAt: Date.now() });
+          return storageState;
+        })
+        .finally(() => {
+          this.pendingLogins.delete(key);
+        });
+
+      this.pendingLogins.set(key, login);
+    }
+
+    const storageState = await this.pendingLogins.get(key);
+    return { storageState, sessionReused: false };
+  }
+
+  async performLogin(browser, contextOptions, auth, url) {
+    console.log(`Running ${auth.loginSteps.length} login steps in ${browser.browserType().name()}`);
+
+    const context = await browser.newContext({
+      ...contextOptions,
+      ...(auth.httpCredentials && { httpCredentials: auth.httpCredentials }),
+      ...(auth.storageState && { storageState: auth.storageState })
+    });
+
+    try {
+      if (auth.cookies && auth.cookies.length > 0) {
+        await context.addCookies(this.normalizeCookies(auth.cookies, url));
+      }
+
+      const page = await context.newPage();
+      await this.runLoginSteps(page, auth.loginSteps, url);
+
+      return await context.storageState();
+    } finally {
+      await context.close();
+    }
+  }
+
+  async runLoginSteps(page, steps, url) {
+    // Requests are validated on arrival; stored batches and schedules may predate the current rules
+    const problem = ActionRunner.validate(steps, LOGIN_ACTIONS);
+    if (problem) {
+      throw new Error(`Authentication Error: invalid login steps: ${problem}`);
+    }
+
+    const results = await this.actionRunner.run(page, steps, { url, stopOnError: true });
+    const failed = results.find(result => result.status === 'failed');
+
+    if (failed) {
+      // Step results never carry step values, which usually hold credentials
+      const target = failed.selector ? ` "${failed.selector}"` : '';
+      throw new Error(`Authentication Error: login step ${failed.index + 1} (${failed.action}${target}) failed: ${failed.error}`);
+    }
+  }
+
+  normalizeCookies(cookies, url) {
+    // Playwright requires either a url or a domain/path pair on every cookie
+    return cookies.map(cookie => (
+      cookie.url || cookie.domain ? cookie : { ...cookie, url }
+    ));
+  }
+
+  getSessionKey(browser, auth) {
+    const fingerprint = JSON.stringify({
+      browser: browser.browserType().name(),
+      cookies: auth.cookies,
+      storageState: auth.storageState,
+      httpCredentials: auth.httpCredentials,
+      loginSteps: auth.loginSteps
+    });
+
+    return crypto.createHash('sha256').update(fingerprint).digest('hex');
+  }
+
+  /**
+   * Summarize an auth configuration for result metadata without exposing secrets.
+   */
+  describe(auth, sessionReused = false) {
+    if (!auth) return null;
+
+    const methods = ['cookies', 'storageState', 'httpCredentials', 'loginSteps']
+      .filter(method => auth[method] && (!Array.isArray(auth[method]) || auth[method].length > 0));
+
+    const summary = { methods };
+
+    if (auth.cookies) {
+      summary.cookieCount = auth.cookies.length;
+    }
+
+    if (auth.loginSteps && auth.loginSteps.length > 0) {
+      summary.loginSteps = auth.loginSteps.length;
+      summary.sessionReused = sessionReused;
+    }
+
+    return summary;
+  }
+
+  clearSessions() {
+    this.sessions.clear();
+  }
+}
+
+/**
+ * Return a copy of comparison options that is safe to log.
+ */
+AuthService.redactOptions = (options) => {
+  const redactAuth = (auth) => auth && { redacted: true, methods: Object.keys(auth) };
+  const redacted = { ...options };
+
+  if (options.auth) {
+    redacted.auth = redactAuth(options.auth);
+  }
+
+  if (options.sides) {
+    redacted.sides = {};
+    for (const [side, sideOptions] of Object.entries(options.sides)) {
+      redacted.sides[side] = sideOptions.auth
+        ? { ...sideOptions, auth: redactAuth(sideOptions.auth) }
+        : sideOptions;
+    }
+  }
+
+  return redacted;
+};
+
+AuthService.LOGIN_ACTIONS = LOGIN_ACTIONS;
+
+module.exports = AuthService;
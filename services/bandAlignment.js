@@ -0,0 +1,352 @@
+// Vertical alignment of two screenshots. Every pixel row is hashed and the two
+// sequences of hashes are diffed (Myers), so a block inserted into one page
+// shifts the rest of it into place instead of flagging everything below.
+
+const ALIGNMENT_MODES = ['none', 'vertical'];
+
+// More inserted plus removed rows than this are not aligned (the diff's
+// memory grows with the square of it); the images are compared unaligned
+const MAX_EDIT_ROWS = 2000;
+// Removed and inserted rows with identical content count as moved from this
+// many in a row; at most MAX_MOVED_BLOCKS such blocks are looked for
+const MIN_MOVED_ROWS = 8;
+const MAX_MOVED_BLOCKS = 50;
+// Low bits are dropped before hashing so faint rendering noise still matches
+const QUANTIZE_SHIFT = 2;
+// At most this many bands are listed in the metrics; the row counts cover all of them
+const MAX_BANDS = 200;
+
+/**
+ * FNV-1a hash of each row's first `width` pixels.
+ */
+function hashRows(image, width) {
+  const hashes = new Uint32Array(image.height);
+
+  for (let y = 0; y < image.height; y++) {
+    let hash = 0x811c9dc5;
+    for (let x = 0, offset = y * image.width * 4; x < width; x++, offset += 4) {
+      for (let c = 0; c < 3; c++) {
+        hash ^= image.data[offset + c] >> QUANTIZE_SHIFT;
+        hash = Math.imul(hash, 0x01000193);
+      }
+    }
+    hashes[y] = hash >>> 0;
+  }
+
+  return hashes;
+}
+
+/**
+ * Shortest edit script turning a into b, as ['equal' | 'delete' | 'insert']
+ * operations in order, or null when it needs more than maxEdits edits.
+ */
+function diffSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Snapshots of v before each round, kept from -d - 1 to d + 1, for backtracking
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const operations = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push('equal');
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      operations.push(x === previousX ? 'insert' : 'delete');
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Rows of the aligned images, top to bottom, as { a, b, type }: a and b are
+ * the source rows in A and B (-1 where that side has none) and type is
+ * 'equal', 'changed' (both rows exist but differ), 'inserted' (only in B),
+ * 'removed' (only in A) or 'moved' (the same content at another height).
+ */
+function buildAlignedRows(operations, hashesA, hashesB) {
+  // Equal rows, and hunks of the rows removed from A and inserted into B between them
+  const segments = [];
+  let a = 0;
+  let b = 0;
+
+  for (const operation of operations) {
+    if (operation === 'equal') {
+      segments.push({ a: a++, b: b++ });
+      continue;
+    }
+
+    let hunk = segments[segments.length - 1];
+    if (!hunk || !hunk.removed) {
+      hunk = { removed: [], inserted: [] };
+      segments.push(hunk);
+    }
+    if (operation === 'delete') hunk.removed.push(a++);
+    else hunk.inserted.push(b++);
+  }
+
+  const moves = findMovedBlocks(
+    segments.flatMap(segment => segment.removed || []),
+    segments.flatMap(segment => segment.inserted || []),
+    hashesA,
+    hashesB
+  );
+  const movedB = new Set(moves.values());
+
+  const rows = [];
+  for (const segment of segments) {
+    if (!segment.removed) {
+      rows.push({ a: segment.a, b: segment.b, type: 'equal' });
+      continue;
+    }
+
+    // Rows that did not move are paired up as changed rows, both sides kept in order
+    const { removed, inserted } = segment;
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < inserted.length) {
+      if (i < removed.length && moves.has(removed[i])) {
+        rows.push({ a: removed[i++], b: -1, type: 'moved' });
+      } else if (j < inserted.length && movedB.has(inserted[j])) {
+        rows.push({ a: -1, b: inserted[j++], type: 'moved' });
+      } else if (i < removed.length && j < inserted.length) {
+        rows.push({ a: removed[i++], b: inserted[j++], type: 'changed' });
+      } else if (i < removed.length) {
+        rows.push({ a: removed[i++], b: -1, type: 'removed' });
+      } else {
+        rows.push({ a: -1, b: inserted[j++], type: 'inserted' });
+      }
+    }
+  }
+
+  // Where each moved row went, kept on the row it left
+  const alignedRowOfB = new Map();
+  rows.forEach((row, index) => {
+    if (row.type === 'moved' && row.b >= 0) alignedRowOfB.set(row.b, index);
+  });
+  for (const row of rows) {
+    if (row.type === 'moved' && row.a >= 0) row.movedTo = alignedRowOfB.get(moves.get(row.a));
+  }
+
+  return rows;
+}
+
+/**
+ * Blocks of removed rows that were inserted again elsewhere, longest first,
+ * as a Map from each row of A to its row of B. removed and inserted are the
+ * rows of A and B outside the matched rows, in order. Blocks shorter than
+ * MIN_MOVED_ROWS or of one repeated row (blank space) do not count.
+ */
+function findMovedBlocks(removed, inserted, hashesA, hashesB) {
+  const moves = new Map();
+  const usedA = new Uint8Array(removed.length);
+  const usedB = new Uint8Array(inserted.length);
+
+  for (let round = 0; round < MAX_MOVED_BLOCKS; round++) {
+    // Longest common run of consecutive rows, by dynamic programming over the two lists
+    let best = { length: 0, endA: -1, endB: -1 };
+    let previous = new Uint16Array(inserted.length + 1);
+    let current = new Uint16Array(inserted.length + 1);
+
+    for (let i = 0; i < removed.length; i++) {
+      current.fill(0);
+      if (!usedA[i]) {
+        for (let j = 0; j < inserted.length; j++) {
+          if (usedB[j] || hashesA[removed[i]] !== hashesB[inserted[j]]) continue;
+
+          const continues = i > 0 && j > 0 && removed[i] === removed[i - 1] + 1 && inserted[j] === inserted[j - 1] + 1;
+          current[j + 1] = continues ? previous[j] + 1 : 1;
+          if (current[j + 1] > best.length) {
+            best = { length: current[j + 1], endA: i, endB: j };
+          }
+        }
+      }
+      [previous, current] = [current, previous];
+    }
+
+    if (best.length < MIN_MOVED_ROWS) break;
+
+    const startA = best.endA - best.length + 1;
+    const startB = best.endB - best.length + 1;
+    const first = hashesA[removed[startA]];
+    let uniform = true;
+    for (let k = 0; k < best.length; k++) {
+      usedA[startA + k] = 1;
+      usedB[startB + k] = 1;
+      uniform = uniform && hashesA[removed[startA + k]] === first;
+    }
+
+    // Blank space is taken out of the search but stays removed and inserted
+    if (!uniform) {
+      for (let k = 0; k < best.length; k++) {
+        moves.set(removed[startA + k], inserted[startB + k]);
+      }
+    }
+  }
+
+  return moves;
+}
+
+// Consecutive rows of one type as { type, start, end } ranges of aligned rows
+function runsOf(rows, types) {
+  const runs = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (!types.includes(rows[i].type)) continue;
+    if (runs.length && runs[runs.length - 1].end === i && runs[runs.length - 1].type === rows[i].type) {
+      runs[runs.length - 1].end++;
+    } else {
+      runs.push({ type: rows[i].type, start: i, end: i + 1 });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Bands of rows that are not plain matches, in diff image coordinates:
+ * { type, y, height, a: { y, height } | null, b: { y, height } | null }.
+ * A moved block is reported once, at its position in B, with its rows in
+ * both images and `fromY`, where it was in the diff image before it moved.
+ */
+function describeBands(rows) {
+  const bands = [];
+  const movedFrom = new Map();
+  rows.forEach((row, index) => {
+    if (row.movedTo !== undefined) movedFrom.set(row.movedTo, index);
+  });
+
+  // Moved rows split into the block's old position (rows of A) and its new one (rows of B)
+  const runs = runsOf(rows, ['changed', 'inserted', 'removed', 'moved'])
+    .flatMap(run => (run.type === 'moved' ? splitMovedRun(rows, run) : [run]));
+
+  for (const run of runs) {
+    const first = rows[run.start];
+    if (run.type === 'moved' && first.b < 0) continue;
+
+    const height = run.end - run.start;
+    const band = {
+      type: run.type,
+      y: run.start,
+      height,
+      a: first.a >= 0 ? { y: first.a, height } : null,
+      b: first.b >= 0 ? { y: first.b, height } : null
+    };
+
+    if (run.type === 'moved') {
+      band.fromY = movedFrom.get(run.start);
+      band.a = { y: rows[band.fromY].a, height };
+    }
+    bands.push(band);
+  }
+
+  return bands;
+}
+
+function splitMovedRun(rows, run) {
+  const parts = [];
+  for (let i = run.start; i < run.end; i++) {
+    const origin = rows[i].b < 0;
+    const last = parts[parts.length - 1];
+    // Two blocks moved next to each other are told apart by where their rows came from
+    const continues = last && last.origin === origin && (origin
+      ? rows[i].movedTo === rows[i - 1].movedTo + 1
+      : rows[i - 1].b >= 0 && rows[i].b === rows[i - 1].b + 1);
+    if (continues) {
+      last.end++;
+    } else {
+      parts.push({ type: 'moved', start: i, end: i + 1, origin });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Align imgB to imgA by their rows, comparing the first `width` pixels of each.
+ * Returns { aligned: true, rows, bands, stats } or, when the pages are too
+ * different to align, { aligned: false, reason }.
+ */
+function alignRows(imgA, imgB, width) {
+  const hashesA = hashRows(imgA, width);
+  const hashesB = hashRows(imgB, width);
+
+  const operations = diffSequences(hashesA, hashesB, MAX_EDIT_ROWS);
+  if (!operations) {
+    return { aligned: false, reason: `more than ${MAX_EDIT_ROWS} rows differ` };
+  }
+  if (!operations.includes('equal')) {
+    return { aligned: false, reason: 'no rows match' };
+  }
+
+  const rows = buildAlignedRows(operations, hashesA, hashesB);
+  const bands = describeBands(rows);
+  const count = type => rows.filter(row => row.type === type).length;
+
+  // The shift most matching rows agree on
+  const shifts = new Map();
+  for (const row of rows) {
+    if (row.type === 'equal') shifts.set(row.b - row.a, (shifts.get(row.b - row.a) || 0) + 1);
+  }
+  const [offset] = [...shifts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [0, 0]);
+
+  return {
+    aligned: true,
+    rows,
+    bands: bands.slice(0, MAX_BANDS),
+    stats: {
+      bandCount: bands.length,
+      matchedRows: count('equal'),
+      changedRows: count('changed'),
+      insertedRows: count('inserted'),
+      removedRows: count('removed'),
+      // Both halves of a moved block are rows of the aligned images
+      movedRows: count('moved') / 2,
+      offset
+    }
+  };
+}
+
+module.exports = {
+  ALIGNMENT_MODES,
+  alignRows
+};
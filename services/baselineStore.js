@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createThumbnail } = require('./thumbnails');
+
+const BASELINES_DIR = path.join(__dirname, '..', 'output', 'baselines');
+const MANIFEST_FILE = 'baseline.json';
+
+// Capture options that change what the page looks like. Comparison settings
+// (thresholds, ignored regions, timeouts) and credentials are not part of the key.
+const KEY_OPTIONS = [
+  'device',
+  'fullPage',
+  'waitFor',
+  'maskSelectors',
+  'browser',
+  'actions',
+  'targetSelector',
+  'blockRequests',
+  'mockResponses',
+  'deterministic',
+  'emulation'
+];
+
+const KEY_LENGTH = 16;
+const KEY_PATTERN = /^[0-9a-f]{16}$/;
+
+// JSON with object keys sorted, so equal options always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+class BaselineStore {
+  /**
+   * Baselines are kept as <BASELINES_DIR>/<key>/baseline.json with every
+   * approved version's screenshot next to it as v<version>.png. Approving a
+   * new capture for the same key adds a version and makes it the current one.
+   */
+  constructor({ directory = BASELINES_DIR } = {}) {
+    this.directory = directory;
+    this.manifests = new Map();
+    this.pendingThumbnails = new Map();
+    this.updates = new Map();
+  }
+
+  /**
+   * Identify the baseline for a URL captured with the given (side-resolved)
+   * options. Returns { key, url, options } with only the options in the key.
+   */
+  static keyFor(url, options = {}) {
+    const keyOptions = Object.fromEntries(KEY_OPTIONS.map(name => [name, options[name] ?? null]));
+    const normalizedUrl = normalizeUrl(url);
+    const key = crypto.createHash('sha256')
+      .update(stableStringify({ url: normalizedUrl, options: keyOptions }))
+      .digest('hex')
+      .slice(0, KEY_LENGTH);
+
+    return { key, url: normalizedUrl, options: keyOptions };
+  }
+
+  static isKey(value) {
+    return KEY_PATTERN.test(value || '');
+  }
+
+  async load() {
+    await fs.ensureDir(this.directory);
+
+    for (const key of await fs.readdir(this.directory)) {
+      const file = path.join(this.directory, key, MANIFEST_FILE);
+      if (!(await fs.pathExists(file))) continue;
+
+      try {
+        this.manifests.set(key, await fs.readJson(file));
+      } catch (error) {
+        console.error(`Skipping unreadable baseline ${key}:`, error.message);
+      }
+    }
+
+    console.log(`Loaded ${this.manifests.size} baselines`);
+  }
+
+  /**
+   * Approve a screenshot as the new current version of the baseline for
+   * url + options. image is a PNG buffer; source is { comparisonId, side }.
+   * Resolves with the baseline's manifest.
+   */
+  approve({ url, options, image, metadata, source = {}, approvedBy, note }) {
+    const identity = BaselineStore.keyFor(url, options);
+
+    // Approvals of one key are applied one after another so no two get the same version
+    const previous = this.updates.get(identity.key) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this.addVersion(identity, { image, metadata, source, approvedBy, note }));
+
+    this.updates.set(identity.key, update);
+    update.finally(() => {
+      if (this.updates.get(identity.key) === update) this.updates.delete(identity.key);
+    }).catch(() => {});
+    return update;
+  }
+
+  async addVersion(identity, { image, metadata, source, approvedBy, note }) {
+    const existing = this.manifests.get(identity.key);
+    const approvedAt = new Date().toISOString();
+    const version = existing ? Math.max(...existing.versions.map(entry => entry.version)) + 1 : 1;
+
+    const entry = {
+      version,
+      image: `v${version}.png`,
+      comparisonId: source.comparisonId || null,
+      side: source.side || null,
+      approvedBy: approvedBy || null,
+      approvedAt,
+      note: note || null,
+      metadata: metadata || null
+    };
+
+    await fs.outputFile(path.join(this.baselineDirectory(identity.key), entry.image), image);
+
+    const manifest = {
+      ...identity,
+      createdAt: existing ? existing.createdAt : approvedAt,
+      updatedAt: approvedAt,
+      currentVersion: version,
+      versions: [...(existing ? existing.versions : []), entry]
+    };
+    await this.write(manifest);
+
+    return manifest;
+  }
+
+  async write(manifest) {
+    const file = path.join(this.baselineDirectory(manifest.key), MANIFEST_FILE);
+
+    // Written to a temporary file first so a crash never leaves half a manifest
+    await fs.outputJson(`${file}.tmp`, manifest, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+    this.manifests.set(manifest.key, manifest);
+  }
+
+  get(key) {
+    return this.manifests.get(key) || null;
+  }
+
+  /**
+   * The current version of a baseline, with the baseline's key and URL, or
+   * null when nothing has been approved for the key.
+   */
+  current(key) {
+    const manifest = this.manifests.get(key);
+    if (!manifest) {
+      return null;
+    }
+
+    const entry = manifest.versions.find(version => version.version === manifest.currentVersion);
+    return entry ? { key: manifest.key, url: manifest.url, ...entry } : null;
+  }
+
+  // Path of a version's screenshot, or null when there is no such version
+  imagePath(key, version) {
+    const manifest = this.manifests.get(key);
+    const entry = manifest && manifest.versions.find(candidate => candidate.version === version);
+    return entry ? path.join(this.baselineDirectory(key), entry.image) : null;
+  }
+
+  async readImage(key, version) {
+    const file = this.imagePath(key, version);
+    return file ? fs.readFile(file) : null;
+  }
+
+  /**
+   * Path of a thumbnail of a version's screenshot, created on first use.
+   */
+  async thumbnailPath(key, version, width) {
+    const source = this.imagePath(key, version);
+    if (!source) {
+      return null;
+    }
+
+    const file = path.join(this.baselineDirectory(key), 'thumbnails', `v${version}-${width}.png`);
+    if (await fs.pathExists(file)) {
+      return file;
+    }
+
+    // Requests for the same thumbnail share one resize
+    if (!this.pendingThumbnails.has(file)) {
+      const pending = fs.readFile(source)
+        .then(buffer => fs.outputFile(file, createThumbnail(buffer, width)))
+        .finally(() => this.pendingThumbnails.delete(file));
+      this.pendingThumbnails.set(file, pending);
+    }
+
+    await this.pendingThumbnails.get(file);
+    return file;
+  }
+
+  // Removes the baseline with all of its versions
+  async delete(key) {
+    if (!this.manifests.has(key)) {
+      return false;
+    }
+
+    await fs.remove(this.baselineDirectory(key));
+    this.manifests.delete(key);
+    return true;
+  }
+
+  /**
+   * Baselines with their current version, most recently approved first.
+   * q filters on a URL substring.
+   */
+  list({ q } = {}) {
+    const search = q ? String(q).toLowerCase() : null;
+
+    return [...this.manifests.values()]
+      .filter(manifest => !search || manifest.url.toLowerCase().includes(search))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(manifest => this.summarize(manifest));
+  }
+
+  summarize(manifest) {
+    const { versions, ...summary } = manifest;
+    const current = this.current(manifest.key);
+
+    return {
+      ...summary,
+      versionCount: versions.length,
+      current: current && {
+        version: current.version,
+        approvedBy: current.approvedBy,
+        approvedAt: current.approvedAt,
+        note: current.note,
+        viewport: current.metadata?.viewport || null
+      }
+    };
+  }
+
+  baselineDirectory(key) {
+    return path.join(this.directory, key);
+  }
+}
+
+BaselineStore.BASELINES_DIR = BASELINES_DIR;
+BaselineStore.KEY_OPTIONS = KEY_OPTIONS;
+
+module.exports = BaselineStore;
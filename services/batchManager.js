@@ -0,0 +1,311 @@
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createCancelledError, delay } = require('./cancellation');
+
+// Each batch is kept in <BATCHES_DIR>/<batchId>/batch.json; row results are
+// stored by runRow and referenced through the row's comparisonId
+const BATCHES_DIR = path.join(__dirname, '..', 'output', 'batches');
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_RETRIES = 1;
+const MAX_RETRIES = 5;
+const RETRY_DELAY = 2000;
+
+const ROW_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function clamp(value, fallback, min, max) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+class BatchManager {
+  /**
+   * runRow(row, batch, { onProgress, signal }) compares a single row using
+   * the batch's shared options and resolves with the comparison result.
+   * onRowFailed(row, batch) is called once a row has failed for good.
+   * describeError(error) gives the { error, code } reported for a failed row,
+   * shouldRetry(error) decides whether a failed attempt is tried again and
+   * serializeOptions(options) returns the options as written to disk.
+   */
+  constructor({ runRow, onRowFailed, describeError, shouldRetry, serializeOptions, defaultConcurrency = DEFAULT_CONCURRENCY }) {
+    this.runRow = runRow;
+    this.onRowFailed = onRowFailed || (() => {});
+    this.describeError = describeError || (error => ({ error: error.message }));
+    this.shouldRetry = shouldRetry || (() => true);
+    this.serializeOptions = serializeOptions || (options => options);
+    this.defaultConcurrency = clamp(defaultConcurrency, DEFAULT_CONCURRENCY, 1, MAX_CONCURRENCY);
+    this.batches = new Map();
+    this.controllers = new Map();
+    this.writes = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Persist a new batch of { urlA, urlB, options, originalData } rows and start
+   * running it in the background. Row options override the shared options.
+   */
+  async create({ rows, options = {}, concurrency, retries }) {
+    const batch = {
+      id: uuidv4(),
+      status: 'queued',
+      concurrency: clamp(concurrency, this.defaultConcurrency, 1, MAX_CONCURRENCY),
+      retries: clamp(retries, DEFAULT_RETRIES, 0, MAX_RETRIES),
+      options,
+      rows: rows.map((row, index) => ({
+        index,
+        urlA: row.urlA,
+        urlB: row.urlB,
+        options: row.options || null,
+        originalData: row.originalData || null,
+        status: 'pending',
+        attempts: 0,
+        phase: null,
+        progress: 0,
+        error: null,
+        metrics: null,
+        comparisonId: null,
+        startedAt: null,
+        finishedAt: null
+      })),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      resumedAt: null
+    };
+
+    this.batches.set(batch.id, batch);
+    await this.save(batch);
+    setImmediate(() => this.run(batch));
+
+    return batch;
+  }
+
+  /**
+   * Load the batches saved on disk and restart the ones a previous server
+   * process left unfinished. Rows that were running start over.
+   */
+  async resume() {
+    await fs.ensureDir(BATCHES_DIR);
+    const ids = await fs.readdir(BATCHES_DIR);
+    let resumed = 0;
+
+    for (const id of ids) {
+      const file = path.join(BATCHES_DIR, id, 'batch.json');
+      if (!(await fs.pathExists(file))) continue;
+
+      let batch;
+      try {
+        batch = await fs.readJson(file);
+      } catch (error) {
+        console.error(`Skipping unreadable batch ${id}:`, error.message);
+        continue;
+      }
+
+      this.batches.set(batch.id, batch);
+      if (this.isFinished(batch)) continue;
+
+      batch.rows
+        .filter(row => row.status === 'running')
+        .forEach(row => Object.assign(row, { status: 'pending', phase: null, progress: 0 }));
+      batch.resumedAt = new Date().toISOString();
+
+      await this.save(batch);
+      setImmediate(() => this.run(batch));
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} unfinished batch${resumed === 1 ? '' : 'es'}`);
+    }
+    return resumed;
+  }
+
+  async run(batch) {
+    const controller = new AbortController();
+    this.controllers.set(batch.id, controller);
+
+    batch.status = 'running';
+    batch.startedAt = batch.startedAt || new Date().toISOString();
+    this.save(batch);
+
+    // Workers take the next pending row until none are left
+    const pending = batch.rows.filter(row => row.status === 'pending');
+    const worker = async () => {
+      while (pending.length > 0 && !controller.signal.aborted) {
+        await this.runRowWithRetries(batch, pending.shift(), controller.signal);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(batch.concurrency, pending.length) }, worker));
+
+    if (controller.signal.aborted) {
+      const { message } = createCancelledError(controller.signal.reason);
+      batch.rows
+        .filter(row => !FINISHED_STATUSES.includes(row.status))
+        .forEach(row => this.updateRow(batch, row, {
+          status: 'cancelled',
+          error: { error: message, code: 'CANCELLED' },
+          finishedAt: new Date().toISOString()
+        }));
+      batch.status = 'cancelled';
+      console.log(`Batch ${batch.id} cancelled: ${controller.signal.reason}`);
+    } else {
+      batch.status = 'completed';
+    }
+
+    batch.finishedAt = new Date().toISOString();
+    this.controllers.delete(batch.id);
+    await this.save(batch);
+    this.emitter.emit(batch.id, 'done', this.summarize(batch));
+  }
+
+  async runRowWithRetries(batch, row, signal) {
+    // A row interrupted by a restart gets at least one more attempt
+    const maxAttempts = Math.max(batch.retries + 1, row.attempts + 1);
+
+    while (row.attempts < maxAttempts && !signal.aborted) {
+      row.attempts++;
+      this.updateRow(batch, row, {
+        status: 'running',
+        phase: null,
+        progress: 0,
+        error: null,
+        startedAt: row.startedAt || new Date().toISOString()
+      });
+
+      try {
+        const onProgress = event => this.recordProgress(batch, row, event);
+        const result = await this.runRow(row, batch, { onProgress, signal });
+
+        this.updateRow(batch, row, {
+          status: 'completed',
+          progress: 100,
+          metrics: result.metrics || null,
+          comparisonId: result.id || null,
+          finishedAt: new Date().toISOString()
+        });
+        return;
+      } catch (error) {
+        // Rows are marked cancelled once every worker has stopped
+        if (signal.aborted) {
+          return;
+        }
+
+        const retry = row.attempts < maxAttempts && this.shouldRetry(error);
+        console.error(`Batch ${batch.id} row ${row.index + 1} attempt ${row.attempts} failed:`, error.message);
+
+        this.updateRow(batch, row, {
+          status: retry ? 'pending' : 'failed',
+          error: { ...this.describeError(error), timestamp: new Date().toISOString() },
+          ...(!retry && { finishedAt: new Date().toISOString() })
+        });
+        if (!retry) {
+          await this.onRowFailed(row, batch);
+          return;
+        }
+
+        // Cancelling ends the backoff early; the loop then stops before another attempt
+        await delay(RETRY_DELAY * row.attempts, signal);
+      }
+    }
+  }
+
+  updateRow(batch, row, changes) {
+    Object.assign(row, changes);
+    this.save(batch);
+    this.emitter.emit(batch.id, 'row', this.summarizeRow(row));
+  }
+
+  // Phase progress is streamed but not persisted; a restart resets it anyway
+  recordProgress(batch, row, event) {
+    row.phase = event.phase;
+    row.progress = Math.max(row.progress, event.progress || 0);
+    this.emitter.emit(batch.id, 'progress', { index: row.index, ...event });
+  }
+
+  /**
+   * Abort a queued or running batch. Returns false when it has already finished.
+   */
+  cancel(id, reason = 'cancel requested') {
+    const controller = this.controllers.get(id);
+    if (!controller) {
+      return false;
+    }
+
+    controller.abort(reason);
+    return true;
+  }
+
+  get(id) {
+    return this.batches.get(id) || null;
+  }
+
+  list() {
+    return [...this.batches.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(batch => this.summarize(batch, { includeRows: false }));
+  }
+
+  isFinished(batch) {
+    return FINISHED_STATUSES.includes(batch.status);
+  }
+
+  /**
+   * Call listener(type, data) for every 'row' and 'progress' event and the
+   * final 'done' event. Returns a function that removes the listener.
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    return () => this.emitter.removeListener(id, listener);
+  }
+
+  summarizeRow(row) {
+    const { options, ...summary } = row;
+    return summary;
+  }
+
+  summarize(batch, { includeRows = true } = {}) {
+    const counts = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+    batch.rows.forEach(row => counts[row.status]++);
+
+    const { options, rows, ...summary } = batch;
+    return {
+      ...summary,
+      total: rows.length,
+      counts,
+      ...(includeRows && { rows: rows.map(row => this.summarizeRow(row)) })
+    };
+  }
+
+  // Writes of one batch are chained so an older snapshot never overwrites a newer one
+  save(batch) {
+    const previous = this.writes.get(batch.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      const file = path.join(BATCHES_DIR, batch.id, 'batch.json');
+      const record = {
+        ...batch,
+        options: this.serializeOptions(batch.options),
+        rows: batch.rows.map(row => ({ ...row, options: row.options && this.serializeOptions(row.options) }))
+      };
+
+      // Written to a temporary file first so a crash never leaves half a manifest
+      await fs.outputJson(`${file}.tmp`, record, { spaces: 2 });
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    }).catch((error) => {
+      console.error(`Failed to save batch ${batch.id}:`, error.message);
+    });
+
+    this.writes.set(batch.id, write);
+    return write;
+  }
+}
+
+BatchManager.BATCHES_DIR = BATCHES_DIR;
+BatchManager.MAX_CONCURRENCY = MAX_CONCURRENCY;
+BatchManager.MAX_RETRIES = MAX_RETRIES;
+
+module.exports = BatchManager;
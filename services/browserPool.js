@@ -0,0 +1,170 @@
+const { chromium, firefox, webkit } = require('playwright');
+const { createCancelledError, throwIfCancelled } = require('./cancellation');
+
+const ENGINES = { chromium, firefox, webkit };
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+const DEFAULT_BROWSERS_PER_ENGINE = 2;
+
+class BrowserPool {
+  /**
+   * Browsers are launched lazily, up to browsersPerEngine per engine, and
+   * shared by at most maxConcurrency jobs at a time. Jobs beyond that wait
+   * in a FIFO queue until a running job releases its slot.
+   */
+  constructor({ maxConcurrency = DEFAULT_MAX_CONCURRENCY, browsersPerEngine = DEFAULT_BROWSERS_PER_ENGINE } = {}) {
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.browsersPerEngine = Math.max(1, browsersPerEngine);
+    this.entries = { chromium: [], firefox: [], webkit: [] };
+    this.launching = {};
+    this.active = 0;
+    this.queue = [];
+    this.closed = false;
+  }
+
+  async launch(browserName) {
+    const engine = ENGINES[browserName];
+    if (!engine) {
+      throw new Error(`Unsupported browser "${browserName}". Supported browsers: ${Object.keys(ENGINES).join(', ')}`);
+    }
+
+    // Chromium-only flags are rejected by the Firefox and WebKit builds
+    const launchOptions = { headless: true };
+    if (browserName === 'chromium') {
+      launchOptions.args = [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor'
+      ];
+    }
+
+    const browser = await engine.launch(launchOptions);
+    const entry = { browser, jobs: 0 };
+    this.entries[browserName].push(entry);
+
+    // A crashed browser is dropped so the next job launches a fresh one
+    browser.on('disconnected', () => {
+      this.entries[browserName] = this.entries[browserName].filter(candidate => candidate !== entry);
+    });
+
+    console.log(`Launched ${browserName} ${browser.version()} (${this.entries[browserName].length}/${this.browsersPerEngine})`);
+    return entry;
+  }
+
+  async getEntry(browserName) {
+    if (!ENGINES[browserName]) {
+      throw new Error(`Unsupported browser "${browserName}". Supported browsers: ${Object.keys(ENGINES).join(', ')}`);
+    }
+
+    const entries = this.entries[browserName];
+    const leastBusy = entries.reduce((best, entry) => (!best || entry.jobs < best.jobs ? entry : best), null);
+
+    if (leastBusy && (leastBusy.jobs === 0 || entries.length >= this.browsersPerEngine)) {
+      return leastBusy;
+    }
+
+    // Concurrent jobs share one pending launch instead of starting several browsers
+    if (!this.launching[browserName]) {
+      this.launching[browserName] = this.launch(browserName).finally(() => {
+        delete this.launching[browserName];
+      });
+    }
+
+    return this.launching[browserName];
+  }
+
+  waitForSlot(signal) {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiting = { resolve, reject };
+
+      // A cancelled job leaves the queue without ever taking a slot
+      if (signal) {
+        const onAbort = () => {
+          this.queue = this.queue.filter(candidate => candidate !== waiting);
+          reject(createCancelledError());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiting.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+
+      this.queue.push(waiting);
+    });
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift();
+    if (next) {
+      // The slot passes straight to the next queued job
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run job(browser) once a slot is free, holding the slot until the job settles.
+   * Aborting signal while the job is queued rejects without running it.
+   */
+  async run(browserName, job, { signal } = {}) {
+    if (this.closed) {
+      throw new Error('Browser pool is closed');
+    }
+
+    throwIfCancelled(signal);
+    await this.waitForSlot(signal);
+
+    let entry;
+    try {
+      entry = await this.getEntry(browserName);
+      entry.jobs++;
+      return await job(entry.browser);
+    } finally {
+      if (entry) entry.jobs--;
+      this.releaseSlot();
+    }
+  }
+
+  getStats() {
+    const browsers = {};
+    for (const [name, entries] of Object.entries(this.entries)) {
+      browsers[name] = entries.map(entry => ({ version: entry.browser.version(), jobs: entry.jobs }));
+    }
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      browsersPerEngine: this.browsersPerEngine,
+      active: this.active,
+      queued: this.queue.length,
+      browsers
+    };
+  }
+
+  async close() {
+    this.closed = true;
+
+    for (const waiting of this.queue.splice(0)) {
+      waiting.reject(new Error('Browser pool is closed'));
+    }
+
+    for (const entries of Object.values(this.entries)) {
+      for (const entry of entries) {
+        await entry.browser.close().catch(() => {});
+      }
+    }
+    this.entries = { chromium: [], firefox: [], webkit: [] };
+  }
+}
+
+BrowserPool.ENGINES = Object.keys(ENGINES);
+
+module.exports = BrowserPool;
@@ -0,0 +1,43 @@
+// Messages of errors raised because a comparison was cancelled start with this
+const CANCELLED_PREFIX = 'Cancelled:';
+
+function createCancelledError(reason = 'the comparison was cancelled') {
+  const error = new Error(`${CANCELLED_PREFIX} ${reason}`);
+  error.cancelled = true;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancelledError(typeof signal.reason === 'string' ? signal.reason : undefined);
+  }
+}
+
+// Resolves after ms, or as soon as signal aborts; callers check signal.aborted afterwards
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function isCancelledError(error) {
+  return Boolean(error && (error.cancelled || String(error.message).startsWith(CANCELLED_PREFIX)));
+}
+
+module.exports = {
+  CANCELLED_PREFIX,
+  createCancelledError,
+  throwIfCancelled,
+  isCancelledError,
+  delay
+};
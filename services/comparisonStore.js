@@ -0,0 +1,432 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createThumbnail } = require('./thumbnails');
+
+// Comparisons share their directory with other per-comparison artifacts (HAR recordings)
+const COMPARISONS_DIR = path.join(__dirname, '..', 'output', 'comparisons');
+const RECORD_FILE = 'comparison.json';
+const IMAGE_NAMES = ['A', 'B', 'diff', 'ssim'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ['date', 'mismatch', 'urls'];
+const STATUSES = ['completed', 'failed'];
+const REVIEW_STATES = ['unreviewed', 'approved', 'rejected', 'needs-fix'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Dates are stored in one ISO format so they sort as strings
+function toIsoDate(value) {
+  const date = new Date(value || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// Viewport and captured page size of each side, which trends plot over time
+function summarizeCapture({ metadata, viewport }) {
+  const side = (name) => {
+    const dimensions = metadata?.[name]?.capturedDimensions;
+    return dimensions ? { width: dimensions.capturedWidth, height: dimensions.capturedHeight } : null;
+  };
+  const size = metadata?.B?.viewport || metadata?.A?.viewport || viewport;
+
+  return {
+    viewport: size ? { width: size.width, height: size.height } : null,
+    A: side('A'),
+    B: side('B')
+  };
+}
+
+// Metrics without the region, element and band lists, which only the full record carries
+function summarizeMetrics(metrics) {
+  if (!metrics) return null;
+
+  const summary = { ...metrics };
+  delete summary.regions;
+  delete summary.changedElements;
+  if (summary.alignment) {
+    summary.alignment = { ...summary.alignment };
+    delete summary.alignment.bands;
+  }
+  return summary;
+}
+
+class ComparisonStore {
+  /**
+   * Comparisons are kept as <COMPARISONS_DIR>/<id>/comparison.json with the
+   * images next to it as A.png, B.png, diff.png and ssim.png (the SSIM map),
+   * and thumbnails of them in thumbnails/. A.png and B.png are the images as
+   * compared (cropped, padded, scaled or aligned); the captures as taken are
+   * kept as A-raw.png and B-raw.png. Summaries of all of them are held
+   * in memory for listing.
+   */
+  constructor({ directory = COMPARISONS_DIR } = {}) {
+    this.directory = directory;
+    this.summaries = new Map();
+    this.pendingThumbnails = new Map();
+    this.updates = new Map();
+  }
+
+  async load() {
+    await fs.ensureDir(this.directory);
+
+    for (const id of await fs.readdir(this.directory)) {
+      const file = path.join(this.directory, id, RECORD_FILE);
+      if (!(await fs.pathExists(file))) continue;
+
+      try {
+        this.summaries.set(id, this.summarize(await fs.readJson(file)));
+      } catch (error) {
+        console.error(`Skipping unreadable comparison ${id}:`, error.message);
+      }
+    }
+
+    console.log(`Loaded ${this.summaries.size} stored comparisons`);
+  }
+
+  /**
+   * Store a finished comparison. Images and captures (PNG buffers or base64
+   * strings) are written to disk and replaced by their file names. meta adds { source, options, batch, schedule }
+   * and may set createdAt.
+   */
+  async save(result, meta = {}) {
+    const { images, captures, ...rest } = result;
+    const record = {
+      ...rest,
+      id: result.id || uuidv4(),
+      status: 'completed',
+      urls: result.urls,
+      createdAt: toIsoDate(meta.createdAt || result.metadata?.comparedAt),
+      source: meta.source || 'compare',
+      batch: meta.batch || null,
+      schedule: meta.schedule || null,
+      options: meta.options || null,
+      error: null,
+      images: {},
+      captures: {}
+    };
+
+    const directory = this.recordDirectory(record.id);
+    for (const name of IMAGE_NAMES) {
+      const image = images && images[name];
+      if (Buffer.isBuffer(image) || typeof image === 'string') {
+        await fs.outputFile(path.join(directory, `${name}.png`), Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64'));
+        record.images[name] = `${name}.png`;
+      }
+    }
+    for (const side of ['A', 'B']) {
+      const capture = captures && captures[side];
+      if (Buffer.isBuffer(capture) || typeof capture === 'string') {
+        await fs.outputFile(path.join(directory, `${side}-raw.png`), Buffer.isBuffer(capture) ? capture : Buffer.from(capture, 'base64'));
+        record.captures[side] = `${side}-raw.png`;
+      }
+    }
+
+    return this.write(record);
+  }
+
+  /**
+   * Store a comparison that failed, so it shows up in the history as well.
+   * error is the { error, code } body the client received.
+   */
+  async saveFailure(urls, error, meta = {}) {
+    return this.write({
+      id: meta.id || uuidv4(),
+      status: 'failed',
+      urls,
+      createdAt: toIsoDate(meta.createdAt),
+      source: meta.source || 'compare',
+      batch: meta.batch || null,
+      schedule: meta.schedule || null,
+      options: meta.options || null,
+      error,
+      metrics: null,
+      images: {}
+    });
+  }
+
+  async write(record) {
+    const file = path.join(this.recordDirectory(record.id), RECORD_FILE);
+
+    // Written to a temporary file first so a crash never leaves half a record
+    await fs.outputJson(`${file}.tmp`, record, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+
+    const summary = this.summarize(record);
+    this.summaries.set(record.id, summary);
+    return summary;
+  }
+
+  /**
+   * Full record; its images map names to the files in the comparison directory.
+   */
+  async get(id) {
+    if (!this.summaries.has(id)) {
+      return null;
+    }
+
+    const directory = this.recordDirectory(id);
+    const file = path.join(directory, RECORD_FILE);
+
+    // Removed from disk by hand since the store was loaded
+    if (!(await fs.pathExists(file))) {
+      this.summaries.delete(id);
+      return null;
+    }
+
+    return fs.readJson(file);
+  }
+
+  // The record's screenshots as PNG buffers
+  async readImages(record) {
+    const images = {};
+    for (const [name, file] of Object.entries(record.images || {})) {
+      images[name] = await fs.readFile(path.join(this.recordDirectory(record.id), file));
+    }
+    return images;
+  }
+
+  /**
+   * One side's screenshot as captured, before it was fitted to the other side,
+   * or null when the record did not keep it. Records from before captures were
+   * kept fall back to the compared image when the diff left it untouched.
+   */
+  async readCapture(record, side) {
+    const directory = this.recordDirectory(record.id);
+    const file = record.captures?.[side];
+    if (file) {
+      return fs.readFile(path.join(directory, file));
+    }
+
+    const untouched = record.metrics?.dimensions?.mismatched === false && !record.metrics?.alignment?.aligned;
+    if (untouched && record.images?.[side]) {
+      return fs.readFile(path.join(directory, record.images[side]));
+    }
+    return null;
+  }
+
+  /**
+   * Path of a stored image such as "diff", or null when the comparison has no
+   * image of that name.
+   */
+  artifactPath(id, name) {
+    const summary = this.summaries.get(id);
+    if (!summary || !summary.imageNames.includes(name)) {
+      return null;
+    }
+    return path.join(this.recordDirectory(id), `${name}.png`);
+  }
+
+  /**
+   * Path of a thumbnail of a stored image, created on first use.
+   */
+  async thumbnailPath(id, name, width) {
+    const source = this.artifactPath(id, name);
+    if (!source) {
+      return null;
+    }
+
+    const file = path.join(this.recordDirectory(id), 'thumbnails', `${name}-${width}.png`);
+    if (await fs.pathExists(file)) {
+      return file;
+    }
+
+    // Requests for the same thumbnail share one resize
+    if (!this.pendingThumbnails.has(file)) {
+      const pending = fs.readFile(source)
+        .then(buffer => fs.outputFile(file, createThumbnail(buffer, width)))
+        .finally(() => this.pendingThumbnails.delete(file));
+      this.pendingThumbnails.set(file, pending);
+    }
+
+    await this.pendingThumbnails.get(file);
+    return file;
+  }
+
+  /**
+   * Record a review decision and/or comment: { state, author, comment, regions }.
+   * regions are { x, y, width, height, label } rectangles in diff image pixels.
+   * Resolves with the comparison's review, or null when it is not stored.
+   */
+  review(id, { state, author, comment, regions }) {
+    // Reviews of one comparison are applied one after another so none is lost
+    const previous = this.updates.get(id) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const record = await this.get(id);
+      if (!record) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const review = {
+        state: 'unreviewed',
+        updatedBy: null,
+        updatedAt: null,
+        comments: [],
+        ...record.review
+      };
+
+      if (state) {
+        Object.assign(review, { state, updatedBy: author, updatedAt: now });
+      }
+      if (comment || (regions && regions.length > 0)) {
+        review.comments = [...review.comments, {
+          id: uuidv4(),
+          author,
+          text: comment || '',
+          regions: regions || [],
+          state: state || null,
+          createdAt: now
+        }];
+      }
+
+      await this.write({ ...record, review });
+      return review;
+    });
+
+    this.updates.set(id, update);
+    update.finally(() => {
+      if (this.updates.get(id) === update) this.updates.delete(id);
+    }).catch(() => {});
+    return update;
+  }
+
+  has(id) {
+    return this.summaries.has(id);
+  }
+
+  // Summaries of every stored comparison, in no particular order
+  all() {
+    return [...this.summaries.values()];
+  }
+
+  getSummary(id) {
+    return this.summaries.get(id) || null;
+  }
+
+  // Removes the whole comparison directory, including any HAR recordings
+  async delete(id) {
+    if (!this.summaries.has(id)) {
+      return false;
+    }
+
+    await fs.remove(this.recordDirectory(id));
+    this.summaries.delete(id);
+    return true;
+  }
+
+  /**
+   * Page through the stored comparisons, newest first by default.
+   * Filters: q (URL substring), status, review (state), source, batchId, scheduleId,
+   * from and to (ISO dates).
+   */
+  list({ q, status, review, source, batchId, scheduleId, from, to, sort = 'date', page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const search = q ? String(q).toLowerCase() : null;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = [...this.summaries.values()].filter((summary) => {
+      const createdTime = new Date(summary.createdAt).getTime();
+      return (!search || [summary.urls?.A, summary.urls?.B].some(url => url && url.toLowerCase().includes(search))) &&
+        (!status || summary.status === status) &&
+        (!review || summary.review.state === review) &&
+        (!source || summary.source === source) &&
+        (!batchId || summary.batch?.id === batchId) &&
+        (!scheduleId || summary.schedule?.id === scheduleId) &&
+        (fromTime === null || createdTime >= fromTime) &&
+        (toTime === null || createdTime <= toTime);
+    });
+
+    const comparators = {
+      date: (a, b) => b.createdAt.localeCompare(a.createdAt),
+      mismatch: (a, b) => (b.metrics?.mismatchPercent ?? -1) - (a.metrics?.mismatchPercent ?? -1),
+      urls: (a, b) => (a.urls?.A || '').localeCompare(b.urls?.A || '')
+    };
+    matches.sort(comparators[sort] || comparators.date);
+
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const pages = Math.max(Math.ceil(matches.length / size), 1);
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+
+    return {
+      items: matches.slice((current - 1) * size, current * size),
+      total: matches.length,
+      page: current,
+      pageSize: size,
+      pages
+    };
+  }
+
+  /**
+   * Import entries of the old browser-side history. Entries whose id is
+   * already stored are skipped. Returns { imported, skipped }.
+   */
+  async importHistory(entries) {
+    let imported = 0;
+    let skipped = 0;
+
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object' || (entry.id && this.summaries.has(entry.id))) {
+        skipped++;
+        continue;
+      }
+
+      const urls = entry.urls || { A: entry.urlA, B: entry.urlB };
+      const meta = {
+        id: UUID_PATTERN.test(entry.id || '') ? entry.id : uuidv4(),
+        source: 'import',
+        createdAt: entry.metadata?.comparedAt || entry.metadata?.A?.timestamp || entry.timestamp,
+        batch: entry.batchIndex !== undefined ? { id: null, index: entry.batchIndex, originalData: entry.originalData || null } : null
+      };
+
+      if (entry.error) {
+        await this.saveFailure(urls, { error: entry.error, code: entry.errorDetails?.code || null }, meta);
+      } else {
+        const { urlA, urlB, batchIndex, originalData, ...result } = entry;
+        await this.save({ ...result, id: meta.id, urls }, meta);
+      }
+      imported++;
+    }
+
+    return { imported, skipped };
+  }
+
+  summarize(record) {
+    const { id, status, urls, createdAt, source, batch, schedule, metrics, error, viewport, warnings, baseline, review } = record;
+    return {
+      id,
+      status,
+      urls,
+      createdAt,
+      source,
+      batch,
+      schedule: schedule || null,
+      metrics: summarizeMetrics(metrics),
+      error: error || null,
+      viewport: viewport || null,
+      capture: summarizeCapture(record),
+      baseline: baseline || null,
+      review: {
+        state: review?.state || 'unreviewed',
+        updatedBy: review?.updatedBy || null,
+        updatedAt: review?.updatedAt || null,
+        commentCount: (review?.comments || []).length,
+        lastComment: (review?.comments || []).filter(comment => comment.text).map(comment => comment.text).pop() || null
+      },
+      warningCount: (warnings || []).length,
+      imageNames: Object.keys(record.images || {})
+    };
+  }
+
+  recordDirectory(id) {
+    return path.join(this.directory, id);
+  }
+}
+
+ComparisonStore.COMPARISONS_DIR = COMPARISONS_DIR;
+ComparisonStore.SORTS = SORTS;
+ComparisonStore.STATUSES = STATUSES;
+ComparisonStore.REVIEW_STATES = REVIEW_STATES;
+ComparisonStore.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = ComparisonStore;
@@ -0,0 +1,124 @@
+// Changed pixels of a diff grouped into regions. Pixels are first tallied in
+// CELL_SIZE square cells; cells up to MERGE_DISTANCE cells apart belong to the
+// same region, so clusters separated by a thin gap are reported as one.
+
+const CELL_SIZE = 8;
+const MERGE_DISTANCE = 2;
+// At most this many regions are listed, most severe first; regionCount counts all of them
+const MAX_REGIONS = 100;
+// Regions of this many changed pixels (10^5) get the full size weight in their severity
+const FULL_SEVERITY_LOG = 5;
+
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Severity from 0 to 100: how strongly the pixels changed (the mean of each
+ * pixel's largest channel difference) weighted by the region's size on a log
+ * scale, so a faint one-pixel speck ranks below a solid block.
+ */
+function severityOf(pixels, intensity) {
+  const sizeWeight = Math.min(Math.log10(1 + pixels) / FULL_SEVERITY_LOG, 1);
+  return Math.round(100 * intensity * sizeWeight);
+}
+
+/**
+ * Group the pixels set in `changed` (one byte per pixel of a width x height
+ * image) into regions. dataA and dataB are the compared RGBA buffers, used to
+ * measure how much each pixel changed. Returns { regions, regionCount }, with
+ * regions as { id, x, y, width, height, pixels, density, intensity, severity }
+ * sorted by severity; id is the rank, starting at 1.
+ */
+function findDiffRegions(changed, dataA, dataB, width, height) {
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cells = columns * rows;
+  const counts = new Uint32Array(cells);
+  const deltas = new Float64Array(cells);
+  const left = new Int32Array(cells).fill(width);
+  const top = new Int32Array(cells).fill(height);
+  const right = new Int32Array(cells).fill(-1);
+  const bottom = new Int32Array(cells).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / CELL_SIZE) * columns;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!changed[i]) continue;
+
+      const cell = cellRow + Math.floor(x / CELL_SIZE);
+      const offset = i * 4;
+      let delta = 0;
+      for (let c = 0; c < 4; c++) {
+        delta = Math.max(delta, Math.abs(dataA[offset + c] - dataB[offset + c]));
+      }
+
+      counts[cell]++;
+      deltas[cell] += delta / 255;
+      if (x < left[cell]) left[cell] = x;
+      if (x > right[cell]) right[cell] = x;
+      if (y < top[cell]) top[cell] = y;
+      if (y > bottom[cell]) bottom[cell] = y;
+    }
+  }
+
+  // Flood fill over cells with changes, reaching MERGE_DISTANCE cells in every direction
+  const visited = new Uint8Array(cells);
+  const regions = [];
+
+  for (let start = 0; start < cells; start++) {
+    if (!counts[start] || visited[start]) continue;
+
+    const region = { left: width, top: height, right: -1, bottom: -1, pixels: 0, delta: 0 };
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length) {
+      const cell = stack.pop();
+      region.pixels += counts[cell];
+      region.delta += deltas[cell];
+      region.left = Math.min(region.left, left[cell]);
+      region.top = Math.min(region.top, top[cell]);
+      region.right = Math.max(region.right, right[cell]);
+      region.bottom = Math.max(region.bottom, bottom[cell]);
+
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      for (let r = Math.max(0, row - MERGE_DISTANCE); r <= Math.min(rows - 1, row + MERGE_DISTANCE); r++) {
+        for (let c = Math.max(0, column - MERGE_DISTANCE); c <= Math.min(columns - 1, column + MERGE_DISTANCE); c++) {
+          const neighbor = r * columns + c;
+          if (counts[neighbor] && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    const regionWidth = region.right - region.left + 1;
+    const regionHeight = region.bottom - region.top + 1;
+    const intensity = region.delta / region.pixels;
+
+    regions.push({
+      x: region.left,
+      y: region.top,
+      width: regionWidth,
+      height: regionHeight,
+      pixels: region.pixels,
+      density: round(region.pixels / (regionWidth * regionHeight)),
+      intensity: round(intensity),
+      severity: severityOf(region.pixels, intensity)
+    });
+  }
+
+  regions.sort((a, b) => b.severity - a.severity || b.pixels - a.pixels);
+
+  return {
+    regions: regions.slice(0, MAX_REGIONS).map((region, index) => ({ id: index + 1, ...region })),
+    regionCount: regions.length
+  };
+}
+
+module.exports = {
+  findDiffRegions,
+  severityOf
+};
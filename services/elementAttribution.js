@@ -0,0 +1,211 @@
+const { severityOf } = require('./diffRegions');
+
+// Names the page elements behind changed regions: boxes and stable selectors
+// are collected in the page right after capture, and each region is matched
+// to the deepest element containing it on each side.
+
+// Elements beyond this many, in document order, are not collected
+const MAX_ELEMENTS = 10000;
+// At most this many changed elements are listed
+const MAX_CHANGED_ELEMENTS = 50;
+// Regions may stick out of an element by this many image pixels and still count as inside it
+const CONTAINMENT_TOLERANCE = 2;
+
+/**
+ * Visible elements of the page in document order, as { selector, tag, text,
+ * depth, x, y, width, height } in CSS pixels of the page, and whether the
+ * list was cut off at MAX_ELEMENTS. Selectors start from the nearest id or
+ * test attribute and skip class names that look generated, so they can be
+ * searched for in the source.
+ */
+async function collectElementBoxes(page) {
+  return page.evaluate((maxElements) => {
+    const TEST_ATTRIBUTES = ['data-testid', 'data-test', 'data-cy', 'data-qa', 'data-component'];
+    const looksGenerated = value => /\d{4,}|[0-9a-f]{8,}|^(css|sc|jsx|emotion|svelte)-|__/i.test(value);
+    const isUnique = selector => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    // A selector naming the element on its own, if it has a stable one
+    const anchorOf = (element) => {
+      if (element.id && !looksGenerated(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+        return `#${CSS.escape(element.id)}`;
+      }
+      for (const attribute of TEST_ATTRIBUTES) {
+        const value = element.getAttribute(attribute);
+        const selector = value && `${element.localName}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`;
+        if (selector && isUnique(selector)) return selector;
+      }
+      return null;
+    };
+
+    const stepOf = (element) => {
+      const classes = [...element.classList]
+        .filter(name => !looksGenerated(name))
+        .slice(0, 2)
+        .map(name => `.${CSS.escape(name)}`)
+        .join('');
+      const sameTag = [...element.parentElement.children].filter(sibling => sibling.localName === element.localName);
+      const position = sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(element) + 1})` : '';
+      return `${element.localName}${classes}${position}`;
+    };
+
+    const selectors = new Map();
+    const selectorOf = (element) => {
+      if (!selectors.has(element)) {
+        const anchor = element === document.documentElement || element === document.body ? element.localName : anchorOf(element);
+        selectors.set(element, anchor || `${selectorOf(element.parentElement)} > ${stepOf(element)}`);
+      }
+      return selectors.get(element);
+    };
+
+    const depths = new Map([[document.documentElement, 0]]);
+    const elements = [];
+    let truncated = false;
+
+    for (const element of document.documentElement.querySelectorAll('*')) {
+      if (!element.parentElement) continue;
+      depths.set(element, depths.get(element.parentElement) + 1);
+
+      const rect = element.getBoundingClientRect();
+      if (rect.width < 1 || rect.height < 1) continue;
+      const style = getComputedStyle(element);
+      if (style.visibility === 'hidden' || style.opacity === '0') continue;
+
+      if (elements.length >= maxElements) {
+        truncated = true;
+        break;
+      }
+
+      const ownText = [...element.childNodes]
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      elements.push({
+        selector: selectorOf(element),
+        tag: element.localName,
+        text: (element.getAttribute('aria-label') || ownText).slice(0, 80),
+        depth: depths.get(element),
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height
+      });
+    }
+
+    return { elements, truncated };
+  }, MAX_ELEMENTS);
+}
+
+const contains = (element, region) =>
+  element.x - CONTAINMENT_TOLERANCE <= region.x &&
+  element.y - CONTAINMENT_TOLERANCE <= region.y &&
+  element.x + element.width + CONTAINMENT_TOLERANCE >= region.x + region.width &&
+  element.y + element.height + CONTAINMENT_TOLERANCE >= region.y + region.height;
+
+function overlap(element, region) {
+  const width = Math.min(element.x + element.width, region.x + region.width) - Math.max(element.x, region.x);
+  const height = Math.min(element.y + element.height, region.y + region.height) - Math.max(element.y, region.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * The deepest element containing the region, the smallest one on ties. When
+ * none contains it (the region spills past the document element) the element
+ * covering most of it is used instead.
+ */
+function matchElement(region, elements) {
+  let best = null;
+  for (const element of elements) {
+    if (!contains(element, region)) continue;
+    if (!best || element.depth > best.depth ||
+      (element.depth === best.depth && element.width * element.height < best.width * best.height)) {
+      best = element;
+    }
+  }
+  if (best) return best;
+
+  let bestOverlap = 0;
+  for (const element of elements) {
+    const area = overlap(element, region);
+    if (area > bestOverlap || (area === bestOverlap && area > 0 && element.depth > best.depth)) {
+      best = element;
+      bestOverlap = area;
+    }
+  }
+  return best;
+}
+
+const roundBox = ({ x, y, width, height }) => ({
+  x: Math.round(x),
+  y: Math.round(y),
+  width: Math.round(width),
+  height: Math.round(height)
+});
+
+/**
+ * Match each region to an element of each side. elements are { side, selector,
+ * tag, text, depth, x, y, width, height } in the compared images' pixels.
+ * Returns { regions, changedElements }: the regions with `elements: { A, B }`
+ * selectors added, and the matched elements ranked by the severity their
+ * regions would have as one region, as { selector, tag, text, sides: { A, B }
+ * (boxes), regions (ids), pixels, severity }.
+ */
+function attributeRegions(regions, elements) {
+  const bySide = {
+    A: elements.filter(element => element.side === 'A'),
+    B: elements.filter(element => element.side === 'B')
+  };
+  const changed = new Map();
+
+  const attributed = regions.map((region) => {
+    const matched = {};
+
+    for (const side of ['A', 'B']) {
+      const element = matchElement(region, bySide[side]);
+      matched[side] = element ? element.selector : null;
+      if (!element) continue;
+
+      const entry = changed.get(element.selector) || {
+        selector: element.selector,
+        tag: element.tag,
+        text: element.text,
+        sides: {},
+        regions: [],
+        pixels: 0,
+        intensity: 0,
+        severity: 0
+      };
+      entry.sides[side] = entry.sides[side] || roundBox(element);
+      // A region matched to the same element on both sides counts once
+      if (!entry.regions.includes(region.id)) {
+        entry.regions.push(region.id);
+        entry.intensity = (entry.intensity * entry.pixels + region.intensity * region.pixels) / (entry.pixels + region.pixels);
+        entry.pixels += region.pixels;
+        entry.severity = severityOf(entry.pixels, entry.intensity);
+      }
+      changed.set(element.selector, entry);
+    }
+
+    return { ...region, elements: matched };
+  });
+
+  const changedElements = [...changed.values()]
+    .sort((a, b) => b.severity - a.severity || b.pixels - a.pixels)
+    .slice(0, MAX_CHANGED_ELEMENTS)
+    .map(({ intensity, ...entry }) => entry);
+
+  return { regions: attributed, changedElements };
+}
+
+module.exports = {
+  collectElementBoxes,
+  attributeRegions
+};
@@ -0,0 +1,195 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { createCancelledError } = require('./cancellation');
+
+// Finished jobs (and their results) stay queryable for this long
+const JOB_TTL = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 50;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// A watched job whose last event stream closed is cancelled unless a client
+// reconnects within this window (EventSource retries after about 3 seconds)
+const DISCONNECT_GRACE = 10000;
+
+class JobManager {
+  /**
+   * describeError(error) turns a task failure into the { error, code } body
+   * reported for failed jobs; by default only the message is kept.
+   */
+  constructor({ describeError } = {}) {
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.describeError = describeError || (error => ({ error: error.message }));
+    this.controllers = new Map();
+    this.subscribers = new Map();
+    this.lastPolled = new Map();
+  }
+
+  /**
+   * Start task({ onProgress, signal }) in the background and return its job.
+   * meta is copied onto the job, e.g. the compared URLs. The signal is
+   * aborted when the job is cancelled.
+   */
+  create(meta, task) {
+    this.prune();
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      phase: null,
+      progress: 0,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      ...meta
+    };
+
+    // Kept off the job object so summaries stay serializable
+    this.controllers.set(job.id, new AbortController());
+    this.subscribers.set(job.id, 0);
+
+    this.jobs.set(job.id, job);
+    setImmediate(() => this.run(job, task));
+
+    return job;
+  }
+
+  async run(job, task) {
+    const { signal } = this.controllers.get(job.id);
+
+    // Cancelled while waiting to start
+    if (signal.aborted) {
+      this.finishCancelled(job, signal);
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await task({ onProgress: event => this.recordProgress(job, event), signal });
+      if (signal.aborted) {
+        this.finishCancelled(job, signal);
+        return;
+      }
+
+      job.result = result;
+      job.progress = 100;
+      job.status = 'completed';
+    } catch (error) {
+      if (signal.aborted) {
+        this.finishCancelled(job, signal);
+        return;
+      }
+
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.error = { ...this.describeError(error), timestamp: new Date().toISOString() };
+      job.status = 'failed';
+    }
+
+    this.finish(job);
+  }
+
+  finishCancelled(job, signal) {
+    console.log(`Job ${job.id} cancelled: ${signal.reason}`);
+    job.status = 'cancelled';
+    job.error = {
+      error: createCancelledError(signal.reason).message,
+      code: 'CANCELLED',
+      timestamp: new Date().toISOString()
+    };
+    this.finish(job);
+  }
+
+  finish(job) {
+    job.finishedAt = new Date().toISOString();
+    this.controllers.delete(job.id);
+    this.emitter.emit(job.id, 'done', this.summarize(job));
+  }
+
+  /**
+   * Abort a queued or running job. Returns false when it has already finished.
+   */
+  cancel(id, reason = 'cancel requested') {
+    const job = this.get(id);
+    const controller = this.controllers.get(id);
+    if (!job || !controller || this.isFinished(job)) {
+      return false;
+    }
+
+    controller.abort(reason);
+    return true;
+  }
+
+  recordProgress(job, event) {
+    job.phase = event.phase;
+    job.progress = Math.max(job.progress, event.progress || 0);
+    job.events.push(event);
+    this.emitter.emit(job.id, 'progress', event);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Status polls keep a job alive after its event streams have closed
+  touch(id) {
+    this.lastPolled.set(id, Date.now());
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Call listener(type, data) for every 'progress' and the final 'done' event.
+   * Returns a function that removes the listener.
+   */
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    this.subscribers.set(id, (this.subscribers.get(id) || 0) + 1);
+
+    return () => {
+      this.emitter.removeListener(id, listener);
+
+      const remaining = (this.subscribers.get(id) || 1) - 1;
+      this.subscribers.set(id, remaining);
+      if (remaining === 0) {
+        setTimeout(() => {
+          const polledRecently = Date.now() - (this.lastPolled.get(id) || 0) < DISCONNECT_GRACE;
+          if (this.subscribers.get(id) === 0 && !polledRecently) {
+            this.cancel(id, 'client disconnected');
+          }
+        }, DISCONNECT_GRACE).unref();
+      }
+    };
+  }
+
+  // Job state without the (large) result and event log
+  summarize(job) {
+    const { result, events, ...summary } = job;
+    return summary;
+  }
+
+  prune() {
+    const now = Date.now();
+    const finished = [...this.jobs.values()].filter(job => this.isFinished(job));
+
+    finished.forEach((job, index) => {
+      const expired = now - new Date(job.finishedAt).getTime() > JOB_TTL;
+      if (expired || finished.length - index > MAX_FINISHED_JOBS) {
+        this.jobs.delete(job.id);
+        this.subscribers.delete(job.id);
+        this.lastPolled.delete(job.id);
+      }
+    });
+  }
+}
+
+JobManager.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = JobManager;
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Mock response files must live under this directory
+const MOCKS_DIR = path.join(__dirname, '..', 'mocks');
+
+// Built-in blocklists, selectable with blockRequests.presets
+const BLOCK_PRESETS = {
+  trackers: [
+    '*google-analytics.com/*',
+    '*googletagmanager.com/*',
+    '*doubleclick.net/*',
+    '*googlesyndication.com/*',
+    '*adservice.google.com/*',
+    '*connect.facebook.net/*',
+    '*facebook.com/tr*',
+    '*hotjar.com/*',
+    '*clarity.ms/*',
+    '*segment.com/*',
+    '*segment.io/*',
+    '*mixpanel.com/*',
+    '*amplitude.com/*',
+    '*optimizely.com/*',
+    '*visualwebsiteoptimizer.com/*',
+    '*abtasty.com/*',
+    '*nr-data.net/*',
+    '*js-agent.newrelic.com/*',
+    '*scorecardresearch.com/*',
+    '*quantserve.com/*',
+    '*amazon-adsystem.com/*',
+    '*criteo.com/*',
+    '*criteo.net/*',
+    '*taboola.com/*',
+    '*outbrain.com/*',
+    '*bat.bing.com/*',
+    '*snap.licdn.com/*',
+    '*static.ads-twitter.com/*'
+  ]
+};
+
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script',
+  'texttrack', 'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+// Keep the per-side report bounded on request-heavy pages
+const MAX_REPORTED_REQUESTS = 200;
+
+// Convert a URL glob ("*" matches any run of characters) to a RegExp
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+class NetworkInterceptor {
+  constructor({ blockRequests = null, mockResponses = [] } = {}) {
+    const block = blockRequests || {};
+    const presetPatterns = (block.presets || []).flatMap(preset => BLOCK_PRESETS[preset] || []);
+
+    this.blockRules = [
+      ...(block.patterns || []).map(pattern => ({ pattern, regex: globToRegExp(pattern), reason: 'pattern' })),
+      ...presetPatterns.map(pattern => ({ pattern, regex: globToRegExp(pattern), reason: 'preset' }))
+    ];
+    this.blockResourceTypes = new Set(block.resourceTypes || []);
+    this.mocks = (mockResponses || []).map(mock => ({ ...mock, regex: globToRegExp(mock.urlPattern) }));
+
+    this.blocked = [];
+    this.mocked = [];
+    this.blockedCount = 0;
+    this.mockedCount = 0;
+  }
+
+  isActive() {
+    return this.blockRules.length > 0 || this.blockResourceTypes.size > 0 || this.mocks.length > 0;
+  }
+
+  async attach(page) {
+    if (!this.isActive()) return;
+
+    // Read mock files up front so a missing file fails the capture instead of a request
+    for (const mock of this.mocks) {
+      mock.response = await this.buildMockResponse(mock);
+    }
+
+    await page.route('**/*', async (route) => {
+      const request = route.request();
+      const url = request.url();
+
+      const mock = this.mocks.find(candidate => candidate.regex.test(url));
+      if (mock) {
+        this.record('mocked', { url, source: mock.file || 'inline', status: mock.response.status });
+        await route.fulfill(mock.response);
+        return;
+      }
+
+      const resourceType = request.resourceType();
+      const rule = this.blockRules.find(candidate => candidate.regex.test(url));
+      if (rule || this.blockResourceTypes.has(resourceType)) {
+        this.record('blocked', {
+          url,
+          resourceType,
+          reason: rule ? `${rule.reason}: ${rule.pattern}` : `resourceType: ${resourceType}`
+        });
+        await route.abort('blockedbyclient');
+        return;
+      }
+
+      await route.fallback();
+    });
+  }
+
+  async buildMockResponse(mock) {
+    const response = {
+      status: mock.status || 200,
+      headers: mock.headers || {}
+    };
+
+    if (mock.file) {
+      const filePath = path.resolve(MOCKS_DIR, mock.file);
+      if (!filePath.startsWith(path.resolve(MOCKS_DIR) + path.sep)) {
+        throw new Error(`Network mock error: "${mock.file}" is outside the mocks directory`);
+      }
+
+      if (!(await fs.pathExists(filePath))) {
+        throw new Error(`Network mock error: mock file "${mock.file}" not found`);
+      }
+
+      response.body = await fs.readFile(filePath);
+      response.contentType = mock.contentType || CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    } else if (mock.json !== undefined) {
+      response.body = JSON.stringify(mock.json);
+      response.contentType = mock.contentType || 'application/json';
+    } else {
+      response.body = mock.body || '';
+      response.contentType = mock.contentType || 'text/plain; charset=utf-8';
+    }
+
+    return response;
+  }
+
+  record(kind, entry) {
+    if (kind === 'blocked') {
+      this.blockedCount++;
+      if (this.blocked.length < MAX_REPORTED_REQUESTS) this.blocked.push(entry);
+    } else {
+      this.mockedCount++;
+      if (this.mocked.length < MAX_REPORTED_REQUESTS) this.mocked.push(entry);
+    }
+  }
+
+  getReport() {
+    if (!this.isActive()) return null;
+
+    return {
+      blockedCount: this.blockedCount,
+      mockedCount: this.mockedCount,
+      blocked: this.blocked,
+      mocked: this.mocked
+    };
+  }
+}
+
+NetworkInterceptor.BLOCK_PRESETS = BLOCK_PRESETS;
+NetworkInterceptor.RESOURCE_TYPES = RESOURCE_TYPES;
+NetworkInterceptor.MOCKS_DIR = MOCKS_DIR;
+
+module.exports = NetworkInterceptor;
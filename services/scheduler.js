@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { parseCron, nextRun } = require('./cronExpression');
+
+// Each schedule is kept in <SCHEDULES_DIR>/<scheduleId>/schedule.json together
+// with its most recent runs; run results live in the comparison store
+const SCHEDULES_DIR = path.join(__dirname, '..', 'output', 'schedules');
+
+const TICK_INTERVAL = 15000;
+const MAX_RUNS = 100;
+const DEFAULT_THRESHOLD = 1;
+
+class Scheduler {
+  /**
+   * runSchedule(schedule, run, { signal }) runs one comparison for the
+   * schedule and resolves with its result. onRunFailed(schedule, run) is
+   * called after a run has failed and describeError(error) gives the
+   * { error, code } recorded for it.
+   */
+  constructor({ runSchedule, onRunFailed, describeError, directory = SCHEDULES_DIR }) {
+    this.runSchedule = runSchedule;
+    this.onRunFailed = onRunFailed || (() => {});
+    this.describeError = describeError || (error => ({ error: error.message }));
+    this.directory = directory;
+    this.schedules = new Map();
+    this.controllers = new Map();
+    this.writes = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Load saved schedules. Runs missed while the server was down are skipped;
+   * runs a previous process left running are marked failed.
+   */
+  async load() {
+    await fs.ensureDir(this.directory);
+
+    for (const id of await fs.readdir(this.directory)) {
+      const file = path.join(this.directory, id, 'schedule.json');
+      if (!(await fs.pathExists(file))) continue;
+
+      let schedule;
+      try {
+        schedule = await fs.readJson(file);
+      } catch (error) {
+        console.error(`Skipping unreadable schedule ${id}:`, error.message);
+        continue;
+      }
+
+      schedule.runs
+        .filter(run => run.status === 'running')
+        .forEach(run => Object.assign(run, {
+          status: 'failed',
+          error: { error: 'Interrupted by a server restart', code: 'INTERRUPTED' },
+          finishedAt: run.finishedAt || new Date().toISOString()
+        }));
+      schedule.nextRunAt = this.computeNextRun(schedule);
+
+      this.schedules.set(schedule.id, schedule);
+      await this.save(schedule);
+    }
+
+    console.log(`Loaded ${this.schedules.size} schedules`);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    this.timer.unref();
+  }
+
+  // Stops the timer and aborts running comparisons
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const controller of this.controllers.values()) {
+      controller.abort('scheduler stopped');
+    }
+  }
+
+  tick(now = new Date()) {
+    for (const schedule of this.schedules.values()) {
+      if (schedule.paused || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+      if (this.controllers.has(schedule.id)) {
+        // The previous run is still going; this one is skipped rather than queued
+        console.warn(`Schedule ${schedule.id} is still running; skipping the run due at ${schedule.nextRunAt}`);
+        schedule.nextRunAt = this.computeNextRun(schedule, now);
+        this.save(schedule);
+        continue;
+      }
+
+      this.trigger(schedule.id, 'cron');
+    }
+  }
+
+  /**
+   * Save a new schedule. target is { urlA, urlB } for a comparison of two
+   * pages or { url } for a comparison against the page's approved baseline.
+   * threshold is the mismatch percentage above which a run is flagged.
+   */
+  async create({ name, cron, target, options = {}, threshold = DEFAULT_THRESHOLD, paused = false }) {
+    parseCron(cron);
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: uuidv4(),
+      name: name || (target.url || `${target.urlA} vs ${target.urlB}`),
+      cron: cron.trim(),
+      target,
+      options,
+      threshold,
+      paused: Boolean(paused),
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      runCount: 0,
+      flaggedCount: 0,
+      runs: []
+    };
+    schedule.nextRunAt = this.computeNextRun(schedule);
+
+    this.schedules.set(schedule.id, schedule);
+    await this.save(schedule);
+    return schedule;
+  }
+
+  /**
+   * Start a run now. Resolves with the run once it has finished, or with
+   * null when the schedule is unknown or already running.
+   */
+  async trigger(id, trigger = 'manual') {
+    const schedule = this.schedules.get(id);
+    if (!schedule || this.controllers.has(id)) {
+      return null;
+    }
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+
+    const run = {
+      id: uuidv4(),
+      trigger,
+      status: 'running',
+      comparisonId: null,
+      mismatchPercent: null,
+      flagged: false,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    schedule.runs = [run, ...schedule.runs].slice(0, MAX_RUNS);
+    schedule.runCount++;
+    if (trigger === 'cron') {
+      schedule.nextRunAt = this.computeNextRun(schedule);
+    }
+    this.save(schedule);
+
+    try {
+      const result = await this.runSchedule(schedule, run, { signal: controller.signal });
+      const mismatchPercent = result.metrics ? result.metrics.mismatchPercent : null;
+
+      Object.assign(run, {
+        status: 'completed',
+        comparisonId: result.id || null,
+        mismatchPercent,
+        flagged: mismatchPercent !== null && mismatchPercent > schedule.threshold
+      });
+      if (run.flagged) {
+        schedule.flaggedCount++;
+        console.warn(`Schedule "${schedule.name}" run flagged: mismatch ${mismatchPercent}% exceeds ${schedule.threshold}%`);
+      }
+    } catch (error) {
+      Object.assign(run, {
+        status: controller.signal.aborted ? 'cancelled' : 'failed',
+        error: this.describeError(error)
+      });
+      console.error(`Schedule "${schedule.name}" run failed:`, error.message);
+      if (run.status === 'failed') {
+        await this.onRunFailed(schedule, run);
+      }
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.controllers.delete(id);
+      // A deleted schedule is not written back
+      if (this.schedules.has(id)) {
+        await this.save(schedule);
+      }
+    }
+
+    return run;
+  }
+
+  async setPaused(id, paused) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) {
+      return null;
+    }
+
+    schedule.paused = paused;
+    schedule.updatedAt = new Date().toISOString();
+    // Resuming starts from the next matching time, not from the runs missed while paused
+    schedule.nextRunAt = this.computeNextRun(schedule);
+    await this.save(schedule);
+    return schedule;
+  }
+
+  async delete(id) {
+    if (!this.schedules.has(id)) {
+      return false;
+    }
+
+    const controller = this.controllers.get(id);
+    if (controller) {
+      controller.abort('schedule deleted');
+    }
+
+    this.schedules.delete(id);
+    await (this.writes.get(id) || Promise.resolve());
+    await fs.remove(path.join(this.directory, id));
+    return true;
+  }
+
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  isRunning(id) {
+    return this.controllers.has(id);
+  }
+
+  list() {
+    return [...this.schedules.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(schedule => this.summarize(schedule, { includeRuns: false }));
+  }
+
+  summarize(schedule, { includeRuns = true } = {}) {
+    const { runs, ...summary } = schedule;
+    return {
+      ...summary,
+      running: this.isRunning(schedule.id),
+      lastRun: runs[0] || null,
+      ...(includeRuns && { runs })
+    };
+  }
+
+  computeNextRun(schedule, after = new Date()) {
+    if (schedule.paused) {
+      return null;
+    }
+
+    const next = nextRun(parseCron(schedule.cron), after);
+    return next ? next.toISOString() : null;
+  }
+
+  // Writes of one schedule are chained so an older snapshot never overwrites a newer one
+  save(schedule) {
+    const previous = this.writes.get(schedule.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      const file = path.join(this.directory, schedule.id, 'schedule.json');
+
+      // Written to a temporary file first so a crash never leaves half a schedule
+      await fs.outputJson(`${file}.tmp`, schedule, { spaces: 2 });
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    }).catch((error) => {
+      console.error(`Failed to save schedule ${schedule.id}:`, error.message);
+    });
+
+    this.writes.set(schedule.id, write);
+    return write;
+  }
+}
+
+Scheduler.SCHEDULES_DIR = SCHEDULES_DIR;
+Scheduler.MAX_RUNS = MAX_RUNS;
+Scheduler.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+
+module.exports = Scheduler;
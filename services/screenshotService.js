@@ -1,67 +1,294 @@
-const { chromium } = require('playwright');
-const pixelmatch = require('pixelmatch');
-const { PNG } = require('pngjs');
+const { devices } = require('playwright');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const AuthService = require('./authService');
+const ActionRunner = require('./actionRunner');
+const NetworkInterceptor = require('./networkInterceptor');
+const BrowserPool = require('./browserPool');
+const { runVisualDiff } = require('./visualDiff');
+const { collectElementBoxes } = require('./elementAttribution');
+const { createCancelledError, throwIfCancelled, isCancelledError } = require('./cancellation');
+
+// Per-comparison artifacts such as HAR recordings live under <COMPARISONS_DIR>/<comparisonId>
+const COMPARISONS_DIR = path.join(__dirname, '..', 'output', 'comparisons');
+
+const DEFAULT_BROWSER = 'chromium';
+const DEFAULT_VIEWPORT = { width: 1440, height: 900 };
+
+const DEFAULT_USER_AGENT = 'PixelPerfect-Comparer/1.0 (+Playwright)';
+
+// Allowed values for the media-feature emulation options
+const EMULATION_CHOICES = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  forcedColors: ['active', 'none'],
+  media: ['screen', 'print'],
+  reducedMotion: ['reduce', 'no-preference'],
+  reducedData: ['reduce', 'no-preference']
+};
+
+// Share of a single capture that is done once a phase starts
+const CAPTURE_PHASE_PROGRESS = {
+  queued: 0,
+  preparing: 5,
+  navigating: 10,
+  waiting: 25,
+  stabilizing: 40,
+  scrolling: 50,
+  interacting: 65,
+  capturing: 75,
+  captured: 100
+};
+
+// Overall comparison progress once a post-capture phase starts; captures fill the first 80%
+const COMPARE_PHASE_PROGRESS = {
+  diffing: 85,
+  encoding: 95,
+  completed: 100
+};
+
+const PHASE_MESSAGES = {
+  queued: 'Waiting for a free browser',
+  preparing: 'Preparing browser context',
+  navigating: 'Navigating',
+  waiting: 'Waiting for the page to load',
+  stabilizing: 'Stabilizing the page',
+  scrolling: 'Scrolling to load lazy content',
+  interacting: 'Running interaction steps',
+  capturing: 'Capturing screenshot',
+  captured: 'Screenshot captured',
+  diffing: 'Computing visual diff',
+  encoding: 'Encoding images',
+  completed: 'Comparison complete'
+};
 
 class ScreenshotService {
-  constructor() {
-    this.browser = null;
-    this.context = null;
+  /**
+   * poolOptions ({ maxConcurrency, browsersPerEngine }) size the BrowserPool
+   * that every capture runs in.
+   */
+  constructor(poolOptions = {}) {
+    this.pool = new BrowserPool(poolOptions);
+    this.authService = new AuthService();
+    this.actionRunner = new ActionRunner();
   }
 
   async initialize() {
-    if (this.browser) return;
-    
-    this.browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor'
-      ]
-    });
+    // Warm up the default engine; other engines are launched on first use
+    await this.pool.run(DEFAULT_BROWSER, async () => {});
+  }
 
-    this.context = await this.browser.newContext({
-      viewport: { width: 1440, height: 900 },
+  getContextOptions(emulation = {}, device = null) {
+    const contextOptions = {
+      viewport: { ...DEFAULT_VIEWPORT },
       deviceScaleFactor: 1,
-      userAgent: 'PixelPerfect-Comparer/1.0 (+Playwright)',
+      userAgent: DEFAULT_USER_AGENT,
       ignoreHTTPSErrors: true,
-      locale: 'en-US',
-      timezoneId: 'UTC'
-    });
+      ...(device && {
+        viewport: device.viewport,
+        deviceScaleFactor: device.deviceScaleFactor,
+        userAgent: device.userAgent,
+        isMobile: device.isMobile,
+        hasTouch: device.hasTouch
+      }),
+      locale: emulation.locale || 'en-US',
+      timezoneId: emulation.timezoneId || 'UTC'
+    };
+
+    if (emulation.geolocation) {
+      contextOptions.geolocation = emulation.geolocation;
+      contextOptions.permissions = emulation.permissions || ['geolocation'];
+    } else if (emulation.permissions) {
+      contextOptions.permissions = emulation.permissions;
+    }
+
+    return contextOptions;
+  }
+
+  /**
+   * Expand a device option into concrete context settings.
+   * Accepts a Playwright descriptor name ("iPhone 13", "Pixel 7 landscape") or a
+   * { name, descriptor, orientation, width, height, deviceScaleFactor, userAgent,
+   * isMobile, hasTouch } object; explicit fields override the descriptor's.
+   */
+  resolveDevice(device) {
+    if (!device) return null;
+
+    const config = typeof device === 'string' ? { descriptor: device } : device;
+    let descriptorName = config.descriptor;
+    let base = {};
+
+    if (descriptorName) {
+      if (config.orientation === 'landscape' && !descriptorName.endsWith(' landscape')) {
+        descriptorName = `${descriptorName} landscape`;
+      }
+
+      base = devices[descriptorName];
+      if (!base) {
+        throw new Error(`Device Error: unknown device "${descriptorName}"`);
+      }
+    }
+
+    let width = config.width || (base.viewport && base.viewport.width) || 1440;
+    let height = config.height || (base.viewport && base.viewport.height) || 900;
+    if (!descriptorName && config.orientation === 'landscape' && height > width) {
+      [width, height] = [height, width];
+    }
 
-    // Store viewport dimensions for consistent use
-    this.viewportWidth = 1440;
-    this.viewportHeight = 900;
+    return {
+      name: config.name || descriptorName || 'Custom',
+      descriptor: descriptorName || null,
+      viewport: { width, height },
+      deviceScaleFactor: config.deviceScaleFactor || base.deviceScaleFactor || 1,
+      userAgent: config.userAgent || base.userAgent || DEFAULT_USER_AGENT,
+      isMobile: config.isMobile !== undefined ? Boolean(config.isMobile) : Boolean(base.isMobile),
+      hasTouch: config.hasTouch !== undefined ? Boolean(config.hasTouch) : Boolean(base.hasTouch)
+    };
   }
 
-  async capturePage(url, options = {}) {
+  async applyMediaEmulation(page, browserName, emulation = {}) {
+    const media = {
+      reducedMotion: emulation.reducedMotion || 'reduce',
+      colorScheme: emulation.colorScheme || 'light',
+      forcedColors: emulation.forcedColors || 'none',
+      media: emulation.media || 'screen'
+    };
+    await page.emulateMedia(media);
+
+    const effective = { ...media, reducedData: 'no-preference' };
+
+    // prefers-reduced-data is only exposed through the Chromium DevTools protocol.
+    // The call replaces every emulated feature, so the ones set above are sent again
+    if (emulation.reducedData === 'reduce') {
+      if (browserName === 'chromium') {
+        const session = await page.context().newCDPSession(page);
+        await session.send('Emulation.setEmulatedMedia', {
+          media: media.media,
+          features: [
+            { name: 'prefers-color-scheme', value: media.colorScheme },
+            { name: 'forced-colors', value: media.forcedColors },
+            { name: 'prefers-reduced-motion', value: media.reducedMotion },
+            { name: 'prefers-reduced-data', value: 'reduce' }
+          ]
+        });
+        effective.reducedData = 'reduce';
+      } else {
+        effective.reducedData = 'unsupported';
+      }
+    }
+
+    return effective;
+  }
+
+  resolveSideOptions(options, side) {
+    // Per-side overrides (options.sides.A / options.sides.B) win over shared options
+    const { sides, ...shared } = options;
+    const overrides = (sides && sides[side]) || {};
+
+    // Emulation settings combine, so one side can e.g. switch only the color scheme
+    return {
+      ...shared,
+      ...overrides,
+      emulation: { ...shared.emulation, ...overrides.emulation }
+    };
+  }
+
+  /**
+   * hooks.onProgress({ phase }) is called as the capture moves through the
+   * phases listed in CAPTURE_PHASE_PROGRESS. Aborting hooks.signal closes the
+   * capture's context, which stops navigation, scrolling and waits.
+   */
+  async capturePage(url, options = {}, hooks = {}) {
+    const { signal } = hooks;
+    const report = phase => hooks.onProgress && hooks.onProgress({ phase });
+
+    // Each capture holds a pool slot from context creation until its context is closed
+    report('queued');
+    return this.pool.run(
+      options.browser || DEFAULT_BROWSER,
+      browser => this.captureWithBrowser(browser, url, options, report, signal),
+      { signal }
+    );
+  }
+
+  async captureWithBrowser(ownBrowser, url, options = {}, report = () => {}, signal = null) {
     const {
       waitFor = 'networkidle',
       fullPage = true,
       maskSelectors = ['.cookie', '#cookie', '.banner', '.ads', '[data-testid="cookie"]'],
       timeout = 45000,
-      stabilizationDelay = 1000
+      stabilizationDelay = 1000,
+      browser: browserName = DEFAULT_BROWSER,
+      auth = null,
+      actions = [],
+      targetSelector = null,
+      blockRequests = null,
+      mockResponses = [],
+      har = null,
+      deterministic = null,
+      emulation = {},
+      device: deviceOption = null
     } = options;
 
-    if (!this.context) {
-      await this.initialize();
+    throwIfCancelled(signal);
+
+    const warnings = [];
+    const device = this.resolveDevice(deviceOption);
+    if (device && device.isMobile && browserName === 'firefox') {
+      // Firefox has no mobile emulation; keep the rest of the device profile
+      device.isMobile = false;
+      warnings.push(`Firefox does not support isMobile; captured "${device.name}" without mobile emulation`);
+    }
+
+    const viewport = device ? device.viewport : { ...DEFAULT_VIEWPORT };
+
+    // Every capture gets its own context so cookies, sessions, recordings and
+    // device settings never leak between sites or concurrent requests
+    report('preparing');
+    let context;
+    let authSummary = null;
+    const captureOptions = {};
+
+    if (har && har.mode === 'record') {
+      await fs.ensureDir(path.dirname(har.path));
+      captureOptions.recordHar = { path: har.path, content: 'embed' };
+    }
+
+    if (auth) {
+      ({ context, summary: authSummary } = await this.authService.createContext(
+        ownBrowser, this.getContextOptions(emulation, device), auth, url, captureOptions
+      ));
+    } else {
+      context = await ownBrowser.newContext({ ...this.getContextOptions(emulation, device), ...captureOptions });
     }
 
-    const page = await this.context.newPage();
+    // Closing the context makes every pending page operation reject at once
+    const onAbort = () => {
+      context.close().catch(() => {});
+    };
 
+    // From here on the context is closed however the capture ends
     try {
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (signal.aborted) onAbort();
+      }
+
+      // Replays are served entirely from the recording; anything missing is aborted
+      if (har && har.mode === 'replay') {
+        await context.routeFromHAR(har.path, { notFound: 'abort' });
+      }
+
+      const page = await context.newPage();
+
       // For full page capture, we need to handle viewport differently
       if (fullPage) {
         // Set a larger initial viewport to better detect full page dimensions
-        // Use more flexible sizing for dynamic content
-        const initialViewport = {
-          width: Math.max(this.viewportWidth || 1440, 1920, 2560), // Support ultra-wide screens
-          height: Math.max(this.viewportHeight || 900, 1080, 1440)  // Support tall screens
+        // Use more flexible sizing for dynamic content. Devices keep their own
+        // viewport, since enlarging it would switch responsive layouts.
+        const initialViewport = device ? viewport : {
+          width: Math.max(viewport.width, 1920, 2560), // Support ultra-wide screens
+          height: Math.max(viewport.height, 1080, 1440)  // Support tall screens
         };
         
         await page.setViewportSize(initialViewport);
@@ -85,13 +312,14 @@ class ScreenshotService {
         }, initialViewport);
       } else {
         // Use the configured viewport for viewport-only capture
-        await page.setViewportSize({
-          width: this.viewportWidth || 1440,
-          height: this.viewportHeight || 900
-        });
-        console.log(`Viewport mode: Viewport set to: ${this.viewportWidth || 1440}x${this.viewportHeight || 900}`);
+        await page.setViewportSize(viewport);
+        console.log(`Viewport mode: Viewport set to: ${viewport.width}x${viewport.height}`);
       }
 
+      // Block and mock requests before anything is loaded
+      const networkInterceptor = new NetworkInterceptor({ blockRequests, mockResponses });
+      await networkInterceptor.attach(page);
+
       // Inject stabilization scripts before navigation
       await page.addInitScript(() => {
         // Freeze animations and transitions
@@ -123,10 +351,18 @@ class ScreenshotService {
         }
       });
 
-      // Set reduced motion preference
-      await page.emulateMedia({ reducedMotion: 'reduce' });
+      // Set reduced motion preference along with any requested media emulation
+      const mediaEmulation = await this.applyMediaEmulation(page, browserName, emulation);
+      const contextEmulation = this.getContextOptions(emulation);
+
+      const stabilizers = ['animations', 'reducedMotion'];
+      if (deterministic) {
+        await this.installDeterministicRuntime(page, deterministic);
+        stabilizers.push('clock', 'random');
+      }
 
       // Navigate to the page
+      report('navigating');
       console.log(`Navigating to: ${url}`);
       
       try {
@@ -149,6 +385,7 @@ class ScreenshotService {
       }
 
       // Wait strategy implementation
+      report('waiting');
       if (waitFor === 'networkidle') {
         try {
           await page.waitForLoadState('networkidle', { timeout: 15000 });
@@ -165,6 +402,7 @@ class ScreenshotService {
       }
 
       // Handle cookie banners and popups
+      report('stabilizing');
       await this.dismissCookieBanners(page);
 
       // Apply masking to dynamic elements
@@ -182,10 +420,11 @@ class ScreenshotService {
 
       // For full page capture, ensure we scroll to load all content
       if (fullPage) {
-        await this.scrollToLoadContent(page);
+        report('scrolling');
+        await this.scrollToLoadContent(page, signal);
         
         // Additional wait for dynamic content that might load after scrolling
-        await this.waitForDynamicContent(page);
+        await this.waitForDynamicContent(page, signal);
         
         // Get the actual page dimensions after scrolling
         const pageDimensions = await page.evaluate(() => {
@@ -212,12 +451,47 @@ class ScreenshotService {
         await page.waitForTimeout(500);
       }
 
+      // Run scripted interactions last so the lazy-load scroll pass cannot undo
+      // hover, focus or scroll states they set up
+      let actionResults = [];
+      if (actions.length > 0) {
+        report('interacting');
+        console.log(`Running ${actions.length} pre-capture actions on ${url}`);
+        actionResults = await this.actionRunner.run(page, actions, { url });
+        await page.waitForTimeout(300);
+
+        const failedCount = actionResults.filter(result => result.status === 'failed').length;
+        if (failedCount > 0) {
+          console.warn(`${failedCount} of ${actions.length} actions failed on ${url}`);
+        }
+      }
+
+      if (deterministic) {
+        stabilizers.push(...await this.settleForCapture(page));
+      }
+
       // Capture screenshot with proper options
+      report('capturing');
       let screenshot;
       let captureMethod = 'unknown';
+      let element = null;
+
+      // Element-scoped capture falls back to the page capture when the selector is unusable
+      if (targetSelector) {
+        const elementCapture = await this.captureElement(page, targetSelector);
+        element = elementCapture.element;
+        warnings.push(...elementCapture.warnings);
+
+        if (elementCapture.screenshot) {
+          screenshot = elementCapture.screenshot;
+          captureMethod = 'element';
+        }
+      }
       
       try {
-        if (fullPage) {
+        if (captureMethod === 'element') {
+          console.log(`Element screenshot captured for "${targetSelector}". Size: ${screenshot.length} bytes`);
+        } else if (fullPage) {
           console.log('Attempting full page capture...');
           
           // First, try the standard fullPage option
@@ -289,8 +563,8 @@ class ScreenshotService {
             clip: {
               x: 0,
               y: 0,
-              width: this.viewportWidth || 1440,
-              height: this.viewportHeight || 900
+              width: viewport.width,
+              height: viewport.height
             }
           });
           captureMethod = 'viewport';
@@ -311,8 +585,8 @@ class ScreenshotService {
               clip: {
                 x: 0,
                 y: 0,
-                width: this.viewportWidth || 1440,
-                height: this.viewportHeight || 900
+                width: viewport.width,
+                height: viewport.height
               }
             });
             captureMethod = 'fallback_viewport';
@@ -326,6 +600,15 @@ class ScreenshotService {
         }
       }
 
+      // Element boxes let the comparison name the components behind changed regions
+      const elementBoxes = await collectElementBoxes(page).catch((error) => {
+        warnings.push(`Element boxes could not be collected: ${error.message}`);
+        return { elements: [], truncated: false };
+      });
+      if (elementBoxes.truncated) {
+        warnings.push(`Only the first ${elementBoxes.elements.length} visible elements were collected for attribution`);
+      }
+
       // Get page metadata
       const title = await page.title().catch(() => '');
       const finalUrl = page.url();
@@ -347,14 +630,21 @@ class ScreenshotService {
       });
 
       await page.close();
+      // Closing the context also flushes a HAR recording to disk
+      if (signal) signal.removeEventListener('abort', onAbort);
+      await context.close();
+      report('captured');
 
       // Calculate actual captured dimensions based on capture method
       let capturedDimensions = { ...finalDimensions };
       
-      if (!fullPage) {
+      if (captureMethod === 'element') {
+        capturedDimensions.capturedWidth = Math.round(element.box.width);
+        capturedDimensions.capturedHeight = Math.round(element.box.height);
+      } else if (!fullPage) {
         // For viewport capture, the captured dimensions are limited to viewport
-        capturedDimensions.capturedWidth = this.viewportWidth || 1440;
-        capturedDimensions.capturedHeight = this.viewportHeight || 900;
+        capturedDimensions.capturedWidth = viewport.width;
+        capturedDimensions.capturedHeight = viewport.height;
       } else {
         // For full page capture, use the actual page dimensions
         capturedDimensions.capturedWidth = finalDimensions.scrollWidth;
@@ -363,23 +653,52 @@ class ScreenshotService {
 
       return {
         buffer: screenshot,
+        elements: elementBoxes.elements,
         metadata: {
           url: finalUrl,
           title,
           timestamp: new Date().toISOString(),
-          viewport: { 
-            width: this.viewportWidth || 1440, 
-            height: this.viewportHeight || 900 
+          viewport: { ...viewport },
+          device: device || {
+            name: null,
+            descriptor: null,
+            viewport: { ...viewport },
+            deviceScaleFactor: 1,
+            userAgent: DEFAULT_USER_AGENT,
+            isMobile: false,
+            hasTouch: false
           },
           fullPage,
+          browser: {
+            name: browserName,
+            version: ownBrowser.version()
+          },
+          auth: authSummary,
           pageDimensions: finalDimensions,
           capturedDimensions: capturedDimensions,
-          captureMethod
+          captureMethod,
+          stabilizers,
+          emulation: {
+            ...mediaEmulation,
+            locale: contextEmulation.locale,
+            timezoneId: contextEmulation.timezoneId,
+            geolocation: contextEmulation.geolocation || null,
+            permissions: contextEmulation.permissions || []
+          },
+          actions: actionResults,
+          network: networkInterceptor.getReport(),
+          har: har && { mode: har.mode },
+          element,
+          elementBoxes: { count: elementBoxes.elements.length, truncated: elementBoxes.truncated },
+          warnings
         }
       };
 
     } catch (error) {
-      await page.close();
+      // Failures caused by the closed context are reported as the cancellation they are
+      if (signal && signal.aborted) {
+        throw createCancelledError();
+      }
       
       // Enhance error messages with context
       if (error.message.includes('Connection refused')) {
@@ -390,16 +709,160 @@ class ScreenshotService {
         throw new Error(`Security Error: ${error.message}`);
       } else if (error.message.includes('Navigation timeout')) {
         throw new Error(`Timeout Error: ${error.message}`);
-      } else if (error.message.includes('Required element')) {
+      } else if (error.message.includes('Required element') || error.message.includes('Invalid target selector')) {
         throw new Error(`Content Error: ${error.message}`);
       } else if (error.message.includes('Page crashed')) {
         throw new Error(`Stability Error: ${error.message}`);
       } else if (error.message.includes('Screenshot capture failed')) {
         throw new Error(`Capture Error: ${error.message}`);
+      } else if (error.message.includes('Authentication Error') || error.message.includes('Network mock error')) {
+        throw error;
       } else {
         throw new Error(`Screenshot capture failed for ${url}: ${error.message}`);
       }
+    } finally {
+      // Already closed after a successful capture; closing again is a no-op
+      if (signal) signal.removeEventListener('abort', onAbort);
+      await context.close().catch(() => {});
+    }
+  }
+
+  async installDeterministicRuntime(page, { now, seed }) {
+    await page.addInitScript(({ frozenTime, randomSeed }) => {
+      // Freeze Date at the configured instant. A plain function rather than a
+      // class, since pages also call Date() without new to get the time as a string
+      const NativeDate = Date;
+      function FrozenDate(...args) {
+        if (!new.target) {
+          return new NativeDate(frozenTime).toString();
+        }
+        return Reflect.construct(NativeDate, args.length === 0 ? [frozenTime] : args, new.target);
+      }
+      FrozenDate.now = () => frozenTime;
+      FrozenDate.parse = NativeDate.parse;
+      FrozenDate.UTC = NativeDate.UTC;
+      FrozenDate.prototype = NativeDate.prototype;
+      window.Date = FrozenDate;
+
+      // Freeze the high resolution clock as well
+      const frozenPerformanceNow = performance.now();
+      performance.now = () => frozenPerformanceNow;
+
+      // Seeded PRNG (mulberry32) so Math.random-driven layouts repeat exactly
+      let state = randomSeed >>> 0;
+      Math.random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }, { frozenTime: new Date(now).getTime(), randomSeed: seed });
+  }
+
+  async settleForCapture(page) {
+    const settled = [];
+
+    // Late web-font swaps shift text metrics
+    try {
+      await page.evaluate(() => Promise.race([
+        document.fonts.ready,
+        new Promise(resolve => setTimeout(resolve, 5000))
+      ]));
+      settled.push('fonts');
+    } catch (e) {
+      console.warn('Font readiness check failed:', e.message);
+    }
+
+    // Make sure every image has been fetched and decoded
+    try {
+      await page.evaluate(() => Promise.race([
+        Promise.all(Array.from(document.images).map(img => (
+          img.decode ? img.decode().catch(() => {}) : Promise.resolve()
+        ))),
+        new Promise(resolve => setTimeout(resolve, 10000))
+      ]));
+      settled.push('images');
+    } catch (e) {
+      console.warn('Image decode wait failed:', e.message);
+    }
+
+    // Pause video/audio at their first frame and freeze animated GIFs
+    try {
+      await page.evaluate(() => {
+        document.querySelectorAll('video, audio').forEach((media) => {
+          media.pause();
+          media.autoplay = false;
+          try {
+            media.currentTime = 0;
+          } catch (e) {
+            // Some streams cannot seek
+          }
+        });
+
+        document.querySelectorAll('img[src*=".gif" i]').forEach((img) => {
+          if (!img.complete || img.naturalWidth === 0) return;
+          try {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+            img.src = canvas.toDataURL('image/png');
+          } catch (e) {
+            // Cross-origin GIFs taint the canvas and keep animating
+          }
+        });
+      });
+      settled.push('media');
+    } catch (e) {
+      console.warn('Media pausing failed:', e.message);
     }
+
+    // Let the pages repaint after swapping GIF frames
+    await page.waitForTimeout(200);
+    return settled;
+  }
+
+  async captureElement(page, selector) {
+    const warnings = [];
+    const locator = page.locator(selector);
+
+    let matchCount;
+    try {
+      matchCount = await locator.count();
+    } catch (e) {
+      throw new Error(`Invalid target selector "${selector}": ${e.message.split('\n')[0]}`);
+    }
+
+    if (matchCount === 0) {
+      warnings.push(`Target selector "${selector}" matched no elements; captured the page instead`);
+      return { screenshot: null, element: { selector, matchCount, box: null }, warnings };
+    }
+
+    if (matchCount > 1) {
+      warnings.push(`Target selector "${selector}" matched ${matchCount} elements; captured the first one`);
+    }
+
+    const target = locator.first();
+
+    // Report the box in page coordinates so it lines up with full page captures
+    const box = await target.evaluate((el) => {
+      const rect = el.getBoundingClientRect();
+      return {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height
+      };
+    });
+
+    if (box.width < 1 || box.height < 1) {
+      warnings.push(`Target selector "${selector}" matched an element with no visible size; captured the page instead`);
+      return { screenshot: null, element: { selector, matchCount, box }, warnings };
+    }
+
+    const screenshot = await target.screenshot({ type: 'png' });
+    return { screenshot, element: { selector, matchCount, box }, warnings };
   }
 
   async dismissCookieBanners(page) {
@@ -434,7 +897,7 @@ class ScreenshotService {
     }
   }
 
-  async scrollToLoadContent(page) {
+  async scrollToLoadContent(page, signal = null) {
     try {
       console.log('Starting content loading scroll...');
       
@@ -465,6 +928,7 @@ class ScreenshotService {
       let totalScrollDistance = 0;
       
       while (currentPosition < lastHeight && scrollAttempts < maxScrollAttempts) {
+        throwIfCancelled(signal);
         currentPosition += scrollStep;
         totalScrollDistance += scrollStep;
         
@@ -577,12 +1041,16 @@ class ScreenshotService {
       console.log(`Total scroll distance: ${totalScrollDistance}px`);
       
     } catch (e) {
+      if (isCancelledError(e) || (signal && signal.aborted)) {
+        throw createCancelledError();
+      }
+
       console.warn('Scroll loading failed:', e.message);
       // Continue with screenshot capture even if scrolling fails
     }
   }
 
-  async waitForDynamicContent(page) {
+  async waitForDynamicContent(page, signal = null) {
     console.log('Waiting for dynamic content to load...');
     const startTime = Date.now();
     const timeout = 30000; // 30 seconds timeout
@@ -592,6 +1060,8 @@ class ScreenshotService {
     const requiredStableChecks = 3; // Require 3 consecutive stable measurements
 
     while (Date.now() - startTime < timeout) {
+      throwIfCancelled(signal);
+
       const newHeight = await page.evaluate(() => {
         return Math.max(
           document.documentElement.scrollHeight,
@@ -628,149 +1098,165 @@ class ScreenshotService {
     }
   }
 
-  async setViewport(width, height) {
-    if (width <= 0 || height <= 0) {
-      throw new Error('Viewport dimensions must be positive numbers');
-    }
-    
-    if (width > 10000 || height > 10000) {
-      throw new Error('Viewport dimensions too large. Maximum supported: 10000x10000');
-    }
-    
-    await this.context.setViewportSize({ width, height });
-    this.viewportWidth = width;
-    this.viewportHeight = height;
-    
-    console.log(`Viewport updated to ${width}x${height}`);
-  }
+  toImageRegions(regions, metadata) {
+    if (!regions || regions.length === 0) return [];
 
-  computeVisualDiff(bufferA, bufferB, options = {}) {
-    const { threshold = 0.1, includeAA = true } = options;
+    // Regions are given in page coordinates; element captures start at the element's box
+    const origin = metadata.captureMethod === 'element' && metadata.element && metadata.element.box
+      ? metadata.element.box
+      : { x: 0, y: 0 };
 
-    try {
-      const imgA = PNG.sync.read(bufferA);
-      const imgB = PNG.sync.read(bufferB);
+    // Screenshots are taken in device pixels, regions and boxes are CSS pixels
+    const scale = (metadata.device && metadata.device.deviceScaleFactor) || 1;
 
-      // Validate image data
-      if (!imgA.data || !imgB.data) {
-        throw new Error('Invalid image data received');
-      }
+    return regions.map(region => ({
+      ...region,
+      x: (region.x - origin.x) * scale,
+      y: (region.y - origin.y) * scale,
+      width: region.width * scale,
+      height: region.height * scale
+    }));
+  }
 
-      // Normalize dimensions to the smaller size
-      const width = Math.min(imgA.width, imgB.width);
-      const height = Math.min(imgA.height, imgB.height);
+  async resolveHarFiles(harOptions, comparisonId) {
+    // Recordings are stored under the new comparison; replays read a previous one
+    const sourceId = harOptions.mode === 'replay' ? harOptions.comparisonId : comparisonId;
+    const directory = path.join(COMPARISONS_DIR, sourceId);
+    const paths = {
+      A: path.join(directory, 'A.har'),
+      B: path.join(directory, 'B.har')
+    };
 
-      if (width === 0 || height === 0) {
-        throw new Error('Invalid image dimensions: width or height is 0');
+    if (harOptions.mode === 'replay') {
+      for (const [side, harPath] of Object.entries(paths)) {
+        if (!(await fs.pathExists(harPath))) {
+          throw new Error(`HAR Error: no recording for side ${side} of comparison ${sourceId}`);
+        }
       }
+    }
 
-      if (width > 10000 || height > 10000) {
-        throw new Error('Image dimensions too large. Maximum supported: 10000x10000 pixels');
-      }
+    return { mode: harOptions.mode, comparisonId: sourceId, paths };
+  }
 
-      // Create cropped versions
-      const aCrop = new PNG({ width, height });
-      const bCrop = new PNG({ width, height });
-      
-      try {
-        PNG.bitblt(imgA, aCrop, 0, 0, width, height, 0, 0);
-        PNG.bitblt(imgB, bCrop, 0, 0, width, height, 0, 0);
-      } catch (bitbltError) {
-        throw new Error(`Failed to process image data: ${bitbltError.message}`);
-      }
+  /**
+   * hooks.onProgress receives { phase, side, progress, message, timestamp }
+   * events; side is 'A' or 'B' for capture phases and null afterwards.
+   * Aborting hooks.signal closes both captures' pages, stops the diff worker
+   * and rejects with a "Cancelled:" error. A capture that fails aborts the other one.
+   * With a baseline, side A is the baseline's stored screenshot instead of a capture.
+   */
+  async comparePages(urlA, urlB, options = {}, hooks = {}, baseline = null) {
+    const comparisonId = uuidv4();
+    console.log(`Starting comparison ${comparisonId}: ${baseline ? `baseline ${baseline.key} v${baseline.version}` : urlA} vs ${urlB}`);
+    console.log('Comparison options:', AuthService.redactOptions(options));
 
-      // Create diff image
-      const diff = new PNG({ width, height });
-      
-      let changedPixels;
-      try {
-        changedPixels = pixelmatch(
-          aCrop.data, bCrop.data, diff.data,
-          width, height,
-          { 
-            threshold, 
-            includeAA,
-            alpha: 0.2,
-            diffColor: [255, 0, 0],
-            diffColorAlt: [0, 255, 0]
-          }
-        );
-      } catch (pixelmatchError) {
-        throw new Error(`Pixel comparison failed: ${pixelmatchError.message}`);
+    const sideProgress = { A: baseline ? 100 : 0, B: 0 };
+    const report = (phase, side = null) => {
+      if (!hooks.onProgress) return;
+
+      if (side) {
+        sideProgress[side] = CAPTURE_PHASE_PROGRESS[phase];
       }
 
-      const totalPixels = width * height;
-      const mismatchPercent = (changedPixels / totalPixels) * 100;
+      hooks.onProgress({
+        phase,
+        side,
+        progress: side
+          ? Math.round(((sideProgress.A + sideProgress.B) / 2) * 0.8)
+          : COMPARE_PHASE_PROGRESS[phase],
+        message: side ? `Site ${side}: ${PHASE_MESSAGES[phase]}` : PHASE_MESSAGES[phase],
+        timestamp: new Date().toISOString()
+      });
+    };
+    const { signal } = hooks;
+    // The captures share a signal of their own, so one side failing stops the other
+    // instead of leaving it to hold its pool slot until it finishes
+    const captures = new AbortController();
+    const abortCaptures = () => captures.abort(signal && signal.reason);
+    if (signal) {
+      signal.addEventListener('abort', abortCaptures, { once: true });
+      if (signal.aborted) abortCaptures();
+    }
+    const sideHooks = side => ({ onProgress: ({ phase }) => report(phase, side), signal: captures.signal });
+    const capture = (url, sideOptions, side) => this.capturePage(url, sideOptions, sideHooks(side)).catch((error) => {
+      captures.abort(error);
+      throw error;
+    });
 
-      // Calculate additional metrics
-      const ssimScore = 1 - (mismatchPercent / 100); // Simplified SSIM approximation
+    try {
+      throwIfCancelled(signal);
 
-      return {
-        metrics: {
-          width,
-          height,
-          totalPixels,
-          changedPixels,
-          mismatchPercent: Math.round(mismatchPercent * 100) / 100,
-          ssimScore: Math.round(ssimScore * 10000) / 10000,
-          threshold,
-          includeAA
-        },
-        images: {
-          original: {
-            A: aCrop,
-            B: bCrop
-          },
-          diff: diff
-        }
-      };
+      const optionsA = this.resolveSideOptions(options, 'A');
+      const optionsB = this.resolveSideOptions(options, 'B');
 
-    } catch (error) {
-      if (error.message.includes('Invalid image data')) {
-        throw new Error('Image processing failed: Invalid or corrupted image data received');
-      } else if (error.message.includes('Invalid image dimensions')) {
-        throw new Error('Image processing failed: Invalid image dimensions');
-      } else if (error.message.includes('Image dimensions too large')) {
-        throw new Error('Image processing failed: Image is too large to process');
-      } else if (error.message.includes('Failed to process image data')) {
-        throw new Error('Image processing failed: Could not extract image data');
-      } else if (error.message.includes('Pixel comparison failed')) {
-        throw new Error('Image comparison failed: Could not compute visual differences');
-      } else {
-        throw new Error(`Visual diff computation failed: ${error.message}`);
+      let har = null;
+      if (options.har) {
+        har = await this.resolveHarFiles(options.har, comparisonId);
+        optionsA.har = { mode: har.mode, path: har.paths.A };
+        optionsB.har = { mode: har.mode, path: har.paths.B };
       }
-    }
-  }
-
-  async comparePages(urlA, urlB, options = {}) {
-    const comparisonId = uuidv4();
-    console.log(`Starting comparison ${comparisonId}: ${urlA} vs ${urlB}`);
-    console.log('Comparison options:', options);
 
-    try {
-      // Capture both pages in parallel
+      // Capture both pages in parallel; a baseline's warnings were reported when it was captured
       const [resultA, resultB] = await Promise.all([
-        this.capturePage(urlA, options),
-        this.capturePage(urlB, options)
+        baseline
+          ? { buffer: baseline.image, metadata: { ...baseline.metadata, warnings: [] } }
+          : capture(urlA, optionsA, 'A'),
+        capture(urlB, optionsB, 'B')
       ]);
 
+      // Baselines approved from imported records carry no browser or device metadata
+      const engineOf = ({ metadata }) => (metadata.browser ? `${metadata.browser.name} ${metadata.browser.version}` : 'unknown');
+      console.log(`Engines: A=${engineOf(resultA)}, B=${engineOf(resultB)}`);
+
+      const warnings = [
+        ...resultA.metadata.warnings.map(message => ({ side: 'A', message })),
+        ...resultB.metadata.warnings.map(message => ({ side: 'B', message }))
+      ];
+      const scaleA = resultA.metadata.device?.deviceScaleFactor;
+      const scaleB = resultB.metadata.device?.deviceScaleFactor;
+      if (scaleA !== undefined && scaleB !== undefined && scaleA !== scaleB) {
+        warnings.push({
+          side: 'both',
+          message: `Device pixel ratios differ (A: ${scaleA}, B: ${scaleB}); ${options.dimensionStrategy === 'scale' ? 'B is scaled to the width of A' : 'images are compared pixel for pixel'}`
+        });
+      }
+      warnings.forEach(warning => console.warn(`Side ${warning.side}: ${warning.message}`));
+
       console.log(`Page A captured: ${resultA.metadata.fullPage ? 'Full page' : 'Viewport only'}, dimensions: ${resultA.metadata.pageDimensions?.scrollWidth || 'unknown'}x${resultA.metadata.pageDimensions?.scrollHeight || 'unknown'}`);
       console.log(`Page B captured: ${resultB.metadata.fullPage ? 'Full page' : 'Viewport only'}, dimensions: ${resultB.metadata.pageDimensions?.scrollWidth || 'unknown'}x${resultB.metadata.pageDimensions?.scrollHeight || 'unknown'}`);
 
-      // Compute visual diff
-      const diffResult = this.computeVisualDiff(
+      // Compute visual diff in a worker thread so cancellation can stop it
+      report('diffing');
+      const diffResult = await runVisualDiff(
         resultA.buffer, 
         resultB.buffer, 
         {
           threshold: options.diffThreshold || 0.1,
-          includeAA: options.includeAA !== false
-        }
+          includeAA: options.includeAA !== false,
+          multiScaleSsim: options.multiScaleSsim === true,
+          dimensionStrategy: options.dimensionStrategy || 'crop',
+          alignment: options.alignment || 'none',
+          ignoreRegions: [
+            ...this.toImageRegions(optionsA.ignoreRegions, resultA.metadata).map(region => ({ ...region, side: 'A' })),
+            ...this.toImageRegions(optionsB.ignoreRegions, resultB.metadata).map(region => ({ ...region, side: 'B' }))
+          ],
+          // Baselines keep no element boxes, so their side is left unattributed
+          elements: [
+            ...this.toImageRegions(resultA.elements, resultA.metadata).map(element => ({ ...element, side: 'A' })),
+            ...this.toImageRegions(resultB.elements, resultB.metadata).map(element => ({ ...element, side: 'B' }))
+          ]
+        },
+        { signal }
       );
 
-      // Convert images to base64
-      const imageA = PNG.sync.write(diffResult.images.original.A);
-      const imageB = PNG.sync.write(diffResult.images.original.B);
-      const imageDiff = PNG.sync.write(diffResult.images.diff);
+      const { alignment } = diffResult.metrics;
+      if (alignment && !alignment.aligned) {
+        warnings.push({ side: 'both', message: `Rows could not be aligned (${alignment.reason}); images are compared without alignment` });
+        console.warn(`Side both: ${warnings[warnings.length - 1].message}`);
+      }
+
+      // PNGs are returned as buffers; callers store them as artifacts or inline them
+      report('encoding');
 
       const finalResult = {
         id: comparisonId,
@@ -780,35 +1266,73 @@ class ScreenshotService {
           B: resultB.metadata,
           comparedAt: new Date().toISOString()
         },
-        images: {
-          A: imageA.toString('base64'),
-          B: imageB.toString('base64'),
-          diff: imageDiff.toString('base64')
-        },
-        metrics: diffResult.metrics
+        images: diffResult.images,
+        // The screenshots as taken; the compared images may be cropped, padded, scaled or aligned
+        captures: { A: resultA.buffer, B: resultB.buffer },
+        metrics: diffResult.metrics,
+        warnings,
+        ...(baseline && {
+          baseline: {
+            key: baseline.key,
+            version: baseline.version,
+            approvedBy: baseline.approvedBy,
+            approvedAt: baseline.approvedAt
+          }
+        }),
+        ...(har && {
+          har: {
+            mode: har.mode,
+            comparisonId: har.comparisonId,
+            files: {
+              A: path.relative(process.cwd(), har.paths.A),
+              B: path.relative(process.cwd(), har.paths.B)
+            }
+          }
+        })
       };
 
+      report('completed');
       console.log(`Comparison ${comparisonId} completed successfully`);
       console.log(`Final metrics: mismatch ${diffResult.metrics.mismatchPercent}%, changed pixels: ${diffResult.metrics.changedPixels}`);
 
       return finalResult;
 
     } catch (error) {
+      if (isCancelledError(error) || (signal && signal.aborted)) {
+        console.log(`Comparison ${comparisonId} cancelled`);
+        throw isCancelledError(error) ? error : createCancelledError();
+      }
+
       console.error(`Comparison ${comparisonId} failed:`, error);
       throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', abortCaptures);
     }
   }
 
+  /**
+   * Compare a fresh capture of url against an approved baseline
+   * ({ key, version, url, image, metadata, approvedBy, approvedAt }).
+   * The baseline is side A of the result and the capture side B.
+   */
+  async compareWithBaseline(baseline, url, options = {}, hooks = {}) {
+    return this.comparePages(baseline.url, url, options, hooks, baseline);
+  }
+
+  getPoolStats() {
+    return this.pool.getStats();
+  }
+
   async cleanup() {
-    if (this.context) {
-      await this.context.close();
-      this.context = null;
-    }
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    await this.pool.close();
+    this.authService.clearSessions();
   }
 }
 
+ScreenshotService.BROWSER_ENGINES = BrowserPool.ENGINES;
+ScreenshotService.DEFAULT_BROWSER = DEFAULT_BROWSER;
+ScreenshotService.COMPARISONS_DIR = COMPARISONS_DIR;
+ScreenshotService.EMULATION_CHOICES = EMULATION_CHOICES;
+ScreenshotService.DEVICE_NAMES = Object.keys(devices);
+
 module.exports = ScreenshotService;
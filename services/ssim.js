@@ -0,0 +1,246 @@
+const { PNG } = require('pngjs');
+
+// Structural similarity (SSIM) of two equally sized RGBA images. Windows are
+// 8x8 pixels moved 4 pixels at a time; they are built from the statistics of
+// 4x4 blocks, read one strip of rows at a time, so memory grows with the image
+// width rather than its area.
+
+const BLOCK = 4;
+const WINDOW = BLOCK * 2;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Each tile of the SSIM map covers this many pixels square and is drawn MAP_SCALE pixels wide
+const TILE_SIZE = 32;
+const MAP_SCALE = 8;
+// Tiles scoring below this are counted in lowTiles
+const LOW_TILE_SSIM = 0.9;
+
+// Weights of the five scales of multi-scale SSIM (Wang, Simoncelli and Bovik, 2003)
+const MS_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+const round = value => Math.round(value * 10000) / 10000;
+
+function luma(data, offset) {
+  return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+}
+
+/**
+ * Score every window of a greyscale image pair. readRow(y, rowA, rowB) fills
+ * the grey values of row y. Windows touching a pixel set in mask are skipped.
+ * onWindow(x, y, ssim) receives the top-left pixel and score of each window.
+ * Resolves to { ssim, cs, min, windows } (cs being the mean contrast-structure
+ * term), or null when the image is smaller than one window.
+ */
+function scanWindows(width, height, readRow, { mask = null, onWindow = null } = {}) {
+  const columns = Math.floor(width / BLOCK);
+  const blockRows = Math.floor(height / BLOCK);
+  if (columns < 2 || blockRows < 2) {
+    return null;
+  }
+
+  const createStats = () => ({
+    a: new Float64Array(columns),
+    b: new Float64Array(columns),
+    aa: new Float64Array(columns),
+    bb: new Float64Array(columns),
+    ab: new Float64Array(columns),
+    masked: new Uint8Array(columns)
+  });
+
+  const rowA = new Float32Array(width);
+  const rowB = new Float32Array(width);
+  const n = WINDOW * WINDOW;
+  let previous = null;
+  let ssimSum = 0;
+  let csSum = 0;
+  let min = 1;
+  let windows = 0;
+
+  for (let by = 0; by < blockRows; by++) {
+    const current = createStats();
+
+    for (let dy = 0; dy < BLOCK; dy++) {
+      const y = by * BLOCK + dy;
+      readRow(y, rowA, rowB);
+
+      for (let x = 0; x < columns * BLOCK; x++) {
+        const bx = Math.floor(x / BLOCK);
+        const a = rowA[x];
+        const b = rowB[x];
+        current.a[bx] += a;
+        current.b[bx] += b;
+        current.aa[bx] += a * a;
+        current.bb[bx] += b * b;
+        current.ab[bx] += a * b;
+        if (mask && mask[y * width + x]) current.masked[bx] = 1;
+      }
+    }
+
+    // A window is the 2x2 blocks of the previous and the current block row
+    if (previous) {
+      for (let bx = 0; bx < columns - 1; bx++) {
+        if (previous.masked[bx] || previous.masked[bx + 1] || current.masked[bx] || current.masked[bx + 1]) continue;
+
+        const sum = key => previous[key][bx] + previous[key][bx + 1] + current[key][bx] + current[key][bx + 1];
+        const meanA = sum('a') / n;
+        const meanB = sum('b') / n;
+        const varianceA = sum('aa') / n - meanA * meanA;
+        const varianceB = sum('bb') / n - meanB * meanB;
+        const covariance = sum('ab') / n - meanA * meanB;
+
+        const cs = (2 * covariance + C2) / (varianceA + varianceB + C2);
+        const ssim = ((2 * meanA * meanB + C1) / (meanA * meanA + meanB * meanB + C1)) * cs;
+
+        ssimSum += ssim;
+        csSum += cs;
+        min = Math.min(min, ssim);
+        windows++;
+        if (onWindow) onWindow(bx * BLOCK, (by - 1) * BLOCK, ssim);
+      }
+    }
+
+    previous = current;
+  }
+
+  return windows > 0 ? { ssim: ssimSum / windows, cs: csSum / windows, min, windows } : null;
+}
+
+// Half-size greyscale images (and mask) for the next scale of multi-scale SSIM
+function downsample(width, height, readRow, mask) {
+  const halfWidth = Math.floor(width / 2);
+  const halfHeight = Math.floor(height / 2);
+  const greyA = new Float32Array(halfWidth * halfHeight);
+  const greyB = new Float32Array(halfWidth * halfHeight);
+  const halfMask = mask ? new Uint8Array(halfWidth * halfHeight) : null;
+  const rowA = new Float32Array(width);
+  const rowB = new Float32Array(width);
+
+  for (let y = 0; y < halfHeight * 2; y++) {
+    readRow(y, rowA, rowB);
+    const offset = Math.floor(y / 2) * halfWidth;
+
+    for (let x = 0; x < halfWidth; x++) {
+      greyA[offset + x] += (rowA[x * 2] + rowA[x * 2 + 1]) / 4;
+      greyB[offset + x] += (rowB[x * 2] + rowB[x * 2 + 1]) / 4;
+      if (halfMask && (mask[y * width + x * 2] || mask[y * width + x * 2 + 1])) halfMask[offset + x] = 1;
+    }
+  }
+
+  return {
+    width: halfWidth,
+    height: halfHeight,
+    mask: halfMask,
+    readRow: (y, outA, outB) => {
+      outA.set(greyA.subarray(y * halfWidth, (y + 1) * halfWidth));
+      outB.set(greyB.subarray(y * halfWidth, (y + 1) * halfWidth));
+    }
+  };
+}
+
+/**
+ * Multi-scale SSIM: the contrast-structure terms of up to five scales, each
+ * half the size of the previous one, and the full SSIM of the smallest.
+ * Scales too small for a window are dropped and the weights renormalized.
+ */
+function multiScaleSsim(width, height, readRow, mask, firstScale) {
+  const terms = [firstScale];
+  let scale = { width, height, readRow, mask };
+
+  while (terms.length < MS_WEIGHTS.length) {
+    scale = downsample(scale.width, scale.height, scale.readRow, scale.mask);
+    const result = scanWindows(scale.width, scale.height, scale.readRow, { mask: scale.mask });
+    if (!result) break;
+    terms.push(result);
+  }
+
+  const weights = MS_WEIGHTS.slice(0, terms.length);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Negative terms (anti-correlated structure) would make the product undefined
+  return terms.reduce((product, term, index) => {
+    const value = index === terms.length - 1 ? term.ssim : term.cs;
+    return product * Math.max(value, 0) ** (weights[index] / total);
+  }, 1);
+}
+
+// Green where the tile matches, through yellow to red at SSIM 0.5 and below; grey where nothing was scored
+function tileColor(ssim) {
+  if (ssim === null) return [203, 213, 225];
+
+  const t = Math.min(Math.max((1 - ssim) / 0.5, 0), 1);
+  const from = t < 0.5 ? [220, 252, 231] : [250, 204, 21];
+  const to = t < 0.5 ? [250, 204, 21] : [220, 38, 38];
+  const mix = t < 0.5 ? t * 2 : (t - 0.5) * 2;
+  return from.map((value, index) => Math.round(value + (to[index] - value) * mix));
+}
+
+function drawSsimMap(tileScores, tileColumns, tileRows) {
+  const map = new PNG({ width: tileColumns * MAP_SCALE, height: tileRows * MAP_SCALE });
+
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      const [r, g, b] = tileColor(tileScores[Math.floor(y / MAP_SCALE) * tileColumns + Math.floor(x / MAP_SCALE)]);
+      const offset = (y * map.width + x) * 4;
+      map.data[offset] = r;
+      map.data[offset + 1] = g;
+      map.data[offset + 2] = b;
+      map.data[offset + 3] = 255;
+    }
+  }
+
+  return map;
+}
+
+/**
+ * SSIM of two RGBA buffers of the same size, with pixels set in mask left out.
+ * Returns { metrics, map }: metrics are { score, min, msSsim, windows,
+ * windowSize, stride, tileSize, tiles, lowTiles } and map is a PNG with one
+ * colored square per TILE_SIZE tile. score is null for images smaller than
+ * one window; msSsim is null unless multiScale is set.
+ */
+function computeSsim(dataA, dataB, width, height, { mask = null, multiScale = false } = {}) {
+  const readRow = (y, rowA, rowB) => {
+    for (let x = 0, offset = y * width * 4; x < width; x++, offset += 4) {
+      rowA[x] = luma(dataA, offset);
+      rowB[x] = luma(dataB, offset);
+    }
+  };
+
+  const tileColumns = Math.ceil(width / TILE_SIZE);
+  const tileRows = Math.ceil(height / TILE_SIZE);
+  const tileSums = new Float64Array(tileColumns * tileRows);
+  const tileCounts = new Uint32Array(tileColumns * tileRows);
+
+  const result = scanWindows(width, height, readRow, {
+    mask,
+    onWindow: (x, y, ssim) => {
+      const tile = Math.floor(y / TILE_SIZE) * tileColumns + Math.floor(x / TILE_SIZE);
+      tileSums[tile] += ssim;
+      tileCounts[tile]++;
+    }
+  });
+
+  const tileScores = Array.from(tileSums, (sum, tile) => (tileCounts[tile] > 0 ? sum / tileCounts[tile] : null));
+
+  return {
+    metrics: {
+      score: result ? round(result.ssim) : null,
+      min: result ? round(result.min) : null,
+      msSsim: result && multiScale ? round(multiScaleSsim(width, height, readRow, mask, result)) : null,
+      windows: result ? result.windows : 0,
+      windowSize: WINDOW,
+      stride: BLOCK,
+      tileSize: TILE_SIZE,
+      tiles: { columns: tileColumns, rows: tileRows },
+      lowTiles: tileScores.filter(score => score !== null && score < LOW_TILE_SSIM).length
+    },
+    map: drawSsimMap(tileScores, tileColumns, tileRows)
+  };
+}
+
+module.exports = {
+  computeSsim,
+  TILE_SIZE,
+  LOW_TILE_SSIM
+};
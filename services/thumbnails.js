@@ -0,0 +1,67 @@
+const { PNG } = require('pngjs');
+
+const DEFAULT_THUMBNAIL_WIDTH = 320;
+const MIN_THUMBNAIL_WIDTH = 32;
+const MAX_THUMBNAIL_WIDTH = 1024;
+
+// Full-page captures can be very tall; thumbnails show at most this many
+// widths of the top of the page
+const MAX_ASPECT_RATIO = 2;
+
+function normalizeThumbnailWidth(value) {
+  const width = parseInt(value, 10);
+  if (!Number.isFinite(width)) {
+    return DEFAULT_THUMBNAIL_WIDTH;
+  }
+  return Math.min(Math.max(width, MIN_THUMBNAIL_WIDTH), MAX_THUMBNAIL_WIDTH);
+}
+
+/**
+ * Scale a PNG down to the given width, averaging each block of source pixels.
+ * Images that are already narrower are returned unchanged.
+ */
+function createThumbnail(buffer, width) {
+  const source = PNG.sync.read(buffer);
+  if (source.width <= width) {
+    return buffer;
+  }
+
+  const scale = source.width / width;
+  const height = Math.max(1, Math.min(Math.round(source.height / scale), width * MAX_ASPECT_RATIO));
+  const thumbnail = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scale);
+    const bottom = Math.min(Math.max(Math.floor((y + 1) * scale), top + 1), source.height);
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scale);
+      const right = Math.min(Math.max(Math.floor((x + 1) * scale), left + 1), source.width);
+      const sums = [0, 0, 0, 0];
+
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const offset = (sy * source.width + sx) * 4;
+          sums[0] += source.data[offset];
+          sums[1] += source.data[offset + 1];
+          sums[2] += source.data[offset + 2];
+          sums[3] += source.data[offset + 3];
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      const target = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        thumbnail.data[target + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+
+  return PNG.sync.write(thumbnail);
+}
+
+module.exports = {
+  DEFAULT_THUMBNAIL_WIDTH,
+  normalizeThumbnailWidth,
+  createThumbnail
+};
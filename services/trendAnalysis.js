@@ -0,0 +1,135 @@
+// Mismatch trends of a URL pair at one viewport, built from comparison store summaries
+
+const DEFAULT_WINDOW = 5;
+const MAX_WINDOW = 50;
+// A run is a jump when it moves this many percentage points away from the rolling median...
+const DEFAULT_MIN_JUMP = 1;
+// ...and by more than the median itself, so noisy pages need a bigger move
+const JUMP_RATIO = 1;
+// Fewer earlier runs than this give no median worth comparing against
+const MIN_HISTORY = 3;
+const MAX_POINTS = 500;
+
+function viewportLabel(viewport) {
+  return viewport ? `${viewport.width}x${viewport.height}` : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * One entry per URL pair and viewport with stored runs, most recently run
+ * first. Failed runs have no capture and are not counted here; buildTrend
+ * shows them in every viewport of their pair.
+ */
+function listTrendSeries(summaries) {
+  const series = new Map();
+
+  for (const summary of summaries) {
+    const viewport = viewportLabel(summary.capture?.viewport);
+    if (!viewport) continue;
+
+    const key = JSON.stringify([summary.urls?.A, summary.urls?.B, viewport]);
+    const entry = series.get(key) || {
+      urlA: summary.urls?.A,
+      urlB: summary.urls?.B,
+      viewport,
+      runs: 0,
+      firstRunAt: summary.createdAt,
+      lastRunAt: summary.createdAt,
+      latestMismatch: null
+    };
+
+    entry.runs++;
+    if (summary.createdAt < entry.firstRunAt) entry.firstRunAt = summary.createdAt;
+    if (summary.createdAt >= entry.lastRunAt) {
+      entry.lastRunAt = summary.createdAt;
+      entry.latestMismatch = summary.metrics?.mismatchPercent ?? null;
+    }
+    series.set(key, entry);
+  }
+
+  return [...series.values()].sort((a, b) => b.lastRunAt.localeCompare(a.lastRunAt));
+}
+
+/**
+ * Runs of urlA against urlB at viewport ("1440x900"), oldest first, with the
+ * rolling median of the `window` completed runs before each one and a `jump`
+ * where the mismatch moved sharply away from it. Only the latest MAX_POINTS
+ * runs are returned.
+ */
+function buildTrend(summaries, { urlA, urlB, viewport, from, to, window = DEFAULT_WINDOW, minJump = DEFAULT_MIN_JUMP }) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const runs = summaries
+    .filter((summary) => {
+      const createdTime = new Date(summary.createdAt).getTime();
+      const runViewport = viewportLabel(summary.capture?.viewport);
+      return summary.urls?.A === urlA && summary.urls?.B === urlB &&
+        (!viewport || !runViewport || runViewport === viewport) &&
+        (fromTime === null || createdTime >= fromTime) &&
+        (toTime === null || createdTime <= toTime);
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(-MAX_POINTS);
+
+  const previous = [];
+  const points = runs.map((summary) => {
+    const mismatchPercent = summary.metrics?.mismatchPercent ?? null;
+    const history = previous.slice(-window);
+    const rollingMedian = history.length >= Math.min(MIN_HISTORY, window) ? median(history) : null;
+
+    let jump = null;
+    if (mismatchPercent !== null && rollingMedian !== null) {
+      const delta = mismatchPercent - rollingMedian;
+      if (Math.abs(delta) >= Math.max(minJump, JUMP_RATIO * rollingMedian)) {
+        jump = { direction: delta > 0 ? 'up' : 'down', delta: round(delta) };
+      }
+    }
+    if (mismatchPercent !== null) {
+      previous.push(mismatchPercent);
+    }
+
+    return {
+      summary,
+      mismatchPercent,
+      changedPixels: summary.metrics?.changedPixels ?? null,
+      rollingMedian: rollingMedian === null ? null : round(rollingMedian),
+      jump
+    };
+  });
+
+  return {
+    urlA,
+    urlB,
+    viewport: viewport || null,
+    window,
+    minJump,
+    points,
+    stats: {
+      runs: points.length,
+      completed: previous.length,
+      failed: points.length - previous.length,
+      jumps: points.filter(point => point.jump).length,
+      latest: previous.length ? previous[previous.length - 1] : null,
+      median: previous.length ? round(median(previous)) : null,
+      min: previous.length ? Math.min(...previous) : null,
+      max: previous.length ? Math.max(...previous) : null
+    }
+  };
+}
+
+module.exports = {
+  listTrendSeries,
+  buildTrend,
+  viewportLabel,
+  DEFAULT_WINDOW,
+  MAX_WINDOW,
+  DEFAULT_MIN_JUMP
+};
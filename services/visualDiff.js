@@ -0,0 +1,610 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const pixelmatch = require('pixelmatch');
+const { PNG } = require('pngjs');
+const { createCancelledError } = require('./cancellation');
+const { computeSsim } = require('./ssim');
+const { ALIGNMENT_MODES, alignRows } = require('./bandAlignment');
+const { findDiffRegions } = require('./diffRegions');
+const { attributeRegions } = require('./elementAttribution');
+
+const WORKER_PATH = path.join(__dirname, 'visualDiffWorker.js');
+
+// Pure image comparison: no browser or service state is touched here, so the
+// functions can run in a worker thread (see runVisualDiff).
+
+const DIMENSION_STRATEGIES = ['crop', 'pad', 'scale'];
+
+// Changed pixels are drawn by pixelmatch in DIFF_COLOR, or DIFF_COLOR_ALT where B is darker
+const DIFF_COLOR = [255, 0, 0];
+const DIFF_COLOR_ALT = [0, 255, 0];
+
+// Pixels only one of the images covers are drawn in this color on the diff
+const PADDING_COLOR = [255, 0, 255];
+
+// Rows of aligned images that are not plain matches are tinted in these colors
+// and marked with a strip BAND_MARKER_WIDTH pixels wide along the left edge
+const BAND_COLORS = {
+  changed: [234, 179, 8],
+  inserted: [22, 163, 74],
+  removed: [234, 88, 12],
+  moved: [37, 99, 235]
+};
+const BAND_MARKER_WIDTH = 6;
+
+/**
+ * Compare two PNG buffers. dimensionStrategy decides what happens when their
+ * sizes differ: 'crop' compares the area both cover, 'pad' compares the area
+ * either covers and counts the pixels only one has as changed, and 'scale'
+ * resizes B to A's width first, then pads like 'pad'.
+ *
+ * With alignment 'vertical' the rows of the two images are matched up first,
+ * so content pushed down by an inserted block is compared with its
+ * counterpart. Inserted, removed and moved rows are reported as bands in
+ * metrics.alignment and left out of changedPixels; the dimension strategy
+ * then only decides the compared width.
+ */
+function computeVisualDiff(bufferA, bufferB, options = {}) {
+  const { threshold = 0.1, includeAA = true, ignoreRegions = [], multiScaleSsim = false, dimensionStrategy = 'crop', alignment = 'none', elements = [] } = options;
+
+  try {
+    const imgA = PNG.sync.read(bufferA);
+    let imgB = PNG.sync.read(bufferB);
+
+    // Validate image data
+    if (!imgA.data || !imgB.data) {
+      throw new Error('Invalid image data received');
+    }
+
+    if (!DIMENSION_STRATEGIES.includes(dimensionStrategy)) {
+      throw new Error(`Unknown dimension strategy "${dimensionStrategy}"`);
+    }
+
+    if (!ALIGNMENT_MODES.includes(alignment)) {
+      throw new Error(`Unknown alignment mode "${alignment}"`);
+    }
+
+    const original = {
+      A: { width: imgA.width, height: imgA.height },
+      B: { width: imgB.width, height: imgB.height }
+    };
+
+    // B keeps its aspect ratio, so only a difference in height remains
+    let scaleB = null;
+    if (dimensionStrategy === 'scale') {
+      scaleB = imgA.width / imgB.width;
+      if (scaleB !== 1) {
+        imgB = resizeImage(imgB, imgA.width, Math.max(1, Math.round(imgB.height * scaleB)));
+      }
+    }
+
+    const fit = dimensionStrategy === 'crop' ? Math.min : Math.max;
+    const width = fit(imgA.width, imgB.width);
+    const fittedHeight = fit(imgA.height, imgB.height);
+
+    if (width === 0 || fittedHeight === 0) {
+      throw new Error('Invalid image dimensions: width or height is 0');
+    }
+
+    if (width > 10000 || fittedHeight > 10000) {
+      throw new Error('Image dimensions too large. Maximum supported: 10000x10000 pixels');
+    }
+
+    // Aligned images are as tall as their rows matched up, gaps included
+    const rowAlignment = alignment === 'vertical' ? alignRows(imgA, imgB, Math.min(imgA.width, imgB.width)) : null;
+    const aligned = Boolean(rowAlignment && rowAlignment.aligned);
+    const height = aligned ? rowAlignment.rows.length : fittedHeight;
+
+    // Copy both into images of the compared size; padding stays transparent
+    const aCrop = new PNG({ width, height });
+    const bCrop = new PNG({ width, height });
+    
+    try {
+      if (aligned) {
+        copyAlignedRows(imgA, aCrop, rowAlignment.rows, 'a');
+        copyAlignedRows(imgB, bCrop, rowAlignment.rows, 'b');
+      } else {
+        PNG.bitblt(imgA, aCrop, 0, 0, Math.min(imgA.width, width), Math.min(imgA.height, height), 0, 0);
+        PNG.bitblt(imgB, bCrop, 0, 0, Math.min(imgB.width, width), Math.min(imgB.height, height), 0, 0);
+      }
+    } catch (bitbltError) {
+      throw new Error(`Failed to process image data: ${bitbltError.message}`);
+    }
+
+    // Regions of side B are in B's pixels and move with it when it is scaled
+    const regions = ignoreRegions.map(region => (region.side === 'B' && scaleB ? scaleRegion(region, scaleB) : region));
+
+    // Pixels inside ignore regions, bands or padding are made identical in B
+    // so pixelmatch skips them; padding is counted as changed afterwards and
+    // bands are reported on their own
+    const ignoreMask = aligned
+      ? buildAlignedIgnoreMask(width, rowAlignment.rows, regions)
+      : buildIgnoreMask(width, height, regions);
+    const bandMask = aligned ? buildBandMask(width, rowAlignment.rows) : null;
+    // Rows only one aligned image has are bands, so only missing columns are padding there
+    const paddingMask = buildPaddingMask(width, height, aligned
+      ? [{ width: imgA.width, height }, { width: imgB.width, height }]
+      : [imgA, imgB]);
+    let matchData = bCrop.data;
+    let ignoredPixels = 0;
+    let bandPixels = 0;
+    let paddingChangedPixels = 0;
+
+    if (ignoreMask || bandMask || paddingMask) {
+      matchData = Buffer.from(bCrop.data);
+      for (let i = 0; i < width * height; i++) {
+        if (ignoreMask && ignoreMask[i]) {
+          ignoredPixels++;
+        } else if (bandMask && bandMask[i]) {
+          bandPixels++;
+        } else if (paddingMask && paddingMask[i]) {
+          paddingChangedPixels++;
+        } else {
+          continue;
+        }
+        aCrop.data.copy(matchData, i * 4, i * 4, i * 4 + 4);
+      }
+    }
+
+    // Create diff image
+    const diff = new PNG({ width, height });
+    
+    let changedPixels;
+    try {
+      changedPixels = pixelmatch(
+        aCrop.data, matchData, diff.data,
+        width, height,
+        { 
+          threshold, 
+          includeAA,
+          alpha: 0.2,
+          diffColor: DIFF_COLOR,
+          diffColorAlt: DIFF_COLOR_ALT
+        }
+      );
+    } catch (pixelmatchError) {
+      throw new Error(`Pixel comparison failed: ${pixelmatchError.message}`);
+    }
+    changedPixels += paddingChangedPixels;
+
+    // Read back before padding and bands are drawn over the diff
+    const diffRegions = findDiffRegions(
+      buildChangedMask(diff, paddingMask, ignoreMask, bandMask),
+      aCrop.data, bCrop.data, width, height
+    );
+
+    // Element boxes (see elementAttribution) name what changed in each region
+    const attribution = elements.length > 0
+      ? attributeRegions(diffRegions.regions, placeElements(elements, scaleB, aligned && rowAlignment.rows, { A: imgA.height, B: imgB.height }))
+      : { regions: diffRegions.regions, changedElements: [] };
+
+    if (paddingMask) {
+      drawPadding(diff, paddingMask);
+    }
+    if (aligned) {
+      drawBands(diff, rowAlignment.rows, aCrop, bCrop);
+    }
+    if (ignoreMask) {
+      drawIgnoreHatching(diff, ignoreMask);
+    }
+
+    // Ignored and band pixels are excluded from the denominator as well
+    const totalPixels = width * height - ignoredPixels - bandPixels;
+    const mismatchPercent = totalPixels > 0 ? (changedPixels / totalPixels) * 100 : 0;
+
+    // Structural similarity of the area both images cover; ignored regions are left out
+    const ssim = computeSsim(aCrop.data, matchData, width, height, {
+      mask: combineMasks(ignoreMask, paddingMask, bandMask),
+      multiScale: multiScaleSsim
+    });
+
+    // Aligned images include every row of both, so only columns are cropped or padded
+    const coveredHeight = image => (aligned ? image.height : Math.min(image.height, height));
+    const canvasPixels = image => width * (aligned ? image.height : height);
+
+    return {
+      metrics: {
+        width,
+        height,
+        totalPixels,
+        changedPixels,
+        mismatchPercent: Math.round(mismatchPercent * 100) / 100,
+        ssimScore: ssim.metrics.score,
+        ssim: ssim.metrics,
+        threshold,
+        includeAA,
+        ignoredPixels,
+        ignoreRegions: ignoreRegions.length,
+        regions: attribution.regions,
+        regionCount: diffRegions.regionCount,
+        changedElements: attribution.changedElements,
+        dimensions: {
+          strategy: dimensionStrategy,
+          A: original.A,
+          B: original.B,
+          widthDelta: original.B.width - original.A.width,
+          heightDelta: original.B.height - original.A.height,
+          mismatched: original.A.width !== original.B.width || original.A.height !== original.B.height,
+          scale: scaleB === null ? null : Math.round(scaleB * 10000) / 10000,
+          // Pixels of each image left out of the comparison (crop) or added to it (pad, scale)
+          excludedPixels: {
+            A: Math.max(imgA.width * imgA.height - Math.min(imgA.width, width) * coveredHeight(imgA), 0),
+            B: Math.max(imgB.width * imgB.height - Math.min(imgB.width, width) * coveredHeight(imgB), 0)
+          },
+          paddedPixels: {
+            A: canvasPixels(imgA) - Math.min(imgA.width, width) * coveredHeight(imgA),
+            B: canvasPixels(imgB) - Math.min(imgB.width, width) * coveredHeight(imgB)
+          },
+          paddingChangedPixels
+        },
+        alignment: rowAlignment && {
+          mode: alignment,
+          aligned,
+          reason: aligned ? null : rowAlignment.reason,
+          ...(aligned ? { ...rowAlignment.stats, bandPixels, bands: rowAlignment.bands } : {})
+        }
+      },
+      images: {
+        original: {
+          A: aCrop,
+          B: bCrop
+        },
+        diff: diff,
+        ssim: ssim.map
+      }
+    };
+
+  } catch (error) {
+    if (error.message.includes('Invalid image data')) {
+      throw new Error('Image processing failed: Invalid or corrupted image data received');
+    } else if (error.message.includes('Invalid image dimensions')) {
+      throw new Error('Image processing failed: Invalid image dimensions');
+    } else if (error.message.includes('Image dimensions too large')) {
+      throw new Error('Image processing failed: Image is too large to process');
+    } else if (error.message.includes('Failed to process image data')) {
+      throw new Error('Image processing failed: Could not extract image data');
+    } else if (error.message.includes('Pixel comparison failed')) {
+      throw new Error('Image comparison failed: Could not compute visual differences');
+    } else {
+      throw new Error(`Visual diff computation failed: ${error.message}`);
+    }
+  }
+}
+
+function buildIgnoreMask(width, height, regions) {
+  if (!regions || regions.length === 0) return null;
+
+  const mask = new Uint8Array(width * height);
+  let masked = false;
+
+  for (const region of regions) {
+    const x0 = Math.max(0, Math.floor(region.x));
+    const y0 = Math.max(0, Math.floor(region.y));
+    const x1 = Math.min(width, Math.ceil(region.x + region.width));
+    const y1 = Math.min(height, Math.ceil(region.y + region.height));
+
+    for (let y = y0; y < y1; y++) {
+      mask.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+      masked = masked || x1 > x0;
+    }
+  }
+
+  return masked ? mask : null;
+}
+
+// Ignore regions of aligned images: a region covers the aligned rows whose
+// source row on its side lies inside it (either side when it has none)
+function buildAlignedIgnoreMask(width, rows, regions) {
+  if (!regions || regions.length === 0) return null;
+
+  const mask = new Uint8Array(width * rows.length);
+  let masked = false;
+
+  for (const region of regions) {
+    const x0 = Math.max(0, Math.floor(region.x));
+    const x1 = Math.min(width, Math.ceil(region.x + region.width));
+    const y0 = Math.floor(region.y);
+    const y1 = Math.ceil(region.y + region.height);
+    const sides = region.side === 'A' ? ['a'] : region.side === 'B' ? ['b'] : ['a', 'b'];
+    if (x1 <= x0) continue;
+
+    rows.forEach((row, y) => {
+      if (sides.some(side => row[side] >= 0 && row[side] >= y0 && row[side] < y1)) {
+        mask.fill(1, y * width + x0, y * width + x1);
+        masked = true;
+      }
+    });
+  }
+
+  return masked ? mask : null;
+}
+
+// Rows of aligned images that are inserted, removed or moved
+function buildBandMask(width, rows) {
+  const mask = new Uint8Array(width * rows.length);
+  let masked = false;
+
+  rows.forEach((row, y) => {
+    if (row.type === 'equal' || row.type === 'changed') return;
+    mask.fill(1, y * width, (y + 1) * width);
+    masked = true;
+  });
+
+  return masked ? mask : null;
+}
+
+// Copy the source rows of one side into the aligned image; gaps stay transparent
+function copyAlignedRows(source, target, rows, side) {
+  const rowBytes = Math.min(source.width, target.width) * 4;
+
+  rows.forEach((row, y) => {
+    if (row[side] < 0) return;
+    const start = row[side] * source.width * 4;
+    source.data.copy(target.data, y * target.width * 4, start, start + rowBytes);
+  });
+}
+
+function scaleRegion(region, scale) {
+  return {
+    ...region,
+    x: region.x * scale,
+    y: region.y * scale,
+    width: region.width * scale,
+    height: region.height * scale
+  };
+}
+
+/**
+ * Element boxes in the compared images: those of side B move with it when it
+ * is scaled, and both sides follow their rows when aligned.
+ */
+function placeElements(elements, scaleB, rows, heights) {
+  const scaled = elements.map(element => (element.side === 'B' && scaleB ? scaleRegion(element, scaleB) : element));
+  if (!rows) return scaled;
+
+  // Every source row has exactly one aligned row
+  const alignedRows = { A: new Int32Array(heights.A), B: new Int32Array(heights.B) };
+  rows.forEach((row, index) => {
+    if (row.a >= 0) alignedRows.A[row.a] = index;
+    if (row.b >= 0) alignedRows.B[row.b] = index;
+  });
+
+  return scaled.flatMap((element) => {
+    const rowsOfSide = alignedRows[element.side];
+    const top = Math.max(0, Math.floor(element.y));
+    const bottom = Math.min(rowsOfSide.length - 1, Math.ceil(element.y + element.height) - 1);
+    if (bottom < top) return [];
+
+    return [{ ...element, y: rowsOfSide[top], height: rowsOfSide[bottom] - rowsOfSide[top] + 1 }];
+  });
+}
+
+// Pixels of a width x height canvas that one of the images does not reach
+function buildPaddingMask(width, height, images) {
+  if (images.every(image => image.width >= width && image.height >= height)) return null;
+
+  const mask = new Uint8Array(width * height);
+  for (const image of images) {
+    for (let y = 0; y < height; y++) {
+      if (y >= image.height) {
+        mask.fill(1, y * width, (y + 1) * width);
+      } else if (image.width < width) {
+        mask.fill(1, y * width + image.width, (y + 1) * width);
+      }
+    }
+  }
+  return mask;
+}
+
+// Pixels pixelmatch counted as changed, plus padding that counts as changed
+function buildChangedMask(diff, paddingMask, ignoreMask, bandMask) {
+  const { data } = diff;
+  const mask = new Uint8Array(diff.width * diff.height);
+  const isColor = (offset, color) => data[offset] === color[0] && data[offset + 1] === color[1] && data[offset + 2] === color[2];
+
+  for (let i = 0; i < mask.length; i++) {
+    if (paddingMask && paddingMask[i]) {
+      mask[i] = (!ignoreMask || !ignoreMask[i]) && (!bandMask || !bandMask[i]) ? 1 : 0;
+    } else {
+      mask[i] = isColor(i * 4, DIFF_COLOR) || isColor(i * 4, DIFF_COLOR_ALT) ? 1 : 0;
+    }
+  }
+
+  return mask;
+}
+
+function combineMasks(...masks) {
+  const present = masks.filter(Boolean);
+  if (present.length < 2) return present[0] || null;
+  return present.reduce((combined, mask) => combined.map((value, index) => value | mask[index]));
+}
+
+/**
+ * Resize an image: block averages when shrinking so thin lines survive,
+ * bilinear interpolation when enlarging.
+ */
+function resizeImage(source, width, height) {
+  const target = new PNG({ width, height });
+  const scaleX = source.width / width;
+  const scaleY = source.height / height;
+  const channel = (x, y, c) => source.data[(y * source.width + x) * 4 + c];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+
+      if (scaleX >= 1 && scaleY >= 1) {
+        const left = Math.floor(x * scaleX);
+        const right = Math.min(Math.max(Math.floor((x + 1) * scaleX), left + 1), source.width);
+        const top = Math.floor(y * scaleY);
+        const bottom = Math.min(Math.max(Math.floor((y + 1) * scaleY), top + 1), source.height);
+        const count = (right - left) * (bottom - top);
+
+        for (let c = 0; c < 4; c++) {
+          let sum = 0;
+          for (let sy = top; sy < bottom; sy++) {
+            for (let sx = left; sx < right; sx++) sum += channel(sx, sy, c);
+          }
+          target.data[offset + c] = Math.round(sum / count);
+        }
+      } else {
+        const sx = Math.min(Math.max((x + 0.5) * scaleX - 0.5, 0), source.width - 1);
+        const sy = Math.min(Math.max((y + 0.5) * scaleY - 0.5, 0), source.height - 1);
+        const x0 = Math.floor(sx);
+        const y0 = Math.floor(sy);
+        const x1 = Math.min(x0 + 1, source.width - 1);
+        const y1 = Math.min(y0 + 1, source.height - 1);
+        const fx = sx - x0;
+        const fy = sy - y0;
+
+        for (let c = 0; c < 4; c++) {
+          const topValue = channel(x0, y0, c) * (1 - fx) + channel(x1, y0, c) * fx;
+          const bottomValue = channel(x0, y1, c) * (1 - fx) + channel(x1, y1, c) * fx;
+          target.data[offset + c] = Math.round(topValue * (1 - fy) + bottomValue * fy);
+        }
+      }
+    }
+  }
+
+  return target;
+}
+
+function drawPadding(diff, mask) {
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+
+    const offset = i * 4;
+    diff.data[offset] = PADDING_COLOR[0];
+    diff.data[offset + 1] = PADDING_COLOR[1];
+    diff.data[offset + 2] = PADDING_COLOR[2];
+    diff.data[offset + 3] = 255;
+  }
+}
+
+/**
+ * Tint inserted, removed and moved rows of aligned images with their band
+ * color over a faded copy of whichever image has them, and mark every band,
+ * changed rows included, along the left edge.
+ */
+function drawBands(diff, rows, imageA, imageB) {
+  const { width, data } = diff;
+
+  rows.forEach((row, y) => {
+    const color = BAND_COLORS[row.type];
+    if (!color) return;
+
+    const source = row.a >= 0 ? imageA : imageB;
+    const tinted = row.type !== 'changed';
+
+    for (let x = 0, offset = y * width * 4; x < width; x++, offset += 4) {
+      if (x < BAND_MARKER_WIDTH) {
+        data[offset] = color[0];
+        data[offset + 1] = color[1];
+        data[offset + 2] = color[2];
+        data[offset + 3] = 255;
+      } else if (tinted) {
+        // Faded the way pixelmatch fades unchanged pixels, then mixed with the band color
+        const alpha = source.data[offset + 3] / 255;
+        const luma = 0.299 * source.data[offset] + 0.587 * source.data[offset + 1] + 0.114 * source.data[offset + 2];
+        const grey = 255 + (luma - 255) * 0.2 * alpha;
+        data[offset] = Math.round(grey * 0.65 + color[0] * 0.35);
+        data[offset + 1] = Math.round(grey * 0.65 + color[1] * 0.35);
+        data[offset + 2] = Math.round(grey * 0.65 + color[2] * 0.35);
+        data[offset + 3] = 255;
+      }
+    }
+  });
+}
+
+function drawIgnoreHatching(diff, mask) {
+  const { width, data } = diff;
+
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const stripe = (x + y) % 12 < 3;
+    const offset = i * 4;
+
+    data[offset] = stripe ? 128 : 235;
+    data[offset + 1] = stripe ? 128 : 235;
+    data[offset + 2] = stripe ? 160 : 240;
+    data[offset + 3] = 255;
+  }
+}
+
+// Diff images PNG-encoded, ready to be returned to clients
+function encodeDiffImages(diffResult) {
+  return {
+    A: PNG.sync.write(diffResult.images.original.A),
+    B: PNG.sync.write(diffResult.images.original.B),
+    diff: PNG.sync.write(diffResult.images.diff),
+    ssim: PNG.sync.write(diffResult.images.ssim)
+  };
+}
+
+/**
+ * Run computeVisualDiff in a worker thread so it can be aborted.
+ * Resolves to { metrics, images: { A, B, diff, ssim } } with PNG-encoded images;
+ * aborting the signal terminates the worker and rejects with a cancelled error.
+ */
+function runVisualDiff(bufferA, bufferB, options = {}, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const worker = new Worker(WORKER_PATH, {
+      workerData: { bufferA, bufferB, options }
+    });
+    let settled = false;
+
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    const onAbort = () => {
+      worker.terminate();
+      settle(reject, createCancelledError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    worker.once('message', (message) => {
+      if (message.error) {
+        settle(reject, new Error(message.error));
+        return;
+      }
+
+      settle(resolve, {
+        metrics: message.metrics,
+        images: {
+          A: Buffer.from(message.images.A),
+          B: Buffer.from(message.images.B),
+          diff: Buffer.from(message.images.diff),
+          ssim: Buffer.from(message.images.ssim)
+        }
+      });
+    });
+    worker.once('error', error => settle(reject, new Error(`Visual diff computation failed: ${error.message}`)));
+    worker.once('exit', (code) => {
+      if (code !== 0) {
+        settle(reject, new Error(`Visual diff computation failed: worker exited with code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  ALIGNMENT_MODES,
+  DIMENSION_STRATEGIES,
+  computeVisualDiff,
+  buildIgnoreMask,
+  drawIgnoreHatching,
+  encodeDiffImages,
+  runVisualDiff
+};
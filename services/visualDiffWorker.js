@@ -0,0 +1,15 @@
+const { parentPort, workerData } = require('worker_threads');
+const { computeVisualDiff, encodeDiffImages } = require('./visualDiff');
+
+// Worker entry for runVisualDiff: diff, encode and post the result back
+try {
+  const { bufferA, bufferB, options } = workerData;
+  const diffResult = computeVisualDiff(Buffer.from(bufferA), Buffer.from(bufferB), options);
+
+  parentPort.postMessage({
+    metrics: diffResult.metrics,
+    images: encodeDiffImages(diffResult)
+  });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}